@@ -0,0 +1,22 @@
+'use strict';
+
+// npm run config:print [-- --json]
+// Effective configuration (environment + .env + defaults) with secrets masked,
+// followed by every validation problem. Exits 1 when the service would refuse to boot.
+require('dotenv').config();
+const { buildConfig, describeConfig } = require('../src/config/schema');
+
+const { config, errors } = buildConfig(process.env);
+const rows = describeConfig(config, process.env);
+
+if (process.argv.includes('--json')) {
+  console.log(JSON.stringify({ valid: !errors.length, errors, settings: rows }, null, 2));
+} else {
+  const width = Math.max(...rows.map((r) => r.key.length));
+  for (const r of rows) {
+    const value = r.value === undefined ? '' : JSON.stringify(r.value);
+    console.log(`${r.key.padEnd(width)}  ${r.source.padEnd(7)}  ${value}`);
+  }
+  console.log(errors.length ? `\n${errors.length} problem(s):\n${errors.map((e) => `  - ${e}`).join('\n')}` : '\nConfiguration is valid.');
+}
+process.exit(errors.length ? 1 : 0);
@@ -75,6 +75,16 @@ const { DateTime } = (() => {
   try { return require('luxon'); }
   catch { return { DateTime: null }; }
 })();
+// The one Zoho -> Graph mapping; there is no fallback, so a broken map or config stops the server here.
+const { mapAttributes, readInputs } = require('./src/services/attributeMap');
+const { generateTempPassword } = (() => {
+  try { return require('./src/utils/password'); }
+  catch {
+    // 16 random characters plus one of each class Entra's complexity rule counts.
+    const crypto = require('crypto');
+    return { generateTempPassword: () => `${crypto.randomBytes(12).toString('base64url')}Aa1!` };
+  }
+})();
 
 function toInt(v, d = 0) { const n = parseInt(v, 10); return Number.isFinite(n) ? n : d; }
 function clamp(n, min, max) { return Math.min(Math.max(n, min), max); }
@@ -307,11 +317,7 @@ app.post('/zoho-candidate/edit', async (req, res) => {
 app.post('/zoho-webhook/create', async (req, res) => {
   try {
     const data = (req.body && Object.keys(req.body).length) ? req.body : req.query;
-    const {
-      email, firstname, lastname, employeeId, city, manager, joiningdate,
-      company, zohoRole, mobilePhone, employementType, workPhone,
-      employeeStatus, country, department, officelocation
-    } = data;
+    const { firstname, lastname, employeeId, employeeType } = readInputs(data);
 
     if (!firstname || !lastname) {
       return res.status(400).json({
@@ -322,7 +328,7 @@ app.post('/zoho-webhook/create', async (req, res) => {
 
     const accessToken = await getAzureAccessToken();
     const rawNick = normNickname(firstname, lastname);
-    const pref = prefixForEmployeeType(employementType);
+    const pref = prefixForEmployeeType(employeeType);
     const safeNickname = (pref ? `${pref}${rawNick}` : rawNick);
 
     const domain = (get('AZURE_DEFAULT_DOMAIN') || 'example.onmicrosoft.com').trim();
@@ -342,26 +348,13 @@ app.post('/zoho-webhook/create', async (req, res) => {
       if (counter > 50) throw new Error('exhausted upn attempts');
     }
 
-    const tempPassword = get('GRAPH_TEMP_PASSWORD', 'TempPass123!');
+    const tempPassword = generateTempPassword();
     const createBody = {
+      ...mapAttributes(data, { mode: 'create' }),
       accountEnabled: true,
-      displayName: `${firstname} ${lastname}`.trim(),
       mailNickname: userPrincipalName.split('@')[0],
       userPrincipalName,
-      passwordProfile: { forceChangePasswordNextSignIn: true, password: tempPassword },
-      // 'mail' is read-only; use otherMails to store external email
-      otherMails: email ? [String(email).trim()] : undefined,
-      givenName: firstname || undefined,
-      surname: lastname || undefined,
-      employeeId: employeeId || undefined,
-      country: country || undefined,
-      city: city || undefined,
-      mobilePhone: mobilePhone || undefined,
-      department: department || undefined,
-      jobTitle: zohoRole || undefined,
-      companyName: company || undefined,
-      employeeType: employementType || undefined,
-      officeLocation: officelocation || undefined
+      passwordProfile: { forceChangePasswordNextSignIn: true, password: tempPassword }
     };
 
     const createRes = await axios.post(
@@ -370,25 +363,17 @@ app.post('/zoho-webhook/create', async (req, res) => {
       { headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }, timeout: 20000 }
     );
 
-    if (joiningdate) {
-      try {
-        const [dd, mm, yyyy] = String(joiningdate).split('-');
-        const dt = new Date(Date.UTC(Number(yyyy), Number(mm) - 1, Number(dd)));
-        if (!isNaN(dt.getTime())) {
-          const hireISO = dt.toISOString().replace(/\.\d{3}Z$/, 'Z');
-          await axios.patch(
-            `https://graph.microsoft.com/v1.0/users/${createRes.data.id}`,
-            { employeeHireDate: hireISO },
-            { headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }, timeout: 15000 }
-          );
-        }
-      } catch (e) {
-        console.warn('[CREATE] failed to set employeeHireDate:', e && (e.message || String(e)));
-      }
+    let delivery;
+    try {
+      const { deliverTempPassword } = require('./src/services/tempPassword');
+      delivery = await deliverTempPassword(accessToken, { password: tempPassword, upn: userPrincipalName, userId: createRes.data.id, data });
+    } catch (e) {
+      delivery = { error: e?.message || String(e) };
+      await mailFailure('CREATE password not delivered', `upn=${userPrincipalName}\n${delivery.error}\nReset the password in Entra and hand it over manually.`);
     }
 
     emitSafe('sync:success', { action: 'user-create', upn: userPrincipalName, employee_id: employeeId, details: { id: createRes.data.id } });
-    await mailSuccess('CREATE user', `userId=${createRes.data.id}\nupn=${userPrincipalName}`);
+    await mailSuccess('CREATE user', `userId=${createRes.data.id}\nupn=${userPrincipalName}\npassword=${delivery.error ? 'NOT delivered' : `sent by ${delivery.channel}`}`);
 
     return res.status(200).json({ message: 'User successfully created in Azure AD', azureUser: createRes.data });
   } catch (error) {
@@ -406,36 +391,10 @@ app.post('/zoho-webhook/edit', async (req, res) => {
     const data = (req.body && Object.keys(req.body).length) ? req.body : req.query;
 
     const upn = data.userPrincipalName || data.upn || data.Other_Email || data['Other Email'] || data.otherEmail;
-    const { email, employeeId, manager } = data;
-    const {
-      firstname, lastname, city, country, mobilePhone, department,
-      zohoRole, company, employementType, officelocation, joiningdate
-    } = data;
-
-    // Build patch (only defined values)
-    const patch = {
-      displayName: (firstname || lastname) ? `${firstname || ''} ${lastname || ''}`.trim() : undefined,
-      givenName: firstname || undefined,
-      surname: lastname || undefined,
-      otherMails: email ? [String(email).trim()] : undefined,
-      employeeId: employeeId || undefined,
-      country: country || undefined,
-      city: city || undefined,
-      mobilePhone: mobilePhone || undefined,
-      department: department || undefined,
-      jobTitle: zohoRole || undefined,
-      companyName: company || undefined,
-      employeeType: employementType || undefined,
-      officeLocation: officelocation || undefined
-    };
-    if (joiningdate) {
-      try {
-        const [dd, mm, yyyy] = String(joiningdate).split('-');
-        const dt = new Date(Date.UTC(Number(yyyy), Number(mm) - 1, Number(dd)));
-        if (!isNaN(dt.getTime())) patch.employeeHireDate = dt.toISOString().replace(/\.\d{3}Z$/, 'Z');
-      } catch {}
-    }
-    Object.keys(patch).forEach((k) => patch[k] === undefined && delete patch[k]);
+    const { manager } = data;
+    const { email, employeeId } = readInputs(data);
+
+    const patch = mapAttributes(data, { mode: 'update' });
 
     // Dry-run mode: don't hit Graph, just acknowledge
     if (String(process.env.DRY_RUN || '').toLowerCase() === 'true') {
@@ -477,22 +436,10 @@ app.post('/zoho-webhook/edit', async (req, res) => {
       return res.status(404).json({ message: msg });
     }
 
-    if (manager) {
+    if (manager !== undefined) {
       try {
-        const mgrCode = String(manager).split(' ').pop();
-        const f = odataQuote(mgrCode);
-        const mRes = await axios.get(
-          `https://graph.microsoft.com/v1.0/users?$filter=employeeId eq '${f}'&$select=id`,
-          { headers: { Authorization: `Bearer ${accessToken}` } }
-        );
-        const mUser = mRes.data?.value?.[0];
-        if (mUser?.id) {
-          await axios.put(
-            `https://graph.microsoft.com/v1.0/users/${user.id}/manager/$ref`,
-            { '@odata.id': `https://graph.microsoft.com/v1.0/directoryObjects/${mUser.id}` },
-            { headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' } }
-          );
-        }
+        const m = await graph.syncManager(accessToken, user.id, manager);
+        if (m.status === 'pending') console.warn('[EDIT] manager not in Entra yet:', m.ref && m.ref.raw);
       } catch (e) {
         console.warn('[EDIT] manager update failed:', e?.response?.data || e?.message || String(e));
       }
@@ -0,0 +1,290 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { DateTime } = require('luxon');
+
+const { log } = require('../core/logger');
+const { AppError } = require('../core/errors');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { adminActor } = require('../middleware/auditActor');
+const {
+  listJobs,
+  getJob,
+  updateJobIfStatus,
+  upsertJob,
+  listChildJobs,
+  cancelDependentJobs,
+  listPlaybooks,
+  listWebhookEvents,
+  getWebhookEvent,
+  listAuditEntries
+} = require('../infra/sqlite');
+const { describePlaybook, cancelPlaybook, rollbackPlaybook } = require('../services/offboarding');
+const { replayEvent, replayRange, MAX_RANGE } = require('../services/webhookReplay');
+const { describeRecurring, pauseRecurring, resumeRecurring, triggerRecurring } = require('../services/recurring');
+const { auditCsvRows, AUDIT_CSV_COLUMNS } = require('../services/audit');
+const { toCsv } = require('../utils/csv');
+const { config } = require('../config/env');
+
+const tz = config.TZ;
+// Upper bound on entries in one CSV export; narrow the period for more.
+const AUDIT_EXPORT_MAX = 50000;
+
+function toInt(v, d = 0) { const n = parseInt(v, 10); return Number.isFinite(n) ? n : d; }
+
+// Accepts epoch millis or an ISO timestamp (interpreted in TZ when it has no offset).
+function parseTime(v) {
+  if (v === undefined || v === null || String(v).trim() === '') return undefined;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) return Number(s);
+  const dt = DateTime.fromISO(s, { zone: tz });
+  return dt.isValid ? dt.toMillis() : NaN;
+}
+
+function jobIdParam(req) {
+  const id = toInt(req.params.id, NaN);
+  if (!Number.isFinite(id)) throw new AppError(400, 'job id must be numeric');
+  return id;
+}
+
+function loadJob(id) {
+  const job = getJob(id);
+  if (!job) throw new AppError(404, `Job ${id} not found`);
+  return job;
+}
+
+function withTimes(job) {
+  return {
+    ...job,
+    runAtISO: job.runAt ? new Date(job.runAt).toISOString() : null,
+    runAtLocal: job.runAt ? DateTime.fromMillis(job.runAt).setZone(tz).toFormat('dd-LL-yyyy HH:mm:ss ZZZZ') : null
+  };
+}
+
+router.use(requireAdmin, adminActor);
+
+router.get('/jobs', (req, res) => {
+  const q = req.query || {};
+  const runAtFrom = parseTime(q.runAtFrom);
+  const runAtTo = parseTime(q.runAtTo);
+  if (Number.isNaN(runAtFrom) || Number.isNaN(runAtTo)) {
+    throw new AppError(400, 'runAtFrom/runAtTo must be epoch millis or ISO timestamps');
+  }
+
+  const limit = Math.min(Math.max(toInt(q.limit, 50), 1), 500);
+  const offset = Math.max(toInt(q.offset, 0), 0);
+  const { total, items } = listJobs(
+    { type: q.type, status: q.status, candidateId: q.candidateId, playbookId: q.playbookId, parentId: q.parentId, runAtFrom, runAtTo },
+    { limit, offset }
+  );
+
+  res.json({ total, limit, offset, items: items.map(withTimes) });
+});
+
+// A pending job whose parent is not done yet shows the parent as `blockedBy`.
+router.get('/jobs/:id', (req, res) => {
+  const job = loadJob(jobIdParam(req));
+  const parent = job.parentId ? getJob(job.parentId) : null;
+  const blockedBy = job.status === 'pending' && parent && parent.status !== 'done'
+    ? { id: parent.id, type: parent.type, status: parent.status }
+    : null;
+  res.json({ ...withTimes(job), blockedBy, children: listChildJobs(job.id) });
+});
+
+router.post('/jobs/:id/retry', (req, res) => {
+  const id = jobIdParam(req);
+  const job = loadJob(id);
+  const runAt = parseTime(req.body?.runAt) ?? Date.now();
+  if (Number.isNaN(runAt)) throw new AppError(400, 'runAt must be epoch millis or an ISO timestamp');
+
+  // A dead job gets a fresh set of attempts; a failed one keeps its count.
+  const fields = job.status === 'dead' ? { status: 'pending', runAt, attempts: 0 } : { status: 'pending', runAt };
+  const ok = updateJobIfStatus(id, ['failed', 'dead'], fields);
+  if (!ok) throw new AppError(409, `Only failed or dead jobs can be retried (job ${id} is ${job.status})`);
+
+  log.info({ id, by: req.adminUser, runAt: new Date(runAt).toISOString() }, '[admin] job retried');
+  res.json(withTimes(getJob(id)));
+});
+
+router.post('/jobs/:id/cancel', (req, res) => {
+  const id = jobIdParam(req);
+  const job = loadJob(id);
+  const reason = String(req.body?.reason || `cancelled by ${req.adminUser}`).slice(0, 500);
+
+  // A failed/dead job can be cancelled too: that is how its waiting children are given up.
+  const ok = updateJobIfStatus(id, ['pending', 'failed', 'dead'], { status: 'cancelled', lastError: reason });
+  if (!ok) throw new AppError(409, `Only pending, failed or dead jobs can be cancelled (job ${id} is ${job.status})`);
+  const dependents = cancelDependentJobs(id, `parent job ${id} cancelled`);
+
+  log.info({ id, by: req.adminUser, dependents }, '[admin] job cancelled');
+  res.json({ ...withTimes(getJob(id)), cancelledDependents: dependents });
+});
+
+router.post('/jobs/:id/reschedule', (req, res) => {
+  const id = jobIdParam(req);
+  const job = loadJob(id);
+  const runAt = parseTime(req.body?.runAt);
+  if (runAt === undefined || Number.isNaN(runAt)) {
+    throw new AppError(400, 'runAt is required (epoch millis or ISO timestamp)');
+  }
+
+  const ok = updateJobIfStatus(id, ['pending'], { runAt });
+  if (!ok) throw new AppError(409, `Only pending jobs can be rescheduled (job ${id} is ${job.status})`);
+
+  log.info({ id, by: req.adminUser, from: new Date(job.runAt).toISOString(), to: new Date(runAt).toISOString() }, '[admin] job rescheduled');
+  res.json(withTimes(getJob(id)));
+});
+
+router.get('/playbooks', (req, res) => {
+  const q = req.query || {};
+  const limit = Math.min(Math.max(toInt(q.limit, 50), 1), 500);
+  const offset = Math.max(toInt(q.offset, 0), 0);
+  const { total, items } = listPlaybooks({ status: q.status, employeeId: q.employeeId }, { limit, offset });
+  res.json({ total, limit, offset, items });
+});
+
+router.get('/playbooks/:id', (req, res) => {
+  res.json(describePlaybook(req.params.id));
+});
+
+router.post('/playbooks/:id/cancel', (req, res) => {
+  const reason = req.body?.reason ? String(req.body.reason).slice(0, 500) : undefined;
+  cancelPlaybook(req.params.id, { by: req.adminUser, reason });
+  res.json(describePlaybook(req.params.id));
+});
+
+// HR reversed the exit: cancel what is left and undo what already ran.
+router.post('/playbooks/:id/rollback', (req, res) => {
+  const { jobId } = rollbackPlaybook(req.params.id, { by: req.adminUser });
+  res.status(202).json({ message: 'rollback queued', jobId, playbook: describePlaybook(req.params.id) });
+});
+
+// Queue a reconciliation run now. { full: true } ignores the incremental window.
+router.post('/reconcile', (req, res) => {
+  const full = String(req.body?.full ?? req.query.full ?? '').toLowerCase() === 'true' || req.body?.full === true;
+  const jobId = upsertJob({ type: 'reconcile', runAt: Date.now(), payload: { full, requestedBy: req.adminUser } });
+  log.info({ jobId, full, by: req.adminUser }, '[admin] reconcile queued');
+  res.status(202).json({ message: 'queued', jobId, full });
+});
+
+// Recurring (cron) jobs: definitions come from RECURRING_JOBS_FILE; paused state is kept in the DB.
+router.get('/recurring', (req, res) => {
+  res.json({ items: describeRecurring() });
+});
+
+router.post('/recurring/:name/pause', (req, res) => {
+  res.json(pauseRecurring(req.params.name, { by: req.adminUser }));
+});
+
+router.post('/recurring/:name/resume', (req, res) => {
+  res.json(resumeRecurring(req.params.name, { by: req.adminUser }));
+});
+
+// Queue a run now; the schedule itself is unchanged.
+router.post('/recurring/:name/trigger', (req, res) => {
+  const out = triggerRecurring(req.params.name, { by: req.adminUser });
+  res.status(202).json({ message: 'queued', ...out });
+});
+
+function isTrue(v) { return v === true || String(v ?? '').toLowerCase() === 'true'; }
+
+function eventIdParam(req) {
+  const id = toInt(req.params.id, NaN);
+  if (!Number.isFinite(id)) throw new AppError(400, 'event id must be numeric');
+  return id;
+}
+
+function webhookFilter(src) {
+  const receivedFrom = parseTime(src.from);
+  const receivedTo = parseTime(src.to);
+  if (Number.isNaN(receivedFrom) || Number.isNaN(receivedTo)) {
+    throw new AppError(400, 'from/to must be epoch millis or ISO timestamps');
+  }
+  return { path: src.path, status: src.status, verified: src.verified, receivedFrom, receivedTo };
+}
+
+// Journaled inbound webhooks, newest first. Filters: path, status (e.g. 500 or "error"), verified, from, to.
+router.get('/webhooks', (req, res) => {
+  const q = req.query;
+  const limit = Math.min(Math.max(toInt(q.limit, 50), 1), 500);
+  const offset = Math.max(toInt(q.offset, 0), 0);
+  const { total, items } = listWebhookEvents(webhookFilter(q), { limit, offset });
+  res.json({ total, limit, offset, items });
+});
+
+router.get('/webhooks/:id', (req, res) => {
+  const id = eventIdParam(req);
+  const event = getWebhookEvent(id);
+  if (!event) throw new AppError(404, `Webhook event ${id} not found`);
+  res.json(event);
+});
+
+// Re-submit a range through the same handlers, oldest first. Body: { from, to, path, status, dryRun, limit }.
+router.post('/webhooks/replay', async (req, res, next) => {
+  try {
+    const b = req.body || {};
+    const filter = webhookFilter(b);
+    if (filter.receivedFrom === undefined || filter.receivedTo === undefined) {
+      throw new AppError(400, 'from and to are required');
+    }
+    const dryRun = isTrue(b.dryRun);
+    const out = await replayRange(filter, { dryRun, by: req.adminUser, limit: toInt(b.limit, MAX_RANGE) });
+    log.info({ matched: out.matched, replayed: out.replayed.length, dryRun, by: req.adminUser }, '[admin] webhook range replayed');
+    res.json({ dryRun, ...out });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Re-submit one event. Body: { dryRun }.
+router.post('/webhooks/:id/replay', async (req, res, next) => {
+  try {
+    const dryRun = isTrue(req.body?.dryRun ?? req.query.dryRun);
+    const out = await replayEvent(eventIdParam(req), { dryRun, by: req.adminUser });
+    res.json({ dryRun, ...out });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * Directory change audit trail, newest first. Filters: from, to, operation,
+ * actorType, actor, target (user id or UPN), jobId, outcome, attribute,
+ * correlationId. `format=csv` exports every match (one row per attribute).
+ */
+router.get('/audit', (req, res) => {
+  const q = req.query;
+  const from = parseTime(q.from);
+  const to = parseTime(q.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) throw new AppError(400, 'from/to must be epoch millis or ISO timestamps');
+  const jobId = q.jobId === undefined ? undefined : toInt(q.jobId, NaN);
+  if (Number.isNaN(jobId)) throw new AppError(400, 'jobId must be numeric');
+  const filter = {
+    from, to, jobId,
+    operation: q.operation,
+    actorType: q.actorType,
+    actor: q.actor,
+    target: q.target,
+    outcome: q.outcome,
+    attribute: q.attribute,
+    correlationId: q.correlationId
+  };
+
+  if (String(q.format || '').toLowerCase() === 'csv') {
+    const { total, items } = listAuditEntries(filter, { limit: AUDIT_EXPORT_MAX });
+    if (total > items.length) throw new AppError(413, `${total} entries match; export at most ${AUDIT_EXPORT_MAX} at a time (narrow from/to)`);
+    log.info({ by: req.adminUser, entries: total }, '[admin] audit exported');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+    return res.send(toCsv(auditCsvRows(items), AUDIT_CSV_COLUMNS));
+  }
+
+  const limit = Math.min(Math.max(toInt(q.limit, 50), 1), 500);
+  const offset = Math.max(toInt(q.offset, 0), 0);
+  const { total, items } = listAuditEntries(filter, { limit, offset });
+  res.json({ total, limit, offset, items: items.map((e) => ({ ...e, atISO: new Date(e.at).toISOString() })) });
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { checkReadiness, liveness } = require('../services/health');
+
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+// GET /health: kept for existing monitors; same answer as /health/live.
+router.get(['/', '/live'], (req, res) => {
+  res.json(liveness());
+});
+
+// GET /health/ready: 503 only when a critical dependency (database, scheduler) is down.
+router.get('/ready', async (req, res, next) => {
+  try {
+    const out = await checkReadiness();
+    res.status(out.status === 'unavailable' ? 503 : 200).json(out);
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+
+const { gauge, renderMetrics } = require('../infra/metrics');
+const { jobQueueStats } = require('../infra/sqlite');
+const { schedulerStats } = require('../infra/scheduler');
+const { rateLimitStats } = require('../infra/rateLimit');
+const { config } = require('../config/env');
+
+const jobs = gauge('jobs', 'Jobs in the queue table by type and status', ['type', 'status']);
+const dueJobs = gauge('queue_due_jobs', 'Pending jobs whose runAt has passed');
+const oldestDue = gauge('queue_oldest_due_age_seconds', 'How long the oldest due pending job has been waiting');
+const running = gauge('jobs_running', 'Jobs executing in this process', ['type']);
+const inFlight = gauge('ratelimit_in_flight', 'Outbound requests in flight per system', ['system']);
+const queued = gauge('ratelimit_queued', 'Outbound requests waiting for a rate-limit slot', ['system']);
+const paused = gauge('ratelimit_paused', '1 while a system is paused after throttling', ['system']);
+
+function timingSafeEq(a, b) {
+  const ba = Buffer.from(String(a || ''), 'utf8');
+  const bb = Buffer.from(String(b || ''), 'utf8');
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Gauges that describe current state are refreshed per scrape rather than kept up to date.
+function collect(nowMs) {
+  const q = jobQueueStats(nowMs);
+  jobs.reset();
+  for (const c of q.counts) jobs.set({ type: c.type, status: c.status }, c.n);
+  dueJobs.set({}, q.due);
+  oldestDue.set({}, q.oldestDueAt ? Math.max(0, nowMs - q.oldestDueAt) / 1000 : 0);
+
+  running.reset();
+  for (const [type, n] of Object.entries(schedulerStats().byType)) running.set({ type }, n);
+
+  for (const l of rateLimitStats()) {
+    inFlight.set({ system: l.system }, l.inFlight);
+    queued.set({ system: l.system }, l.queued);
+    paused.set({ system: l.system }, l.pausedUntil ? 1 : 0);
+  }
+}
+
+// GET /metrics (Prometheus text format). With METRICS_TOKEN set, scrapers must send it as a bearer token.
+router.get('/', (req, res) => {
+  const token = config.METRICS_TOKEN;
+  if (token) {
+    const m = String(req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!m || !timingSafeEq(m[1].trim(), token)) return res.status(401).json({ message: 'unauthorized' });
+  }
+  collect(Date.now());
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { toAppError } = require('../core/errors');
+const { redeemPasswordLink } = require('../services/tempPassword');
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function page(title, body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="robots" content="noindex"><title>${escapeHtml(title)}</title></head><body>${body}</body></html>`;
+}
+
+function noStore(req, res, next) {
+  res.set('Cache-Control', 'no-store');
+  next();
+}
+
+router.use(noStore);
+
+// Opening the link only shows a button, so mail scanners that prefetch URLs do not burn it.
+router.get('/:token', (req, res) => {
+  res.type('html').send(page('Temporary password', `
+    <p>This link shows a temporary password once. After that it no longer works.</p>
+    <form method="post"><button type="submit">Show password</button></form>`));
+});
+
+router.post('/:token', (req, res) => {
+  try {
+    const password = redeemPasswordLink(req.params.token);
+    return res.type('html').send(page('Temporary password', `
+      <p>Temporary password:</p>
+      <pre>${escapeHtml(password)}</pre>
+      <p>You will be asked to change it at first sign-in. This page cannot be opened again.</p>`));
+  } catch (err) {
+    const e = toAppError(err);
+    const status = [404, 410].includes(e.status) ? e.status : 500;
+    const text = status === 410 ? e.message : (status === 404 ? 'This link is not valid.' : 'Something went wrong; try again later.');
+    return res.status(status).type('html').send(page('Link not available', `<p>${escapeHtml(text)}</p>`));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { log } = require('../core/logger');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { getAzureAccessToken } = require('../services/graphAuth');
+const { buildDriftReport, driftReportRows, CSV_COLUMNS } = require('../services/driftReport');
+const { toCsv } = require('../utils/csv');
+
+router.use(requireAdmin);
+
+// GET /api/reports/drift[?format=csv]
+router.get('/drift', async (req, res, next) => {
+  try {
+    const token = await getAzureAccessToken();
+    const report = await buildDriftReport({ token });
+    log.info({ by: req.adminUser, ...report.counts }, '[reports] drift generated');
+
+    const wantsCsv = String(req.query.format || '').toLowerCase() === 'csv' || req.accepts(['json', 'text/csv']) === 'text/csv';
+    if (wantsCsv) {
+      const stamp = report.generatedAt.replace(/[:.]/g, '-');
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="drift-${stamp}.csv"`);
+      return res.send(toCsv(driftReportRows(report), CSV_COLUMNS));
+    }
+    return res.json(report);
+  } catch (e) {
+    return next(e);
+  }
+});
+
+module.exports = router;
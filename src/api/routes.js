@@ -3,17 +3,20 @@
 const express = require('express');
 const router = express.Router();
 
-const axios = require('axios');
 const { DateTime } = require('luxon');
 
 const { log } = require('../core/logger');
 const { verifySignature } = require('../middleware/verifySignature');
-const { get, getInt } = require('../config/env');
+const { idempotency } = require('../middleware/idempotency');
+const { webhookJournal } = require('../middleware/webhookJournal');
+const { webhookActor } = require('../middleware/auditActor');
+const { config } = require('../config/env');
 
 const {
   upsertJob,
   markJob,
   findActiveJobByCandidate,
+  findActiveJobsByEmployee,
   getKV
 } = require('../infra/sqlite');
 
@@ -21,16 +24,17 @@ const { getAzureAccessToken } = require('../services/graphAuth');
 
 const {
   findByEmployeeId,
-  findByEmail,
-  findUserByUPN,
-  getUser,
-  revokeUserSessions,
   updateUser
 } = require('../services/graphUser');
 
 const {
   updateCandidateOfficialEmail
 } = require('../services/zohoPeople');
+const { startOffboarding } = require('../services/offboarding');
+const { reverseExit } = require('../services/rehire');
+const { editIdentifiers } = require('../services/userUpdate');
+const { AppError } = require('../core/errors');
+const { isDryRun } = require('../core/dryRun');
 
 const {
   sendSuccessMail,
@@ -40,9 +44,8 @@ const {
 } = require('../infra/email');
 const { env, emailEnabled } = require('../infra/env');
 
-const tz = process.env.TZ || 'Asia/Kolkata';
+const tz = config.TZ;
 
-function toInt(v, d = 0) { const n = parseInt(v, 10); return Number.isFinite(n) ? n : d; }
 function parseJoinDateIST(s, zone) {
   if (!s) return null;
   const dt = DateTime.fromFormat(String(s).trim(), 'dd-LL-yyyy', { zone: zone || tz });
@@ -68,9 +71,9 @@ function pick(obj, keys) {
   return undefined;
 }
 
-router.get('/health', (req, res) => {
-  res.json({ status: 'ok', time: new Date().toISOString() });
-});
+// Every inbound Zoho webhook is journaled (and replayable) before it is verified,
+// and its changes are audited as made by the sender.
+router.use(['/zoho-candidate', '/zoho-webhook', '/employee-type'], webhookJournal, webhookActor);
 
 // Quick email test under API router
 router.get('/email/test', async (req, res) => {
@@ -90,7 +93,7 @@ router.get('/email/test', async (req, res) => {
   }
 });
 
-router.post('/zoho-candidate/edit', verifySignature, async (req, res) => {
+router.post('/zoho-candidate/edit', verifySignature, idempotency, async (req, res) => {
   try {
     const data = (req.body && Object.keys(req.body).length) ? req.body : req.query;
     const { id, firstname, lastname, email, employeeId, joiningdate } = data;
@@ -103,7 +106,7 @@ router.post('/zoho-candidate/edit', verifySignature, async (req, res) => {
       return res.status(400).json({ message: msg, received: data });
     }
 
-    const cooldownMin = toInt(process.env.PREHIRE_COOLDOWN_MINUTES, 3);
+    const cooldownMin = config.PREHIRE_COOLDOWN_MINUTES;
     const untilStr = getKV(`CANDIDATE_COOLDOWN_UNTIL:${id}`);
     const until = untilStr ? Number(untilStr) : 0;
     if (until && Date.now() < until) {
@@ -112,10 +115,10 @@ router.post('/zoho-candidate/edit', verifySignature, async (req, res) => {
       return res.json({ message: 'cooldown_active', candidateId: id, retryAfterMs: msLeft });
     }
 
-    const execHour = toInt(process.env.PREHIRE_EXEC_HOUR, 14);
-    const execMin = toInt(process.env.PREHIRE_EXEC_MIN, 45);
-    const quickMins = toInt(process.env.POSTJOIN_OFFSET_MINUTES, 2);
-    const prehireDays = toInt(process.env.PREHIRE_OFFSET_DAYS, 5);
+    const execHour = config.PREHIRE_EXEC_HOUR;
+    const execMin = config.PREHIRE_EXEC_MIN;
+    const quickMins = config.POSTJOIN_OFFSET_MINUTES;
+    const prehireDays = config.PREHIRE_OFFSET_DAYS;
 
     const joinDtIST = parseJoinDateIST(joiningdate, tz);
     let runAtDate;
@@ -138,7 +141,9 @@ router.post('/zoho-candidate/edit', verifySignature, async (req, res) => {
       reason = 'no-join->quick';
     }
 
-    const existing = findActiveJobByCandidate('createFromCandidate', id);
+    // Dry-run requests neither replace nor answer for real scheduled jobs, and
+    // real requests ignore pending dry-run jobs.
+    const existing = isDryRun() ? null : findActiveJobByCandidate('createFromCandidate', id, { dryRun: false });
     if (existing) {
       const toleranceMs = 60 * 1000;
       if (Math.abs(existing.runAt - runAtDate.getTime()) <= toleranceMs) {
@@ -170,15 +175,16 @@ router.post('/zoho-candidate/edit', verifySignature, async (req, res) => {
         employeeId,
         joiningdate: joiningdate || null,
         offsetDays: prehireDays,
-        domain: get('AZURE_DEFAULT_DOMAIN'),
+        domain: config.AZURE_DEFAULT_DOMAIN,
         employeeType,
-        employementType: employeeType
+        employementType: employeeType,
+        manager: pick(data, ['manager', 'Reporting_To', 'Reporting To', 'reportingTo']) || null
       }
     });
 
-    if (String(process.env.ZP_PROVISIONAL_UPDATE || 'false').toLowerCase() === 'true') {
+    if (config.ZP_PROVISIONAL_UPDATE) {
       try {
-        const domain = process.env.OFFICIAL_EMAIL_DOMAIN || get('AZURE_DEFAULT_DOMAIN');
+        const domain = config.OFFICIAL_EMAIL_DOMAIN || config.AZURE_DEFAULT_DOMAIN;
         const local = normNickname(firstname, lastname);
         const pref = prefixForEmployeeType(employeeType);
         const provisional = `${pref}${local}@${domain}`;
@@ -212,124 +218,31 @@ router.post('/zoho-candidate/edit', verifySignature, async (req, res) => {
   }
 });
 
-router.post('/zoho-webhook/edit', verifySignature, async (req, res) => {
+// Edits run as `updateUser` jobs so Graph outages are retried by the scheduler, not by Zoho.
+router.post('/zoho-webhook/edit', verifySignature, idempotency, async (req, res) => {
   try {
     const data = Object.keys(req.body || {}).length ? req.body : req.query;
+    const { upn, email, employeeId } = editIdentifiers(data);
 
-    const upn = data.userPrincipalName || data.upn || data.Other_Email || data['Other Email'] || data.otherEmail;
-    const { email, employeeId, manager } = data;
-    const {
-      firstname, lastname, city, country, mobilePhone, department,
-      zohoRole, company, employementType, officelocation, joiningdate
-    } = data;
-
-    const token = await getAzureAccessToken();
-
-    let user = null;
-    let lookedUpBy = null;
-
-    if (upn) {
-      user = await findUserByUPN(token, String(upn).trim());
-      if (user) lookedUpBy = `UPN:${upn}`;
-    }
-    if (!user && email) {
-      user = await findByEmail(token, String(email).trim());
-      if (user) lookedUpBy = `email:${email}`;
-    }
-    if (!user && employeeId) {
-      user = await findByEmployeeId(token, String(employeeId).trim());
-      if (user) lookedUpBy = `employeeId:${employeeId}`;
-    }
-
-    if (!user) {
-      const msg = 'Azure user not found. Provide one of: userPrincipalName/upn/Other_Email or email or employeeId.';
-      log.warn({ tried: { upn, email, employeeId } }, '[edit] not found');
-      await sendFailureMail({ subject: 'EDIT failed (user not found)', text: msg });
-      return res.status(404).json({ message: msg });
-    }
-
-    const patch = {
-      displayName: (firstname || lastname)
-        ? `${firstname || user.givenName || ''} ${lastname || user.surname || ''}`.trim()
-        : undefined,
-      givenName: firstname || undefined,
-      surname: lastname || undefined,
-      otherMails: email ? [String(email).trim()] : undefined,
-      employeeId: employeeId || undefined,
-      country: country || undefined,
-      city: city || undefined,
-      mobilePhone: mobilePhone || undefined,
-      department: department || undefined,
-      jobTitle: zohoRole || undefined,
-      companyName: company || undefined,
-      employeeType: employementType || undefined,
-      officeLocation: officelocation || undefined
-    };
-
-    if (joiningdate) {
-      try {
-        const [dd, mm, yyyy] = String(joiningdate).split('-');
-        const dt = new Date(Date.UTC(Number(yyyy), Number(mm) - 1, Number(dd)));
-        if (!isNaN(dt.getTime())) patch.employeeHireDate = dt.toISOString().replace(/\.\d{3}Z$/, 'Z');
-      } catch (e) {
-        log.warn({ join: joiningdate, err: e?.message }, '[edit] hireDate parse failed');
-      }
-    }
-
-    if (manager) {
-      try {
-        const managerCode = String(manager).split(' ').pop();
-        const mUser = await findByEmployeeId(token, managerCode);
-        if (mUser?.id) {
-          await axios.put(
-            `https://graph.microsoft.com/v1.0/users/${user.id}/manager/$ref`,
-            { '@odata.id': `https://graph.microsoft.com/v1.0/directoryObjects/${mUser.id}` },
-            { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
-          );
-        } else {
-          log.warn({ manager }, '[edit] manager not found by employeeId');
-        }
-      } catch (err) {
-        log.warn({ err: err?.response?.data || err?.message || err }, '[edit] manager update failed');
-      }
-    }
-
-    Object.keys(patch).forEach((k) => patch[k] === undefined && delete patch[k]);
-
-    if (Object.keys(patch).length) {
-      await updateUser(token, user.id, patch);
-    } else {
-      log.info({ userId: user.id }, '[edit] nothing to update');
-      return res.json({
-        message: 'Nothing to update; no valid fields provided',
-        userId: user.id,
-        upn: user.userPrincipalName,
-        lookedUpBy
-      });
+    if (!upn && !email && !employeeId) {
+      const msg = 'Provide one of: userPrincipalName/upn/Other_Email or email or employeeId.';
+      log.warn('[edit] no identifier');
+      await sendFailureMail({ subject: 'EDIT failed (no identifier)', text: msg });
+      return res.status(400).json({ message: msg });
     }
 
-    await sendSuccessMail({
-      subject: 'EDIT succeeded',
-      text: `Updated user ${user.userPrincipalName || user.id}. Fields: ${Object.keys(patch).join(', ')}`
-    });
-
-    return res.json({
-      message: 'Azure user updated',
-      userId: user.id,
-      upn: user.userPrincipalName,
-      lookedUpBy,
-      updatedFields: Object.keys(patch),
-      handledAt: new Date().toISOString()
-    });
+    const jobId = upsertJob({ type: 'updateUser', runAt: Date.now(), payload: { employeeId: employeeId ? String(employeeId).trim() : null, data } });
+    log.info({ jobId, employeeId, upn }, '[edit] queued');
+    return res.status(202).json({ message: 'queued', jobId, employeeId: employeeId || null, upn: upn || null });
   } catch (err) {
-    const details = err?.response?.data || err?.message || String(err);
+    const details = err?.message || String(err);
     log.error({ err: details }, '[edit] failed');
     await sendFailureMail({ subject: 'EDIT failed', text: String(details) });
-    return res.status(500).json({ message: 'Failed to update Azure user', details });
+    return res.status(500).json({ message: 'Failed to queue Azure user update', details });
   }
 });
 
-router.post('/zoho-webhook/delete', verifySignature, async (req, res) => {
+router.post('/zoho-webhook/delete', verifySignature, idempotency, async (req, res) => {
   try {
     const data = Object.keys(req.body || {}).length ? req.body : req.query;
 
@@ -345,90 +258,38 @@ router.post('/zoho-webhook/delete', verifySignature, async (req, res) => {
       return res.status(400).json({ message: msg });
     }
 
-    const H = getInt('OFFBOARD_EXEC_HOUR', 14);
-    const M = getInt('OFFBOARD_EXEC_MIN', 20);
+    const H = config.OFFBOARD_EXEC_HOUR;
+    const M = config.OFFBOARD_EXEC_MIN;
     const exitDtIST = parseJoinDateIST(exitDateRaw, tz);
     const candidate = exitDtIST
       ? new Date(exitDtIST.set({ hour: H, minute: M, second: 0, millisecond: 0 }).toUTC().toMillis())
       : null;
 
-    if (!candidate || candidate.getTime() <= Date.now()) {
-      const token = await getAzureAccessToken();
-
-      let user = await findByEmployeeId(token, String(employeeId).trim());
-      if (!user && email) {
-        const byEmail = await findByEmail(token, String(email).trim());
-        if (byEmail && String(byEmail.employeeId ?? '').trim() === String(employeeId).trim()) user = byEmail;
-      }
-      if (!user && upn) {
-        const byUpn = await findUserByUPN(token, String(upn).trim());
-        if (byUpn && String(byUpn.employeeId ?? '').trim() === String(employeeId).trim()) user = byUpn;
-      }
-
-      if (!user) {
-        const msg = 'Azure user not found with matching employeeId';
-        log.warn({ employeeId, email, upn }, '[delete] not found');
-        await sendFailureMail({ subject: 'DELETE failed (not found)', text: msg });
-        return res.status(404).json({ message: msg, employeeId });
-      }
-
-      try { await revokeUserSessions(token, user.id); } catch { }
-      try {
-        await updateUser(token, user.id, { accountEnabled: false });
-
-        try {
-          const groupsRes = await axios.get(
-            `https://graph.microsoft.com/v1.0/users/${user.id}/memberOf?$select=id`,
-            { headers: { Authorization: `Bearer ${token}` } }
-          );
-          const groups = groupsRes.data.value || [];
-          for (const g of groups) {
-            try {
-              await axios.delete(
-                `https://graph.microsoft.com/v1.0/groups/${g.id}/members/${user.id}/$ref`,
-                { headers: { Authorization: `Bearer ${token}` } }
-              );
-            } catch { }
-          }
-        } catch { }
-
-        try {
-          await axios.delete(
-            `https://graph.microsoft.com/v1.0/users/${user.id}/manager/$ref`,
-            { headers: { Authorization: `Bearer ${token}` } }
-          );
-        } catch { }
-      } catch (e) {
-        const details = e?.response?.data || e?.message || e;
-        log.error({ err: details }, '[delete] disable failed');
-        await sendFailureMail({ subject: 'DELETE failed (update)', text: String(details) });
-        return res.status(502).json({ message: 'Delete failed', details });
-      }
-
-      await sendSuccessMail({
-        subject: 'DELETE (immediate) succeeded',
-        text: `Disabled user ${user.userPrincipalName || user.id} (employeeId ${employeeId}).`
-      });
-
-      return res.json({
-        message: 'deleted',
-        userId: user.id,
-        upn: user.userPrincipalName,
-        employeeId: String(employeeId).trim(),
-        mode: 'immediate'
+    const immediate = !candidate || candidate.getTime() <= Date.now();
+    if (immediate) {
+      const id = String(employeeId).trim();
+      // A pending dry-run job must not stand in for a real exit.
+      const queued = findActiveJobsByEmployee(['offboardNow'], id, { dryRun: false })[0];
+      const jobId = queued ? queued.id : upsertJob({
+        type: 'offboardNow',
+        runAt: Date.now(),
+        payload: { employeeId: id, email: email || null, upn: upn || null, requestedBy: 'webhook' }
       });
+      log.info({ jobId, employeeId: id, alreadyQueued: !!queued }, '[delete] immediate offboarding queued');
+      return res.status(202).json({ message: 'queued', mode: 'immediate', jobId, employeeId: id });
     }
 
-    const runAt = candidate.getTime();
-    const jobId = upsertJob({
-      type: 'disableUser',
-      runAt,
-      payload: { employeeId: String(employeeId).trim(), email: email || null, upn: upn || null }
+    const playbook = startOffboarding({
+      employeeId: String(employeeId).trim(),
+      email: email || null,
+      upn: upn || null,
+      exitAt: candidate.getTime()
     });
+    const stages = playbook.stages.map((st) => ({ name: st.name, jobId: st.jobId, runAt: new Date(st.runAt).toISOString() }));
 
     await sendSuccessMail({
-      subject: `DELETE scheduled (job ${jobId})`,
-      text: `Disable scheduled at ${candidate.toISOString()} for employeeId ${employeeId}.`
+      subject: `DELETE scheduled (playbook ${playbook.id})`,
+      text: `Offboarding for employeeId ${employeeId}: ${stages.map((st) => `${st.name} at ${st.runAt}`).join(', ')}.`
     });
 
     return res.json({
@@ -436,7 +297,9 @@ router.post('/zoho-webhook/delete', verifySignature, async (req, res) => {
       runAt: candidate.toISOString(),
       exitDateIST: exitDtIST ? exitDtIST.toISODate() : null,
       execAtIST: `${String(H).padStart(2, '0')}:${String(M).padStart(2, '0')}`,
-      mode: 'scheduled'
+      mode: 'scheduled',
+      playbookId: playbook.id,
+      stages
     });
   } catch (e) {
     const details = e?.response?.data || e?.message || String(e);
@@ -446,6 +309,46 @@ router.post('/zoho-webhook/delete', verifySignature, async (req, res) => {
   }
 });
 
+// Zoho "exit cancelled": stop whatever offboarding is pending and undo what already ran.
+router.post('/zoho-webhook/exit-cancel', verifySignature, async (req, res) => {
+  try {
+    const data = Object.keys(req.body || {}).length ? req.body : req.query;
+
+    const employeeId = pick(data, ['employeeId', 'EmployeeID', 'EmpID', 'Emp Id', 'empId']);
+    const email = pick(data, ['email', 'mail', 'Email']);
+    const upn = pick(data, ['userPrincipalName', 'upn', 'Other_Email', 'Other Email', 'otherEmail']);
+
+    if (!employeeId) {
+      const msg = 'employeeId is required';
+      log.warn('[exit-cancel] missing employeeId');
+      await sendFailureMail({ subject: 'EXIT-CANCEL failed (missing employeeId)', text: msg });
+      return res.status(400).json({ message: msg });
+    }
+
+    const token = await getAzureAccessToken();
+    const out = await reverseExit(token, { employeeId: String(employeeId).trim(), email: email || null, upn: upn || null, by: 'webhook' });
+
+    const done = [
+      out.cancelledJobs.length ? `cancelled jobs ${out.cancelledJobs.join(', ')}` : null,
+      out.playbook ? `playbook ${out.playbook.id} ${out.playbook.action === 'rollback' ? `rollback queued (job ${out.playbook.jobId})` : 'cancelled'}` : null,
+      out.restored ? 'restored from deleted items' : null,
+      out.reenabled ? 're-enabled account' : null
+    ].filter(Boolean);
+    await sendSuccessMail({
+      subject: 'EXIT-CANCEL succeeded',
+      text: `Exit reversed for employeeId ${out.employeeId}: ${done.join('; ') || 'nothing was pending'}.`
+    });
+
+    return res.json({ message: 'exit_reversed', ...out });
+  } catch (e) {
+    const details = e?.response?.data || e?.message || String(e);
+    const status = e instanceof AppError ? e.status : 500;
+    log.error({ err: details }, '[exit-cancel] failed');
+    await sendFailureMail({ subject: 'EXIT-CANCEL failed', text: String(details) });
+    return res.status(status).json({ message: status === 404 ? 'Azure user not found with matching employeeId' : 'Exit reversal failed', details });
+  }
+});
+
 router.post('/employee-type/edit', verifySignature, async (req, res) => {
   try {
     const { employeeId, type } = req.body || {};
@@ -1,12 +1,30 @@
 'use strict';
 
+/**
+ * config/env.js
+ * The validated configuration, built once from process.env (and .env) when
+ * this module is first required. Settings, types and defaults are in
+ * config/schema.js. Invalid settings throw a ConfigError listing every problem;
+ * src/index.js requires this first and exits with that list.
+ *
+ * API:
+ *   - config          frozen { SETTING: typed value }
+ *   - ConfigError     (from config/schema) .problems: string[]
+ *   - get(k, d), getInt(k, d)  kept for the legacy server.js; src/ reads `config`
+ */
+
 require('dotenv').config();
+const { buildConfig, ConfigError } = require('./schema');
+
+const { config, errors } = buildConfig(process.env);
+if (errors.length) throw new ConfigError(errors);
+Object.freeze(config);
 
-const get = (k, d = undefined) => (process.env[k] !== undefined ? process.env[k] : d);
+const get = (k, d = undefined) => (config[k] !== undefined ? config[k] : (process.env[k] !== undefined ? process.env[k] : d));
 
 const getInt = (k, d = 0) => {
-  const v = parseInt(process.env[k], 10);
+  const v = parseInt(get(k), 10);
   return Number.isFinite(v) ? v : d;
 };
 
-module.exports = { get, getInt };
+module.exports = { config, ConfigError, get, getInt };
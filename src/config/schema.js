@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * config/schema.js
+ * Every environment setting the service reads: its type, range or allowed
+ * values, default, and when it becomes required. config/env.js validates
+ * process.env against it once at boot; `npm run config:print` shows the result.
+ *
+ * Empty values (`KEY=` in .env) count as unset. Unknown variables are ignored.
+ * Families keyed by job type or system keep their defaults in the module that
+ * owns them (infra/jobPolicy, infra/rateLimit) and are only type-checked here.
+ *
+ * API:
+ *   - buildConfig(source)   -> { config, errors: string[] } (never throws)
+ *   - ConfigError(errors)   thrown by config/env.js; .problems = errors
+ *   - describeConfig(config, source) -> [{ key, value, source: 'env' | 'default' | 'unset' }], secrets masked
+ */
+
+const joi = require('joi');
+const { IANAZone } = require('luxon');
+
+const bool = (def) => joi.boolean().truthy('1', 'yes', 'on').falsy('0', 'no', 'off').default(def);
+const int = () => joi.number().integer();
+const str = () => joi.string().trim();
+const host = () => str().hostname();
+const url = () => str().uri({ scheme: ['http', 'https'] });
+const oneOf = (values, def) => str().valid(...values).insensitive().default(def);
+const requiredWhen = (ref, is, why) => joi.when(ref, { is, then: joi.required().messages({ 'any.required': `{#label} is required when ${why}` }) });
+const timezone = () => str().custom((v, helpers) => (IANAZone.isValidZone(v) ? v : helpers.message(`{#label} must be an IANA time zone such as Asia/Kolkata (got "${v}")`)));
+const recipientList = () => str().pattern(/^(manager|personal)(\s*,\s*(manager|personal))*$/i).messages({
+  'string.pattern.base': '{#label} must be a comma-separated list of manager, personal'
+});
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration (fix the environment or .env and restart):\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const SECRET_KEY = /SECRET|_PASS$|TOKEN/;
+
+const schema = joi.object({
+  // Runtime
+  NODE_ENV: oneOf(['development', 'production', 'test'], 'development'),
+  PORT: joi.number().port().default(3008),
+  TZ: timezone().default('Asia/Kolkata'),
+  LOG_LEVEL: str().valid('debug', 'info', 'warn', 'error').insensitive()
+    .default((parent) => (parent.NODE_ENV === 'production' ? 'info' : 'debug')),
+  LOG_JSON: bool(false),
+  LOG_CLIP: int().min(100).default(10000),
+  DRY_RUN: bool(false),
+  ADMIN_API_TOKEN: str(),
+  METRICS_TOKEN: str(),
+  PUBLIC_BASE_URL: url().when('TEMP_PASSWORD_DELIVERY', {
+    is: 'link',
+    then: joi.required().messages({ 'any.required': '{#label} is required when TEMP_PASSWORD_DELIVERY=link' })
+  }),
+
+  // Microsoft Graph (always used)
+  AZURE_TENANT_ID: str().required(),
+  AZURE_CLIENT_ID: str().required(),
+  AZURE_CLIENT_SECRET: str().required(),
+  AZURE_DEFAULT_DOMAIN: host().required(),
+  AZURE_AUTH_HOST: host().default('login.microsoftonline.com'),
+  AZURE_AUTH_TIMEOUT_MS: int().min(1000).max(120000).default(20000),
+  OFFICIAL_EMAIL_DOMAIN: host(),
+
+  // Zoho People (token calls need all three once a refresh token is configured)
+  ZOHO_DC: oneOf(['com', 'eu', 'in', 'com.au', 'jp', 'ca', 'com.cn', 'sa', 'uk'], 'com'),
+  ZOHO_PEOPLE_BASE: url().default('https://people.zoho.com'),
+  ZOHO_REFRESH_TOKEN: str(),
+  ZOHO_CLIENT_ID: str().concat(requiredWhen('ZOHO_REFRESH_TOKEN', joi.exist(), 'ZOHO_REFRESH_TOKEN is set')),
+  ZOHO_CLIENT_SECRET: str().concat(requiredWhen('ZOHO_REFRESH_TOKEN', joi.exist(), 'ZOHO_REFRESH_TOKEN is set')),
+  OFFICIAL_EMAIL_FIELD_LINK_NAME: str().default('Other_Email'),
+  ZOHO_EMPLOYEEID_FIELD_LINK_NAME: str().default('Employee_ID'),
+  ZOHO_EMPLOYEE_VIEW: str().default('P_EmployeeView'),
+  ZOHO_EMPLOYEE_ALIAS_COLUMN: str().default('EMPLOYEEMAILALIASs'),
+  ZOHO_EMPLOYEE_ID_COLUMN: str().default('EMPLOYEEID'),
+  ZP_PROVISIONAL_UPDATE: bool(false),
+
+  // Webhooks
+  REQUIRE_WEBHOOK_AUTH: bool(false),
+  WEBHOOK_SECRET: str().when('REQUIRE_WEBHOOK_AUTH', {
+    is: true,
+    then: joi.when('ZOHO_WEBHOOK_SECRET', {
+      not: joi.exist(),
+      then: joi.required().messages({ 'any.required': '{#label} (or ZOHO_WEBHOOK_SECRET) is required when REQUIRE_WEBHOOK_AUTH=true' })
+    })
+  }),
+  ZOHO_WEBHOOK_SECRET: str(),
+  WEBHOOK_TOLERANCE_SEC: int().min(1).default(300),
+  WEBHOOK_REPLAY_TTL_SEC: int().min(1).default(86400),
+  IDEMPOTENCY_TTL_HOURS: int().min(1).default(24),
+  WEBHOOK_JOURNAL_RETENTION_DAYS: int().min(0).default(30), // 0 = keep forever
+
+  // Onboarding / offboarding schedule (local time in TZ)
+  PREHIRE_OFFSET_DAYS: int().min(0).max(60).default(5),
+  PREHIRE_EXEC_HOUR: int().min(0).max(23).default(14),
+  PREHIRE_EXEC_MIN: int().min(0).max(59).default(45),
+  POSTJOIN_OFFSET_MINUTES: int().min(0).default(2),
+  PREHIRE_COOLDOWN_MINUTES: int().min(0).default(3),
+  OFFBOARD_EXEC_HOUR: int().min(0).max(23).default(14),
+  OFFBOARD_EXEC_MIN: int().min(0).max(59).default(20),
+  OFFBOARD_AUTO_REPLY_MESSAGE: str(),
+  MANAGER_SYNC_RETRY_MINUTES: int().min(1).default(60),
+  MANAGER_SYNC_GIVE_UP_DAYS: int().min(1).default(14),
+
+  // Employee IDs
+  EMPLOYEE_ID_STRATEGY: oneOf(['zoho_only', 'hybrid', 'azure_first'], 'zoho_only'),
+  EMPLOYEE_ID_PREFIX: str().default(''),
+  EMPLOYEE_ID_PAD: int().min(0).max(20).default(0),
+
+  // Temporary passwords
+  TEMP_PASSWORD_DELIVERY: oneOf(['email', 'link', 'off'], 'email'),
+  TEMP_PASSWORD_RECIPIENT: recipientList().lowercase().default('manager,personal'),
+  TEMP_PASSWORD_LENGTH: int().min(12).max(64).default(16),
+  TEMP_PASSWORD_LINK_TTL_HOURS: int().min(1).max(24 * 30).default(48),
+
+  // Reconciliation
+  SYNC_PAGE_SIZE: int().min(50).max(500).default(200),
+  SYNC_OVERLAP_MINUTES: int().min(0).default(5),
+  SYNC_DOMAIN_ALLOWLIST: str(),
+  SYNC_DEPT_ALLOWLIST: str(),
+
+  // Config files (JSON; empty = the copy in src/config)
+  ATTRIBUTE_MAP_FILE: str(),
+  PROVISIONING_RULES_FILE: str(),
+  OFFBOARDING_PLAYBOOK_FILE: str(),
+  RECURRING_JOBS_FILE: str(),
+
+  // Scheduler and jobs
+  SCHED_INTERVAL_MS: int().min(100).max(3600000).default(5000),
+  JOB_CONCURRENCY: int().min(1).max(64).default(4),
+  JOB_LEASE_MS: int().min(10000).default(120000),
+  JOB_RETRY_MAX: int().min(1).default(5),
+  JOB_RETRY_BASE_MS: int().min(0).default(60000),
+  JOB_RETRY_MAX_DELAY_MS: int().min(0).default(3600000),
+
+  // Outbound rate limits (defaults in infra/rateLimit)
+  GRAPH_CONCURRENCY: int().min(1).max(32),
+  GRAPH_RATE_PER_SEC: joi.number().positive(),
+  GRAPH_BURST: int().min(1),
+  ZOHO_CONCURRENCY: int().min(1).max(32),
+  ZOHO_RATE_PER_SEC: joi.number().positive(),
+  ZOHO_BURST: int().min(1),
+
+  // Graph retries (429/5xx/network errors, exponential backoff)
+  GRAPH_RETRY_MAX: int().min(0).max(10).default(3),
+  GRAPH_RETRY_BASE_MS: int().min(0).max(60000).default(300),
+
+  // Storage
+  STORAGE_DRIVER: oneOf(['auto', 'native', 'sqljs'], 'auto'),
+  STORAGE_FLUSH_MS: int().min(0).default(200),
+
+  // Email (host, user and password go together; without a host email is off)
+  EMAIL_MODE: oneOf(['event', 'summary', 'both', 'off'], 'event'),
+  EMAIL_SUBJECT_PREFIX: str().default('[Zoho-Azure Sync]'),
+  EMAIL_SMTP_HOST: host(),
+  EMAIL_SMTP_PORT: joi.number().port().default(587),
+  EMAIL_SMTP_SECURE: bool(false),
+  EMAIL_SMTP_USER: str().concat(requiredWhen('EMAIL_SMTP_HOST', joi.exist(), 'EMAIL_SMTP_HOST is set')),
+  EMAIL_SMTP_PASS: str().concat(requiredWhen('EMAIL_SMTP_HOST', joi.exist(), 'EMAIL_SMTP_HOST is set')),
+  EMAIL_FROM: str().default('sync@example.com'),
+  EMAIL_TO_SUCCESS: str().default(''),
+  EMAIL_TO_FAILURE: str().default(''),
+  EMAIL_TO_SUMMARY: str().default(''),
+  EMAIL_TO_DEAD: str().default(''),
+  EMAIL_RATE_PER_MINUTE: int().min(1).default(120),
+  EMAIL_HIDE_PII: bool(true),
+
+  // Health probes (see services/health)
+  HEALTH_DB_TTL_MS: int().min(0).default(10000),
+  HEALTH_GRAPH_TTL_MS: int().min(0).default(300000),
+  HEALTH_ZOHO_TTL_MS: int().min(0).default(900000),
+  HEALTH_SMTP_TTL_MS: int().min(0).default(300000),
+  HEALTH_FAILED_TTL_MS: int().min(0).default(60000),
+  HEALTH_PROBE_TIMEOUT_MS: int().min(100).default(10000),
+  HEALTH_SCHEDULER_STALE_MS: int().min(1000).default((parent) => Math.max(60000, parent.SCHED_INTERVAL_MS * 3))
+})
+  // Per job type overrides (infra/jobPolicy), e.g. JOB_RETRY_MAX_CREATE
+  .pattern(/^JOB_RETRY_MAX_[A-Z0-9_]+$/, int().min(1))
+  .pattern(/^JOB_RETRY_BASE_MS_[A-Z0-9_]+$/, int().min(0))
+  .pattern(/^JOB_CONCURRENCY_[A-Z0-9_]+$/, int().min(0))
+  .unknown(true);
+
+const KNOWN_KEYS = new Set(Object.keys(schema.describe().keys));
+const PATTERN_KEYS = [/^JOB_RETRY_MAX_[A-Z0-9_]+$/, /^JOB_RETRY_BASE_MS_[A-Z0-9_]+$/, /^JOB_CONCURRENCY_[A-Z0-9_]+$/];
+
+function isConfigKey(key) {
+  return KNOWN_KEYS.has(key) || PATTERN_KEYS.some((p) => p.test(key));
+}
+
+// Only this service's variables, with `KEY=` treated as unset.
+function settingsFrom(source) {
+  const out = {};
+  for (const [k, v] of Object.entries(source || {})) {
+    if (isConfigKey(k) && v !== undefined && String(v).trim() !== '') out[k] = v;
+  }
+  return out;
+}
+
+function buildConfig(source = process.env) {
+  const { value, error } = schema.validate(settingsFrom(source), { abortEarly: false, errors: { wrap: { label: false } } });
+  const errors = (error?.details || []).map((d) => {
+    const got = d.context?.value;
+    const shown = got === undefined || SECRET_KEY.test(d.context?.key || '') ? '' : ` (got "${got}")`;
+    return d.message.includes('(got ') ? d.message : `${d.message}${shown}`;
+  });
+  const config = {};
+  for (const [k, v] of Object.entries(value || {})) if (isConfigKey(k)) config[k] = v;
+  return { config, errors };
+}
+
+function maskValue(key, v) {
+  if (v === undefined || v === '') return v;
+  return SECRET_KEY.test(key) ? `[set, ${String(v).length} chars]` : v;
+}
+
+function describeConfig(config, source = process.env) {
+  const given = settingsFrom(source);
+  const keys = [...KNOWN_KEYS, ...Object.keys(config).filter((k) => !KNOWN_KEYS.has(k)).sort()];
+  return keys.map((key) => ({
+    key,
+    value: maskValue(key, config[key]),
+    source: key in given ? 'env' : (config[key] === undefined ? 'unset' : 'default')
+  }));
+}
+
+module.exports = { buildConfig, describeConfig, ConfigError };
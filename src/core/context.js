@@ -0,0 +1,19 @@
+'use strict';
+
+// src/core/context.js
+// Per-execution context (one HTTP request or one job run) carried across
+// awaits with AsyncLocalStorage. Nested scopes inherit their parent's values.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const als = new AsyncLocalStorage();
+
+function getContext() {
+  return als.getStore() || null;
+}
+
+function runWithContext(values, fn) {
+  const parent = als.getStore() || {};
+  return als.run({ ...parent, ...values }, fn);
+}
+
+module.exports = { getContext, runWithContext };
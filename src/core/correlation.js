@@ -0,0 +1,61 @@
+'use strict';
+
+// src/core/correlation.js
+// Correlation IDs: one per inbound request (or taken from its x-correlation-id /
+// x-request-id header), stored with every job the request queues and restored
+// when the job runs, so logs, Graph/Zoho calls, audit rows and emails for one
+// candidate or employee all carry the same ID.
+const crypto = require('crypto');
+const { getContext, runWithContext } = require('./context');
+
+const HEADER = 'x-correlation-id';
+const ACCEPTED_HEADERS = [HEADER, 'x-request-id'];
+// Anything else in the header is ignored (and a fresh ID used) so it is safe in logs and mail subjects.
+const VALID_ID = /^[A-Za-z0-9._:-]{8,100}$/;
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+function currentCorrelationId() {
+  return getContext()?.correlationId || null;
+}
+
+function withCorrelationId(id, fn) {
+  return runWithContext({ correlationId: id || newCorrelationId() }, fn);
+}
+
+// Express middleware: opens the request's correlation scope and echoes the ID back.
+function correlationScope(req, res, next) {
+  const incoming = ACCEPTED_HEADERS.map((h) => String(req.get(h) || '').trim()).find((v) => VALID_ID.test(v));
+  const id = incoming || newCorrelationId();
+  res.set(HEADER, id);
+  withCorrelationId(id, next);
+}
+
+/**
+ * Sends the current ID as `client-request-id` (the header Graph and Zoho log
+ * on their side). Graph only accepts a GUID there, so a caller-supplied ID in
+ * another format is left off Graph calls.
+ */
+function attachCorrelation(axiosInstance, { guidOnly = false } = {}) {
+  axiosInstance.interceptors.request.use((config) => {
+    const id = currentCorrelationId();
+    if (id && (!guidOnly || GUID.test(id))) {
+      config.headers = config.headers || {};
+      config.headers['client-request-id'] = id;
+    }
+    return config;
+  });
+  return axiosInstance;
+}
+
+module.exports = {
+  HEADER,
+  newCorrelationId,
+  currentCorrelationId,
+  withCorrelationId,
+  correlationScope,
+  attachCorrelation
+};
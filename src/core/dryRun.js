@@ -0,0 +1,64 @@
+'use strict';
+
+// src/core/dryRun.js
+// Global dry-run (DRY_RUN=true, or `x-dry-run: true` on a request): every
+// mutating Graph/Zoho call is recorded as a plan step instead of being sent.
+const { getContext, runWithContext } = require('./context');
+const { log, maskSecretsObj } = require('./logger');
+const { config } = require('../config/env');
+
+function envDryRun() {
+  return config.DRY_RUN;
+}
+
+function isDryRun() {
+  const ctx = getContext();
+  if (ctx && typeof ctx.dryRun === 'boolean') return ctx.dryRun || envDryRun();
+  return envDryRun();
+}
+
+/**
+ * Record an intended write. `step` = { system, method, path, body? }.
+ * Secrets in the body (passwords, tokens) are redacted before they are kept.
+ */
+function recordPlan(step) {
+  const entry = { ...step, body: step.body === undefined ? undefined : maskSecretsObj(step.body) };
+  const ctx = getContext();
+  if (ctx && Array.isArray(ctx.plan)) ctx.plan.push(entry);
+  log.info({ system: entry.system, method: entry.method, path: entry.path }, '[dry-run] write skipped');
+  return entry;
+}
+
+function currentPlan() {
+  const ctx = getContext();
+  return (ctx && Array.isArray(ctx.plan)) ? ctx.plan : [];
+}
+
+// Run fn with a fresh plan. `dryRun` can only switch dry-run on, never off.
+function withPlanScope(fn, { dryRun } = {}) {
+  return runWithContext({ plan: [], dryRun: !!dryRun || envDryRun() }, fn);
+}
+
+// Adds { dryRun, plan } to a result object when the current scope is a dry run.
+function withPlan(obj) {
+  if (!isDryRun()) return obj;
+  return { ...(obj || {}), dryRun: true, plan: currentPlan() };
+}
+
+/**
+ * Express middleware: opens a plan scope per request and, in dry-run, attaches
+ * the recorded plan to every JSON object response.
+ */
+function dryRunScope(req, res, next) {
+  const forced = String(req.get('x-dry-run') || '').toLowerCase() === 'true';
+  withPlanScope(() => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const isPlainObject = body && typeof body === 'object' && !Array.isArray(body);
+      return json(isPlainObject ? withPlan(body) : body);
+    };
+    next();
+  }, { dryRun: forced });
+}
+
+module.exports = { isDryRun, recordPlan, currentPlan, withPlanScope, withPlan, dryRunScope };
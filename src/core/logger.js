@@ -2,14 +2,13 @@
 
 // src/core/logger.js
 const morgan = require('morgan');
+const { getContext } = require('./context');
 
-let envObj = {};
-try { ({ env: envObj } = require('../infra/env')); } catch (_) { }
+const { config } = require('../config/env');
 
-const isProd = process.env.NODE_ENV === 'production';
-const LOG_LEVEL = (process.env.LOG_LEVEL || (isProd ? 'info' : 'debug')).toLowerCase();
-const LOG_JSON = String(process.env.LOG_JSON || '').toLowerCase() === 'true';
-const CLIP = Number.isFinite(parseInt(process.env.LOG_CLIP, 10)) ? parseInt(process.env.LOG_CLIP, 10) : 10000;
+const LOG_LEVEL = config.LOG_LEVEL;
+const LOG_JSON = config.LOG_JSON;
+const CLIP = config.LOG_CLIP;
 
 const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
 function levelEnabled(lvl) { return LEVELS[lvl] >= LEVELS[LOG_LEVEL]; }
@@ -24,6 +23,7 @@ function maskSecretsStr(s) {
   let t = String(s);
   t = t.replace(/Authorization:\s*Bearer\s+[A-Za-z0-9._\-~+/=]+/gi, 'Authorization: Bearer [REDACTED]');
   t = t.replace(/([A-Za-z0-9_.-]*(secret|password|pwd|token)[A-Za-z0-9_.-]*)(\s*[:=]\s*)["']?([^"'\s]{6,})["']?/gi, '$1$3[REDACTED]');
+  t = t.replace(/(\/password\/)[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, '$1[REDACTED]'); // one-time password links
   t = t.replace(/\b(eyJ[0-9A-Za-z._-]{20,}|[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12})\b/gi, '[REDACTED]');
   return t;
 }
@@ -81,13 +81,15 @@ function write(level, ...args) {
   if (!levelEnabled(level)) return;
   const ts = new Date().toISOString();
   const { msg, meta } = toPrintable(args);
+  // Added after masking: the ID is often a UUID, which maskSecretsStr would hide.
+  const correlationId = getContext()?.correlationId;
   if (LOG_JSON) {
-    const line = { ts, level, msg: msg || undefined, ...(meta ? { meta } : {}) };
+    const line = { ts, level, correlationId, msg: msg || undefined, ...(meta ? { meta } : {}) };
     (level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(JSON.stringify(line));
     return;
   }
   const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN ]' : level === 'info' ? '[INFO ]' : '[DEBUG]';
-  const head = `${ts} ${prefix}`;
+  const head = correlationId ? `${ts} ${prefix} [${correlationId}]` : `${ts} ${prefix}`;
   if (meta) (level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(head, msg || '', meta);
   else (level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(head, msg || '');
 }
@@ -100,8 +102,9 @@ const log = {
   isLevelEnabled: (lvl) => levelEnabled(lvl)
 };
 
-const httpLogger = morgan(':method :url :status :res[content-length] - :response-time ms', {
+// The response header, not the context: morgan writes after the request's scope has ended.
+const httpLogger = morgan(':method :url :status :res[content-length] - :response-time ms :res[x-correlation-id]', {
   stream: { write: (line) => log.info('[HTTP]', maskSecretsStr(line.trim())) }
 });
 
-module.exports = { httpLogger, log };
+module.exports = { httpLogger, log, maskSecretsObj };
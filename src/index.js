@@ -1,21 +1,45 @@
 'use strict';
 
+// Validate the configuration before anything reads it; a bad setting stops the boot with the full list.
+let config;
+try {
+  ({ config } = require('./config/env'));
+} catch (e) {
+  if (e.name !== 'ConfigError') throw e;
+  console.error(e.message);
+  process.exit(1);
+}
+
 const express = require('express');
 const helmet = require('helmet');
 const axios = require('axios');
 const { attachRetry } = require('./core/retry');
-
+const { attachRateLimit } = require('./infra/rateLimit');
+const { attachCorrelation, correlationScope } = require('./core/correlation');
+const { attachHttpMetrics } = require('./infra/metrics');
+
+// The shared axios instance is only used for Zoho; Graph has its own (services/graphUser).
+attachCorrelation(axios);
+attachHttpMetrics(axios, 'zoho');
+attachRateLimit(axios, 'zoho');
 attachRetry(axios, { retries: 3, baseDelayMs: 300 });
 
 const { httpLogger, log } = require('./core/logger');
 const { AppError, toAppError } = require('./core/errors');
+const { dryRunScope, isDryRun } = require('./core/dryRun');
 const { initSQLite, markJob, setKV } = require('./infra/sqlite');
-const { tickRunner } = require('./infra/scheduler');
+const { tickRunner, failJob, checkpointJob } = require('./infra/scheduler');
 const routes = require('./api/routes');
-const { get } = require('./config/env');
+const adminRoutes = require('./api/admin');
+const reportRoutes = require('./api/reports');
+const passwordLinkRoutes = require('./api/passwordLink');
+const metricsRoutes = require('./api/metrics');
+const healthRoutes = require('./api/health');
 const { DateTime } = require('luxon');
 
-const { sendSuccessMail, sendFailureMail, verifyEmailTransport } = require('./infra/email');
+const { sendMail, sendSuccessMail, sendFailureMail, verifyEmailTransport } = require('./infra/email');
+const { env } = require('./infra/env');
+const { toCsv } = require('./utils/csv');
 
 const { getAzureAccessToken } = require('./services/graphAuth');
 const {
@@ -29,7 +53,28 @@ const {
   updateUser
 } = require('./services/graphUser');
 const {
-  officialEmailFromUpn,
+  allocateEmployeeId,
+  commitEmployeeId,
+  releaseEmployeeId
+} = require('./services/employeeId');
+const { runReconciliation } = require('./services/reconcile');
+const { syncRecurring, fireDueRecurring } = require('./services/recurring');
+const {
+  runTokenHealthCheck,
+  buildStaleAccountReport,
+  buildDailySummary,
+  describeDailySummary,
+  STALE_CSV_COLUMNS
+} = require('./services/housekeeping');
+const { describeEntitlements } = require('./services/provisioningRules');
+const { runStage, runRollback, runOffboardNow, cancelPlaybook } = require('./services/offboarding');
+const { runUserUpdate, describeUserUpdate } = require('./services/userUpdate');
+const { restoreDeletedAccount, reactivate, stopPendingExit } = require('./services/rehire');
+const { issueTempPassword, deliverTempPassword } = require('./services/tempPassword');
+const { runManagerSyncJob } = require('./services/managerSync');
+const { queueOnboardingChain, runSetManager, runAssignEntitlements, runZohoWriteBack } = require('./services/onboardingChain');
+const { initBus } = require('./core/bus');
+const {
   updateCandidateOfficialEmail
 } = require('./services/zohoPeople');
 
@@ -40,141 +85,171 @@ function mask(s) {
 }
 log.info(
   'Azure env:',
-  'tenant=', mask(process.env.AZURE_TENANT_ID),
-  'clientId=', mask(process.env.AZURE_CLIENT_ID),
-  'secretSet=', !!process.env.AZURE_CLIENT_SECRET
+  'tenant=', mask(config.AZURE_TENANT_ID),
+  'clientId=', mask(config.AZURE_CLIENT_ID),
+  'secretSet=', !!config.AZURE_CLIENT_SECRET
 );
 
+function describeManager(m) {
+  if (!m) return '';
+  if (m.status === 'failed') return `\nManager: sync failed (${m.error})`;
+  if (m.status === 'pending') return `\nManager: "${m.ref?.raw}" not in Entra yet; retrying${m.deferredJobId ? ` (job ${m.deferredJobId})` : ''}`;
+  return `\nManager: ${m.status}${m.managerUpn ? ` (${m.managerUpn})` : ''}`;
+}
+
+function describeFollowUps(list) {
+  if (!list?.length) return '';
+  return `\nFollow-up jobs: ${list.map((f) => `${f.type} [job ${f.id}]`).join(' -> ')}`;
+}
+
+function describePasswordDelivery(d) {
+  if (!d) return '';
+  if (d.error) return `\nTemporary password: NOT delivered (${d.error})`;
+  if (d.channel === 'off') return '\nTemporary password: delivery is off';
+  return `\nTemporary password: sent by ${d.channel} to the ${d.recipient}${d.dryRun ? ' (dry-run)' : ''}`;
+}
+
 async function executor(job) {
   const payload = typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload;
 
   const rawType = job.type;
   const type = String(rawType || '').trim().toLowerCase();
-  const tz = process.env.TZ || 'Asia/Kolkata';
+  const tz = config.TZ;
   const nowUtc = new Date().toISOString();
   const nowIst = DateTime.now().setZone(tz).toFormat('dd-LL-yyyy HH:mm:ss ZZZZ');
   log.info(`Running job ${job.id} [${job.type}] at UTC=${nowUtc} / ${tz}=${nowIst}`);
 
   if (type === 'create' || type === 'createfromcandidate') {
     try {
-      const {
-        firstname, lastname, email, employeeId, domain, candidateId,
-        country, city, mobilePhone, department, zohoRole, company,
-        employementType, employeeType, officelocation, joiningdate
-      } = payload;
+      const { email, employeeId, candidateId } = payload;
 
       const token = await getAzureAccessToken();
+      const cp = job.checkpoint || {};
 
-      let existingUser = null;
-      try { existingUser = await findByEmployeeId(token, employeeId); } catch {}
-      if (!existingUser && email) {
-        try { existingUser = await findByEmail(token, email); } catch {}
-      }
-      if (existingUser) {
-        try {
-          if (candidateId) {
-            const cooldownMin = parseInt(process.env.PREHIRE_COOLDOWN_MINUTES || '3', 10);
-            const cooldownMs = Math.max(0, cooldownMin) * 60 * 1000;
-            setKV(`CANDIDATE_COOLDOWN_UNTIL:${candidateId}`, String(Date.now() + cooldownMs));
-          }
-        } catch {}
-        markJob(job.id, {
-          status: 'done',
-          result: { action: 'already_exists', userId: existingUser?.id || null, upn: existingUser?.userPrincipalName || null }
-        });
-        await sendSuccessMail({
-          subject: `CREATE skipped (already exists) [job ${job.id}]`,
-          text: `User ${existingUser.userPrincipalName || existingUser.id} already exists.`
-        });
-        return;
-      }
+      // Resume: a previous attempt already created (or found) the user.
+      let result = cp.userId ? { action: cp.action || 'created', userId: cp.userId, upn: cp.upn } : null;
+      let effectiveEmployeeId = employeeId || cp.employeeId;
 
-      let effectiveEmployeeId = employeeId;
-      if (!effectiveEmployeeId) {
-        try {
-          const { getLastEmployeeIdFromZoho } = require('./services/zohoPeople');
-          const last = await getLastEmployeeIdFromZoho();
-          if (Number.isFinite(last)) {
-            const next = last + 1;
-            effectiveEmployeeId = String(next);
-            const { setKV } = require('./infra/sqlite');
-            setKV('EMPLOYEE_ID_SEQ', next);
+      if (!result) {
+        let existingUser = null;
+        try { existingUser = await findByEmployeeId(token, effectiveEmployeeId); } catch {}
+        if (!existingUser && email) {
+          try { existingUser = await findByEmail(token, email); } catch {}
+        }
+
+        const createdByEarlierAttempt = existingUser && cp.employeeId &&
+          String(existingUser.employeeId ?? '').trim() === String(cp.employeeId);
+        if (createdByEarlierAttempt) {
+          log.info({ id: job.id, userId: existingUser.id }, '[create] resuming after interrupted attempt');
+          result = { action: 'created', userId: existingUser.id, upn: existingUser.userPrincipalName };
+          checkpointJob(job, { userId: result.userId, upn: result.upn, action: result.action });
+        } else if (existingUser && existingUser.accountEnabled === false) {
+          // Rehire of someone whose exit disabled the account: bring the same object back.
+          if (!effectiveEmployeeId && existingUser.employeeId) {
+            effectiveEmployeeId = String(existingUser.employeeId).trim();
+            checkpointJob(job, { employeeId: effectiveEmployeeId, reusedEmployeeId: true });
           }
-        } catch {}
+          stopPendingExit(effectiveEmployeeId, `rehired (job ${job.id})`);
+          await reactivate(token, existingUser.id, { ...payload, employeeId: effectiveEmployeeId });
+          log.info({ id: job.id, userId: existingUser.id }, '[create] disabled user reactivated');
+          result = { action: 'reactivated', userId: existingUser.id, upn: existingUser.userPrincipalName };
+          checkpointJob(job, { userId: result.userId, upn: result.upn, action: result.action });
+        } else if (existingUser) {
+          try {
+            if (candidateId && !isDryRun()) {
+              const cooldownMs = config.PREHIRE_COOLDOWN_MINUTES * 60 * 1000;
+              setKV(`CANDIDATE_COOLDOWN_UNTIL:${candidateId}`, String(Date.now() + cooldownMs));
+            }
+          } catch {}
+          markJob(job.id, {
+            status: 'done',
+            result: { action: 'already_exists', userId: existingUser?.id || null, upn: existingUser?.userPrincipalName || null }
+          });
+          await sendSuccessMail({
+            subject: `CREATE skipped (already exists) [job ${job.id}]`,
+            text: `User ${existingUser.userPrincipalName || existingUser.id} already exists.`
+          });
+          return;
+        }
       }
-      if (!effectiveEmployeeId) {
-        try {
-          const { bumpKVInt, getKVInt } = require('./infra/sqlite');
-          const prev = getKVInt('EMPLOYEE_ID_SEQ', 0);
-          if (prev > 0) {
-            const next = bumpKVInt('EMPLOYEE_ID_SEQ');
-            effectiveEmployeeId = String(next);
+
+      if (!result) {
+        // Rehire after the exit deleted the account: restore it instead of creating a new one.
+        const restored = await restoreDeletedAccount(token, { employeeId: effectiveEmployeeId, email });
+        if (restored) {
+          if (!effectiveEmployeeId && restored.employeeId) {
+            effectiveEmployeeId = String(restored.employeeId).trim();
+            checkpointJob(job, { employeeId: effectiveEmployeeId, reusedEmployeeId: true });
           }
-        } catch {}
-      }
-      if (!effectiveEmployeeId) {
-        try {
-          const { getNextEmployeeId } = require('./services/graphUser');
-          const next = await getNextEmployeeId(token);
-          effectiveEmployeeId = String(next);
-          const n = parseInt(next, 10);
-          if (Number.isFinite(n)) setKV('EMPLOYEE_ID_SEQ', n);
-        } catch {}
+          stopPendingExit(effectiveEmployeeId, `rehired (job ${job.id})`);
+          await reactivate(token, restored.id, { ...payload, employeeId: effectiveEmployeeId });
+          result = { action: 'restored', userId: restored.id, upn: restored.userPrincipalName };
+          checkpointJob(job, { userId: result.userId, upn: result.upn, action: result.action });
+        }
       }
 
-      const empType = employeeType || employementType || null;
-      const { upsertUser } = require('./services/graphUser');
-      const result = await upsertUser(token, {
-        firstname, lastname, email,
-        employeeId: effectiveEmployeeId,
-        domain,
-        country, city, mobilePhone, department, zohoRole, company,
-        employeeType: empType,
-        employementType: empType,
-        officelocation
-      });
+      if (!result) {
+        if (!employeeId) {
+          // A retried job may have lost its reservation; it gets the same ID back if it is still free.
+          effectiveEmployeeId = await allocateEmployeeId({ token, jobId: job.id, previous: cp.employeeId });
+        }
+        // Pin the ID before touching Graph so a re-run finds what this attempt created.
+        if (effectiveEmployeeId) checkpointJob(job, { employeeId: String(effectiveEmployeeId) });
 
-      if (joiningdate) {
-        try {
-          const [dd, mm, yyyy] = String(joiningdate).split('-');
-          const dt = new Date(Date.UTC(Number(yyyy), Number(mm) - 1, Number(dd)));
-          if (!isNaN(dt.getTime())) {
-            await updateUser(token, result.userId, { employeeHireDate: dt.toISOString().replace(/\.\d{3}Z$/, 'Z') });
-          }
-        } catch {}
+        const { upsertUser } = require('./services/graphUser');
+        result = await upsertUser(token, { ...payload, employeeId: effectiveEmployeeId });
+        checkpointJob(job, { userId: result.userId, upn: result.upn, action: result.action });
+      }
+
+      // The ID came from the allocator (not the payload or a rehired account): settle its reservation.
+      if (!employeeId && effectiveEmployeeId && !job.checkpoint?.reusedEmployeeId) {
+        if (isDryRun()) releaseEmployeeId(effectiveEmployeeId);
+        else commitEmployeeId(effectiveEmployeeId);
       }
 
-      if (candidateId) {
+      // New and rehired accounts get a fresh random password, sent once. A resumed
+      // attempt no longer has the one set at creation, so it issues another.
+      let passwordDelivery = job.checkpoint?.passwordDelivery || null;
+      if (!passwordDelivery && ['created', 'restored', 'reactivated'].includes(result.action)) {
         try {
-          const official = officialEmailFromUpn(result.upn);
-          const officialField = process.env.OFFICIAL_EMAIL_FIELD_LINK_NAME || 'Other_Email';
-          const empIdField = process.env.ZOHO_EMPLOYEEID_FIELD_LINK_NAME || 'Employee_ID';
-          const { updateCandidateFields } = require('./services/zohoPeople');
-          const fields = { [officialField]: official };
-          if (effectiveEmployeeId) fields[empIdField] = String(effectiveEmployeeId);
-          await updateCandidateFields({ recordId: candidateId, fields });
-        } catch {}
+          const password = result.tempPassword || await issueTempPassword(token, result.userId);
+          passwordDelivery = await deliverTempPassword(token, { password, upn: result.upn, userId: result.userId, data: payload });
+        } catch (e) {
+          const details = e?.response?.data?.error?.message || e?.message || String(e);
+          log.warn({ id: job.id, userId: result.userId, err: details }, '[create] temporary password not delivered');
+          passwordDelivery = { error: details };
+          await sendFailureMail({
+            subject: `CREATE password not delivered [job ${job.id}]`,
+            text: `The temporary password for ${result.upn} could not be delivered (${details}). Reset it in Entra and hand it over manually.`
+          });
+        }
+        checkpointJob(job, { passwordDelivery });
       }
 
       try {
-        if (candidateId) {
-          const cooldownMin = parseInt(process.env.PREHIRE_COOLDOWN_MINUTES || '3', 10);
-          const cooldownMs = Math.max(0, cooldownMin) * 60 * 1000;
+        // A dry-run created nothing, so it must not hold back real prehire webhooks.
+        if (candidateId && !isDryRun()) {
+          const cooldownMs = config.PREHIRE_COOLDOWN_MINUTES * 60 * 1000;
           setKV(`CANDIDATE_COOLDOWN_UNTIL:${candidateId}`, String(Date.now() + cooldownMs));
         }
       } catch {}
 
-      markJob(job.id, { status: 'done', result: { userId: result.userId, upn: result.upn, action: result.action } });
+      // Manager, groups/licenses and the Zoho write-back run as child jobs once this one is done.
+      let followUps = job.checkpoint?.followUps;
+      if (!followUps) {
+        followUps = queueOnboardingChain(job, { result, employeeId: effectiveEmployeeId, payload });
+        checkpointJob(job, { followUps });
+      }
+
+      markJob(job.id, { status: 'done', result: { userId: result.userId, upn: result.upn, action: result.action, passwordDelivery, followUps } });
       await sendSuccessMail({
         subject: `CREATE ${result.action} [job ${job.id}]`,
-        text: `User ${result.upn} (${result.userId}) ${result.action}.`
+        text: `User ${result.upn} (${result.userId}) ${result.action}.${describePasswordDelivery(passwordDelivery)}${describeFollowUps(followUps)}`
       });
       return;
     } catch (e) {
-      const details = e?.response?.data || e?.message || String(e);
-      log.error('create failed:', details);
-      markJob(job.id, { status: 'failed', lastError: details });
-      await sendFailureMail({ subject: `CREATE failed [job ${job.id}]`, text: String(details) });
+      log.error('create failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'CREATE' });
       return;
     }
   }
@@ -184,6 +259,17 @@ async function executor(job) {
     try {
       const token = await getAzureAccessToken();
 
+      // Resume: the delete went through but the job was interrupted before finishing.
+      const deletedId = job.checkpoint?.deletedUserId;
+      if (deletedId && await getDeletedUser(token, deletedId)) {
+        markJob(job.id, { status: 'done' });
+        await sendSuccessMail({
+          subject: `DELETE succeeded [job ${job.id}]`,
+          text: `Deleted user ${job.checkpoint.upn || deletedId}.`
+        });
+        return;
+      }
+
       let user = employeeId ? await findByEmployeeId(token, String(employeeId).trim()) : null;
       if (!user && email) {
         const byEmail = await findByEmail(token, String(email).trim());
@@ -205,10 +291,9 @@ async function executor(job) {
 
       try {
         await deleteUser(token, user.id);
+        checkpointJob(job, { deletedUserId: user.id, upn: user.userPrincipalName || null });
       } catch (e) {
-        const details = e?.response?.data || e?.message || e;
-        markJob(job.id, { status: 'failed', lastError: details });
-        await sendFailureMail({ subject: `DELETE failed [job ${job.id}]`, text: String(details) });
+        await failJob(job, e, { label: 'DELETE' });
         return;
       }
 
@@ -222,10 +307,8 @@ async function executor(job) {
       });
       return;
     } catch (e) {
-      const details = e?.response?.data || e?.message || String(e);
-      log.error('delete failed:', details);
-      markJob(job.id, { status: 'failed', lastError: details });
-      await sendFailureMail({ subject: `DELETE failed [job ${job.id}]`, text: String(details) });
+      log.error('delete failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'DELETE' });
       return;
     }
   }
@@ -254,14 +337,241 @@ async function executor(job) {
       });
       return;
     } catch (e) {
-      const details = e?.response?.data || e?.message || String(e);
-      log.error('disable failed:', details);
-      markJob(job.id, { status: 'failed', lastError: details });
-      await sendFailureMail({ subject: `DISABLE failed [job ${job.id}]`, text: String(details) });
+      log.error('disable failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'DISABLE' });
       return;
     }
   }
 
+  if (type === 'setmanager') {
+    try {
+      const token = await getAzureAccessToken();
+      const out = await runSetManager(job, { token });
+      markJob(job.id, { status: 'done', result: out });
+      if (out.status === 'set' || out.status === 'pending') {
+        await sendSuccessMail({
+          subject: `MANAGER ${out.status} [job ${job.id}]`,
+          text: `${payload?.upn || payload?.userId}:${describeManager(out)}`
+        });
+      }
+    } catch (e) {
+      log.error('set manager failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'MANAGER' });
+    }
+    return;
+  }
+
+  if (type === 'assignentitlements') {
+    try {
+      const token = await getAzureAccessToken();
+      const out = await runAssignEntitlements(job, { token });
+      markJob(job.id, { status: 'done', result: out });
+      if (out.matchedRules.length || out.errors.length) {
+        await sendSuccessMail({
+          subject: `ENTITLEMENTS applied [job ${job.id}]`,
+          text: `${payload?.upn || payload?.userId}\n${describeEntitlements(out)}`
+        });
+      }
+    } catch (e) {
+      log.error('entitlements failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'ENTITLEMENTS' });
+    }
+    return;
+  }
+
+  if (type === 'zohowriteback') {
+    try {
+      const out = await runZohoWriteBack(job);
+      markJob(job.id, { status: 'done', result: out });
+    } catch (e) {
+      log.error('zoho write-back failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'ZOHO WRITE-BACK' });
+    }
+    return;
+  }
+
+  if (type === 'updateuser') {
+    try {
+      const token = await getAzureAccessToken();
+      const out = await runUserUpdate(job, { token });
+      markJob(job.id, { status: 'done', result: out });
+      if (out.action !== 'unchanged') {
+        await sendSuccessMail({ subject: `EDIT succeeded [job ${job.id}]`, text: describeUserUpdate(out) });
+      }
+    } catch (e) {
+      log.error('edit failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'EDIT' });
+    }
+    return;
+  }
+
+  if (type === 'offboardnow') {
+    try {
+      const token = await getAzureAccessToken();
+      const out = await runOffboardNow(job, { token });
+      markJob(job.id, { status: 'done', result: out });
+      if (out.alreadyOffboarding) return;
+      const next = out.stages.slice(1).map((st) => `${st.name} at ${st.runAt}`).join(', ') || 'none';
+      await sendSuccessMail({
+        subject: `DELETE (immediate) succeeded [job ${job.id}]`,
+        text: `Stage "${out.stage}" done for ${out.upn || out.userId} (employeeId ${payload?.employeeId}). Playbook ${out.playbookId}; next: ${next}.`
+      });
+    } catch (e) {
+      log.error('immediate offboarding failed:', e?.response?.data || e?.message || String(e));
+      const { outcome } = await failJob(job, e, { label: 'DELETE' });
+      // Given up: later stages must not run on top of a first stage that never finished.
+      const playbookId = job.checkpoint?.playbookId;
+      if (outcome !== 'retry' && playbookId) {
+        try {
+          cancelPlaybook(playbookId, { by: `job ${job.id}`, reason: `first stage failed: ${e?.message || e}` });
+        } catch (err) {
+          log.warn('playbook cancel failed:', err?.message || err);
+        }
+      }
+    }
+    return;
+  }
+
+  if (type === 'offboardstage') {
+    try {
+      const token = await getAzureAccessToken();
+      const out = await runStage(job, { token });
+      if (out.waitFor) {
+        // Not an attempt: give back the one the claim counted.
+        markJob(job.id, {
+          status: 'pending',
+          runAt: out.retryAt,
+          attempts: Math.max(0, (job.attempts || 1) - 1),
+          lastError: `waiting for stage "${out.waitFor}"`
+        });
+        return;
+      }
+      if (out.skipped) {
+        markJob(job.id, { status: 'cancelled', lastError: out.skipped });
+        return;
+      }
+      markJob(job.id, { status: 'done', result: out });
+      await sendSuccessMail({
+        subject: `OFFBOARD ${out.stage} done [job ${job.id}]`,
+        text: `Stage "${out.stage}" of playbook ${out.playbookId} finished for ${out.upn || out.userId}.\nSteps: ${out.steps.map((s) => s.step).join(', ')}`
+      });
+    } catch (e) {
+      log.error('offboard stage failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'OFFBOARD' });
+    }
+    return;
+  }
+
+  if (type === 'offboardrollback') {
+    try {
+      const token = await getAzureAccessToken();
+      const out = await runRollback(job, { token });
+      markJob(job.id, { status: 'done', result: out });
+      await sendSuccessMail({
+        subject: `OFFBOARD rolled back [job ${job.id}]`,
+        text: `Playbook ${out.playbookId} rolled back for ${out.upn || out.userId || 'unresolved user'}.\nRestored: ${out.restored.join(', ') || 'nothing had changed yet'}`
+      });
+    } catch (e) {
+      log.error('offboard rollback failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'OFFBOARD ROLLBACK' });
+    }
+    return;
+  }
+
+  if (type === 'syncmanager') {
+    try {
+      const token = await getAzureAccessToken();
+      const out = await runManagerSyncJob(job, { token });
+      if (out.waitFor) {
+        // Manager still missing: not a failed attempt, just check again later.
+        markJob(job.id, {
+          status: 'pending',
+          runAt: out.retryAt,
+          attempts: Math.max(0, (job.attempts || 1) - 1),
+          lastError: `waiting for manager "${out.waitFor}"`
+        });
+        return;
+      }
+      markJob(job.id, { status: 'done', result: out });
+      if (out.status === 'set') {
+        await sendSuccessMail({
+          subject: `MANAGER set [job ${job.id}]`,
+          text: `Manager of ${out.upn || out.userId} set to ${out.managerUpn || out.managerId}.`
+        });
+      }
+    } catch (e) {
+      log.error('manager sync failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'MANAGER' });
+    }
+    return;
+  }
+
+  if (type === 'reconcile') {
+    try {
+      const token = await getAzureAccessToken();
+      const stats = await runReconciliation({ token, full: !!payload?.full });
+      markJob(job.id, {
+        status: 'done',
+        result: { ...stats, changes: stats.changes.slice(0, 200), failures: stats.failures.slice(0, 200) }
+      });
+    } catch (e) {
+      log.error('reconcile failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'RECONCILE' });
+    }
+    return;
+  }
+
+  if (type === 'tokenhealth') {
+    try {
+      const checks = await runTokenHealthCheck();
+      markJob(job.id, { status: 'done', result: checks });
+    } catch (e) {
+      log.error('token health check failed:', e?.message || String(e));
+      await failJob(job, e, { label: 'TOKEN HEALTH' });
+    }
+    return;
+  }
+
+  if (type === 'staleaccountreport') {
+    try {
+      const token = await getAzureAccessToken();
+      const report = await buildStaleAccountReport({ token });
+      const { counts } = report;
+      markJob(job.id, { status: 'done', result: { generatedAt: report.generatedAt, counts, stale: report.stale.slice(0, 200) } });
+      await sendMail({
+        to: env.EMAIL_TO_SUMMARY || env.EMAIL_TO_SUCCESS,
+        subject: `STALE ACCOUNTS ${counts.stale} [job ${job.id}]`,
+        text: `${counts.stale} of ${counts.enabledUsers} enabled Entra accounts have no active Zoho employee` +
+          ` (${counts.withoutEmployeeId} without an employeeId were not checked).${counts.stale ? ' List attached.' : ''}`,
+        attachments: counts.stale
+          ? [{ filename: `stale-accounts-${report.generatedAt.slice(0, 10)}.csv`, content: toCsv(report.stale, STALE_CSV_COLUMNS), contentType: 'text/csv' }]
+          : undefined
+      });
+    } catch (e) {
+      log.error('stale account report failed:', e?.response?.data || e?.message || String(e));
+      await failJob(job, e, { label: 'STALE ACCOUNTS' });
+    }
+    return;
+  }
+
+  if (type === 'dailysummary') {
+    try {
+      // A caught-up run covers the days it missed too.
+      const hours = (Number(payload?.hours) || 24) * Math.min(Number(payload?.missedRuns) || 1, 7);
+      const summary = buildDailySummary({ hours });
+      markJob(job.id, { status: 'done', result: { from: summary.from, to: summary.to, byType: summary.byType, problems: summary.problems.length, backlog: summary.backlog } });
+      await sendMail({
+        to: env.EMAIL_TO_SUMMARY || env.EMAIL_TO_SUCCESS,
+        subject: `DAILY SUMMARY ${DateTime.now().setZone(tz).toFormat('dd-LL-yyyy')} [job ${job.id}]`,
+        text: describeDailySummary(summary)
+      });
+    } catch (e) {
+      log.error('daily summary failed:', e?.message || String(e));
+      await failJob(job, e, { label: 'DAILY SUMMARY' });
+    }
+    return;
+  }
+
   const msg = `Unknown job type: ${job.type}`;
   log.warn(msg);
   markJob(job.id, { status: 'failed', lastError: msg });
@@ -280,14 +590,22 @@ function buildApp() {
     verify: (req, res, buf) => { req.rawBody = Buffer.from(buf); }
   }));
 
+  // After the body parsers: their stream callbacks would drop the async context.
+  app.use(correlationScope);
   app.use(httpLogger);
+  app.use(dryRunScope);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/reports', reportRoutes);
+  app.use('/password', passwordLinkRoutes);
+  app.use('/metrics', metricsRoutes);
+  app.use(['/health', '/api/health'], healthRoutes);
   app.use('/api', routes);
 
   // Aliases for Zoho to call without /api prefix
   app.post('/zoho-candidate/edit', (req, res, next) => routes(req, res, next));
   app.post('/zoho-webhook/edit', (req, res, next) => routes(req, res, next));
   app.post('/zoho-webhook/delete', (req, res, next) => routes(req, res, next));
-  app.get('/health', (req, res, next) => routes(req, res, next));
+  app.post('/zoho-webhook/exit-cancel', (req, res, next) => routes(req, res, next));
   app.get('/email/test', (req, res, next) => routes(req, res, next));
 
   app.use((req, res, next) => next(new AppError(404, 'Not Found')));
@@ -304,13 +622,15 @@ async function bootstrap() {
   process.on('uncaughtException', (e) => console.error('uncaughtException', e));
 
   await initSQLite();
+  initBus();
   // Verify SMTP transport once on startup (non-fatal)
   try { if (verifyEmailTransport) await verifyEmailTransport(); } catch {}
   const app = buildApp();
-  const port = parseInt(get('PORT', 3008), 10);
+  const port = config.PORT;
   app.listen(port, '0.0.0.0', () => log.info(`http://0.0.0.0:${port}`));
 
-  tickRunner(executor);
+  try { syncRecurring(); } catch (e) { log.warn('recurring jobs not loaded:', e?.message || e); }
+  tickRunner(executor, { onTick: fireDueRecurring });
 }
 
 bootstrap();
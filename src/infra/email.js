@@ -2,10 +2,17 @@
 
 const nodemailer = require('nodemailer');
 const { env, emailEnabled } = require('./env');
+const { isDryRun } = require('../core/dryRun');
+const { currentCorrelationId } = require('../core/correlation');
+const { counter } = require('./metrics');
+
+// outcome: sent | failed | skipped (email off or no recipient)
+const emailsSent = counter('emails_total', 'Outbound emails by outcome', ['outcome']);
 
 let transporter = null;
-let verifiedOnce = false;
-let verifying = false;
+// Last verify outcome: { status: 'ok' | 'disabled' | 'failed', detail, at }
+let lastVerify = null;
+let verifying = null;
 
 function ensureTransport() {
   if (!emailEnabled()) return null;
@@ -22,49 +29,74 @@ function ensureTransport() {
   return transporter;
 }
 
-async function verifyEmailTransport() {
-  try {
-    if (verifiedOnce || verifying) return;
+/**
+ * Verify SMTP once (at startup) and remember the outcome; { force: true }
+ * verifies again (readiness probe). Never throws. Only changes of outcome are logged.
+ */
+async function verifyEmailTransport({ force = false } = {}) {
+  if (verifying) return verifying;
+  if (lastVerify && !force) return lastVerify;
+  verifying = (async () => {
+    let out;
     if (!emailEnabled()) {
       const reason = env.EMAIL_MODE === 'off'
         ? 'EMAIL_MODE=off'
         : 'missing SMTP config (host/user/pass)';
-      console.warn('[email:disabled]', reason);
-      verifiedOnce = true; // avoid repeating
-      return;
+      out = { status: 'disabled', detail: reason };
+    } else {
+      try {
+        await ensureTransport().verify();
+        out = { status: 'ok', detail: `host=${env.EMAIL_SMTP_HOST} port=${env.EMAIL_SMTP_PORT} secure=${!!env.EMAIL_SMTP_SECURE}` };
+      } catch (err) {
+        out = { status: 'failed', detail: (err && err.message) || String(err) };
+      }
     }
-    const tx = ensureTransport();
-    if (!tx) return; // already logged above
-    verifying = true;
-    await tx.verify();
-    console.log('[email:ok]', `SMTP verified host=${env.EMAIL_SMTP_HOST} port=${env.EMAIL_SMTP_PORT} secure=${!!env.EMAIL_SMTP_SECURE}`);
-  } catch (err) {
-    console.warn('[email:verify_failed]', (err && err.message) || String(err));
-  } finally {
-    verifying = false;
-    verifiedOnce = true;
-  }
+    if (lastVerify?.status !== out.status || lastVerify?.detail !== out.detail) {
+      if (out.status === 'ok') console.log('[email:ok]', `SMTP verified ${out.detail}`);
+      else if (out.status === 'disabled') console.warn('[email:disabled]', out.detail);
+      else console.warn('[email:verify_failed]', out.detail);
+    }
+    lastVerify = { ...out, at: Date.now() };
+    return lastVerify;
+  })().finally(() => { verifying = null; });
+  return verifying;
 }
 
+// Failures are logged and swallowed unless spec.throwOnError is set (mail that must arrive).
 async function sendMail(spec) {
   try {
     const tx = ensureTransport();
-    if (!tx) return;
+    if (!tx) {
+      if (spec.throwOnError) throw new Error('email transport is not configured');
+      emailsSent.inc({ outcome: 'skipped' });
+      return;
+    }
 
     const to = (Array.isArray(spec.to) ? spec.to : String(spec.to || ''))
       .split(',').map(s => s.trim()).filter(Boolean);
-    if (!to.length) return;
+    if (!to.length) {
+      emailsSent.inc({ outcome: 'skipped' });
+      return;
+    }
 
-    const subject = (env.EMAIL_SUBJECT_PREFIX + ' ' + (spec.subject || '')).trim();
+    const prefix = isDryRun() ? `${env.EMAIL_SUBJECT_PREFIX} [DRY-RUN]` : env.EMAIL_SUBJECT_PREFIX;
+    // Short form in the subject, full ID in the body (grep the logs for it).
+    const cid = currentCorrelationId();
+    const subject = (prefix + ' ' + (spec.subject || '') + (cid ? ` [ref ${cid.slice(0, 8)}]` : '')).trim();
+    const footer = cid ? `Correlation ID: ${cid}` : '';
     await tx.sendMail({
       from: env.EMAIL_FROM,
       to: to.join(','),
       subject,
-      text: spec.text || '',
-      html: spec.html || undefined
+      text: footer ? `${spec.text || ''}\n\n${footer}` : (spec.text || ''),
+      html: spec.html && footer ? `${spec.html}<p>${footer}</p>` : (spec.html || undefined),
+      attachments: spec.attachments || undefined
     });
+    emailsSent.inc({ outcome: 'sent' });
   } catch (err) {
+    emailsSent.inc({ outcome: 'failed' });
     console.error('[email:error]', (err && err.message) || String(err));
+    if (spec.throwOnError) throw err;
   }
 }
 
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Retry policy per job type.
+ *
+ *   maxAttempts  total executions allowed (first run included)
+ *   baseDelayMs  delay before the 2nd attempt; doubles on each further attempt
+ *   maxDelayMs   cap for a single backoff step
+ *   recoverable  executor resumes from its checkpoint, so a job stranded in
+ *                'running' by a crash may be requeued automatically
+ *   concurrency  jobs of this type running at once in this process (0 = only the
+ *                global JOB_CONCURRENCY cap applies)
+ *
+ * JOB_RETRY_MAX / JOB_RETRY_BASE_MS / JOB_RETRY_MAX_DELAY_MS set the defaults
+ * for types without their own entry below; per-type env vars
+ * (e.g. JOB_RETRY_MAX_DISABLEUSER, JOB_CONCURRENCY_CREATE) override everything.
+ */
+
+const { config } = require('../config/env');
+
+const DEFAULTS = { recoverable: false, concurrency: 0 };
+
+const BY_TYPE = {
+  create: { maxAttempts: 6, baseDelayMs: 2 * 60 * 1000, recoverable: true, concurrency: 2 },
+  createfromcandidate: { maxAttempts: 6, baseDelayMs: 2 * 60 * 1000, recoverable: true, concurrency: 2 },
+  disableuser: { maxAttempts: 8, recoverable: true },
+  deleteuser: { maxAttempts: 8, recoverable: true },
+  reconcile: { maxAttempts: 3, baseDelayMs: 5 * 60 * 1000, recoverable: true, concurrency: 1 },
+  updateuser: { maxAttempts: 6, recoverable: true },
+  offboardnow: { maxAttempts: 8, recoverable: true },
+  offboardstage: { maxAttempts: 8, recoverable: true },
+  offboardrollback: { maxAttempts: 8, recoverable: true },
+  syncmanager: { maxAttempts: 5, recoverable: true },
+  setmanager: { maxAttempts: 5, recoverable: true },
+  assignentitlements: { maxAttempts: 6, recoverable: true },
+  zohowriteback: { maxAttempts: 8, baseDelayMs: 5 * 60 * 1000, recoverable: true },
+  tokenhealth: { maxAttempts: 1, recoverable: true },
+  staleaccountreport: { maxAttempts: 3, baseDelayMs: 10 * 60 * 1000, recoverable: true, concurrency: 1 },
+  dailysummary: { maxAttempts: 3, baseDelayMs: 5 * 60 * 1000, recoverable: true, concurrency: 1 }
+};
+
+function normType(type) {
+  return String(type || '').trim().toLowerCase();
+}
+
+function policyFor(type) {
+  const t = normType(type);
+  const T = t.toUpperCase();
+  // precedence: per-type env > per-type default > global env (defaults in config/schema)
+  const base = {
+    ...DEFAULTS,
+    maxAttempts: config.JOB_RETRY_MAX,
+    baseDelayMs: config.JOB_RETRY_BASE_MS,
+    maxDelayMs: config.JOB_RETRY_MAX_DELAY_MS,
+    ...(BY_TYPE[t] || {})
+  };
+  return {
+    maxAttempts: config[`JOB_RETRY_MAX_${T}`] ?? base.maxAttempts,
+    baseDelayMs: config[`JOB_RETRY_BASE_MS_${T}`] ?? base.baseDelayMs,
+    maxDelayMs: base.maxDelayMs,
+    recoverable: !!base.recoverable,
+    concurrency: config[`JOB_CONCURRENCY_${T}`] ?? base.concurrency
+  };
+}
+
+const TRANSIENT_CODES = ['ECONNABORTED', 'ECONNRESET', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE'];
+
+/**
+ * Transient = worth retrying later: Graph/Zoho throttling (429), server errors
+ * (5xx), request timeouts, network resets, and Zoho OAuth token refresh errors.
+ * Anything else (400 bad payload, 403 permissions, missing config) is permanent.
+ */
+function isTransientError(err) {
+  if (!err) return false;
+  if (err.transient === true) return true;
+  if (err.transient === false) return false;
+
+  const status = err?.response?.status;
+  if (status === 429 || status === 408 || (status >= 500 && status <= 599)) return true;
+
+  if (TRANSIENT_CODES.includes(err.code)) return true;
+
+  const msg = String(err.message || '');
+  if (/^Zoho token error/i.test(msg)) return true;
+
+  return false;
+}
+
+function retryAfterMs(err) {
+  const ra = err?.response?.headers?.['retry-after'];
+  if (!ra) return 0;
+  const sec = parseInt(ra, 10);
+  if (Number.isFinite(sec)) return sec * 1000;
+  const at = Date.parse(ra);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+/**
+ * Delay before the next attempt, given the number of attempts already made.
+ * Exponential with ~10% jitter; never shorter than a server-sent Retry-After.
+ */
+function computeBackoff(policy, attempts, err) {
+  const exp = Math.min(policy.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)), policy.maxDelayMs);
+  const jitter = Math.floor(Math.random() * exp * 0.1);
+  return Math.max(exp + jitter, retryAfterMs(err));
+}
+
+module.exports = { policyFor, isTransientError, computeBackoff, retryAfterMs };
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * In-process Prometheus metrics, rendered in the text exposition format by
+ * GET /metrics (api/metrics.js). Values live in this process only and reset
+ * on restart, as Prometheus expects of counters.
+ *
+ * API:
+ *   - counter(name, help, labelNames)            -> { inc(labels?, n = 1) }
+ *   - gauge(name, help, labelNames)              -> { set(labels, v), reset() }
+ *   - histogram(name, help, labelNames, buckets) -> { observe(labels, seconds), startTimer(labels) -> end(moreLabels?) }
+ *   - attachHttpMetrics(axiosInstance, system)   -> counts, status codes, latency and retries of outbound calls
+ *   - httpRetries, tokenRefreshes                -> shared counters for code that retries or mints tokens itself
+ *   - renderMetrics()                            -> exposition text
+ *
+ * Every metric is prefixed with `provisioning_`.
+ */
+
+const PREFIX = 'provisioning_';
+const HTTP_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map();
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? '')));
+}
+
+function labelText(labelNames, values, extra = []) {
+  const pairs = labelNames.map((n, i) => [n, values[i]]).concat(extra);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function define(kind, name, help, labelNames, extra = {}) {
+  const full = PREFIX + name;
+  if (registry.has(full)) return registry.get(full);
+  const m = { kind, name: full, help, labelNames, series: new Map(), ...extra };
+  registry.set(full, m);
+  return m;
+}
+
+function counter(name, help, labelNames = []) {
+  const m = define('counter', name, help, labelNames);
+  return {
+    inc(labels = {}, n = 1) {
+      const k = labelKey(labelNames, labels);
+      m.series.set(k, (m.series.get(k) || 0) + n);
+    }
+  };
+}
+
+function gauge(name, help, labelNames = []) {
+  const m = define('gauge', name, help, labelNames);
+  return {
+    set(labels, v) { m.series.set(labelKey(labelNames, labels), Number(v) || 0); },
+    reset() { m.series.clear(); }
+  };
+}
+
+function histogram(name, help, labelNames = [], buckets = HTTP_BUCKETS) {
+  const m = define('histogram', name, help, labelNames, { buckets: [...buckets].sort((a, b) => a - b) });
+  function observe(labels, seconds) {
+    const k = labelKey(labelNames, labels);
+    let s = m.series.get(k);
+    if (!s) {
+      s = { counts: m.buckets.map(() => 0), sum: 0, count: 0 };
+      m.series.set(k, s);
+    }
+    m.buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+    s.sum += seconds;
+    s.count++;
+  }
+  return {
+    observe,
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (more = {}) => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+function renderMetrics() {
+  const out = [];
+  for (const m of registry.values()) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.kind}`);
+    for (const [k, v] of m.series) {
+      const values = JSON.parse(k);
+      if (m.kind !== 'histogram') {
+        out.push(`${m.name}${labelText(m.labelNames, values)} ${v}`);
+        continue;
+      }
+      m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${labelText(m.labelNames, values, [['le', b]])} ${v.counts[i]}`));
+      out.push(`${m.name}_bucket${labelText(m.labelNames, values, [['le', '+Inf']])} ${v.count}`);
+      out.push(`${m.name}_sum${labelText(m.labelNames, values)} ${v.sum}`);
+      out.push(`${m.name}_count${labelText(m.labelNames, values)} ${v.count}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+/* ------------------------------ outbound HTTP ------------------------------ */
+
+const httpRequests = counter('http_requests_total', 'Outbound Graph/Zoho requests by status code (each retry counts)', ['system', 'method', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'Outbound request latency, rate-limit wait excluded', ['system']);
+const httpRetries = counter('http_retries_total', 'Outbound requests re-sent after a transient failure', ['system']);
+const tokenRefreshes = counter('token_refresh_total', 'Access tokens requested from Azure AD / Zoho accounts', ['system', 'outcome']);
+
+/**
+ * Attach before attachRateLimit, so the timer starts once the request has its
+ * slot. attachRetry re-sends through the same interceptors with __retryCount set.
+ */
+function attachHttpMetrics(axiosInstance, system) {
+  axiosInstance.interceptors.request.use((config) => {
+    config.__metricsStart = process.hrtime.bigint();
+    if (config.__retryCount) httpRetries.inc({ system });
+    return config;
+  });
+
+  const done = (config, status) => {
+    httpRequests.inc({ system, method: String(config?.method || 'get').toUpperCase(), status });
+    if (config?.__metricsStart) httpDuration.observe({ system }, Number(process.hrtime.bigint() - config.__metricsStart) / 1e9);
+  };
+
+  axiosInstance.interceptors.response.use(
+    (res) => {
+      done(res.config, res.status);
+      return res;
+    },
+    (error) => {
+      done(error?.config, error?.response?.status || error?.code || 'error');
+      throw error;
+    }
+  );
+  return axiosInstance;
+}
+
+module.exports = { counter, gauge, histogram, attachHttpMetrics, httpRetries, tokenRefreshes, renderMetrics };
@@ -1,5 +1,24 @@
 'use strict';
 
+/**
+ * Per-target-system request limiting, shared by every job and webhook in the process.
+ *
+ * Each system (graph, zoho) has a token bucket (rate + burst) and a cap on
+ * requests in flight. A 429/503 with Retry-After pauses the whole system, so
+ * all in-flight jobs back off together instead of each axios retry hitting the
+ * throttle on its own.
+ *
+ * Settings (per system, upper-cased, e.g. GRAPH_CONCURRENCY):
+ *   <SYS>_CONCURRENCY   requests in flight (default graph 3, zoho 2; 1..32)
+ *   <SYS>_RATE_PER_SEC  sustained requests per second (default graph 10, zoho 1)
+ *   <SYS>_BURST         bucket size (default graph 20, zoho 5)
+ */
+
+const { log } = require('../core/logger');
+const { retryAfterMs } = require('./jobPolicy');
+const { config } = require('../config/env');
+
+// Evenly spaced calls for a single caller (notification fan-out).
 function makeRateLimiter(perMinute) {
   if (!perMinute || perMinute <= 0) {
     return async function run(fn) { return fn(); };
@@ -15,4 +34,138 @@ function makeRateLimiter(perMinute) {
   };
 }
 
-module.exports = { makeRateLimiter };
+const DEFAULTS = {
+  graph: { concurrency: 3, ratePerSec: 10, burst: 20 },
+  zoho: { concurrency: 2, ratePerSec: 1, burst: 5 }
+};
+const THROTTLE_STATUSES = [429, 503];
+// Throttled without a Retry-After: pause this long.
+const DEFAULT_PAUSE_MS = 5000;
+
+const limiters = new Map();
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+function readNum(v, def) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+function settingsFor(system) {
+  const S = system.toUpperCase();
+  const d = DEFAULTS[system] || DEFAULTS.graph;
+  return {
+    concurrency: Math.min(32, Math.max(1, Math.floor(readNum(config[`${S}_CONCURRENCY`], d.concurrency)))),
+    ratePerSec: readNum(config[`${S}_RATE_PER_SEC`], d.ratePerSec),
+    burst: Math.max(1, Math.floor(readNum(config[`${S}_BURST`], d.burst)))
+  };
+}
+
+function limiterFor(system) {
+  if (!limiters.has(system)) {
+    const settings = settingsFor(system);
+    limiters.set(system, { system, ...settings, tokens: settings.burst, refilledAt: Date.now(), inFlight: 0, waiters: [], pausedUntil: 0 });
+  }
+  return limiters.get(system);
+}
+
+function refill(l) {
+  const now = Date.now();
+  l.tokens = Math.min(l.burst, l.tokens + ((now - l.refilledAt) / 1000) * l.ratePerSec);
+  l.refilledAt = now;
+}
+
+// Milliseconds until a request may start, or 0 when it may start now.
+function waitMs(l) {
+  const now = Date.now();
+  if (l.pausedUntil > now) return l.pausedUntil - now;
+  refill(l);
+  if (l.tokens >= 1) return 0;
+  return Math.ceil(((1 - l.tokens) / l.ratePerSec) * 1000);
+}
+
+/** Resolves when `system` has both a free slot and a token; the caller must release(). */
+async function acquire(system) {
+  const l = limiterFor(system);
+  for (;;) {
+    if (l.inFlight >= l.concurrency) {
+      await new Promise((resolve) => l.waiters.push(resolve));
+      continue;
+    }
+    const ms = waitMs(l);
+    if (ms > 0) { await sleep(ms); continue; }
+    l.tokens -= 1;
+    l.inFlight += 1;
+    return;
+  }
+}
+
+function release(system) {
+  const l = limiterFor(system);
+  l.inFlight = Math.max(0, l.inFlight - 1);
+  const next = l.waiters.shift();
+  if (next) next();
+}
+
+/** Hold every request to `system` for `ms`; overlapping pauses keep the later end. */
+function pause(system, ms, reason) {
+  const l = limiterFor(system);
+  const until = Date.now() + ms;
+  if (until <= l.pausedUntil) return;
+  l.pausedUntil = until;
+  log.warn({ system, pauseMs: ms, until: new Date(until).toISOString(), reason }, '[rate-limit] paused');
+}
+
+function noteThrottle(system, res) {
+  if (!res || !THROTTLE_STATUSES.includes(res.status)) return;
+  const ms = retryAfterMs({ response: res });
+  if (ms > 0 || res.status === 429) pause(system, ms || DEFAULT_PAUSE_MS, `HTTP ${res.status}`);
+}
+
+/**
+ * Route every request of an axios instance through the `system` limiter.
+ * Attach it before attachRetry so a throttled response pauses the system
+ * before the retry interceptor sends the request again.
+ */
+function attachRateLimit(axiosInstance, system) {
+  axiosInstance.interceptors.request.use(async (config) => {
+    await acquire(system);
+    config.__rateLimitHeld = true;
+    return config;
+  });
+
+  const done = (config) => {
+    if (config?.__rateLimitHeld) {
+      config.__rateLimitHeld = false;
+      release(system);
+    }
+  };
+
+  axiosInstance.interceptors.response.use(
+    (res) => {
+      done(res.config);
+      // Zoho calls accept every status (validateStatus), so a 429 can arrive here.
+      noteThrottle(system, res);
+      return res;
+    },
+    (error) => {
+      done(error?.config);
+      noteThrottle(system, error?.response);
+      throw error;
+    }
+  );
+  return axiosInstance;
+}
+
+function rateLimitStats() {
+  return [...limiters.values()].map((l) => ({
+    system: l.system,
+    inFlight: l.inFlight,
+    queued: l.waiters.length,
+    concurrency: l.concurrency,
+    ratePerSec: l.ratePerSec,
+    pausedUntil: l.pausedUntil > Date.now() ? new Date(l.pausedUntil).toISOString() : null
+  }));
+}
+
+module.exports = { makeRateLimiter, attachRateLimit, acquire, release, pause, rateLimitStats };
@@ -1,50 +1,294 @@
 'use strict';
 
-const { fetchDueJobs, markJob } = require('./sqlite');
+const os = require('os');
+const crypto = require('crypto');
+const {
+  fetchDueJobs,
+  markJob,
+  claimJob,
+  renewLease,
+  findExpiredLeases,
+  getJob,
+  listChildJobs
+} = require('./sqlite');
+const { policyFor, isTransientError, computeBackoff } = require('./jobPolicy');
+const { sendFailureMail } = require('./email');
+const { env } = require('./env');
+const { config } = require('../config/env');
 const { log } = require('../core/logger');
+const { withPlanScope, isDryRun, withPlan } = require('../core/dryRun');
+const { runWithContext } = require('../core/context');
+const { newCorrelationId } = require('../core/correlation');
+const { histogram, gauge } = require('./metrics');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const LEASE_MS = config.JOB_LEASE_MS;
+
+// Jobs executing in this process, in total and per (lowercased) type.
+const active = { total: 0, byType: new Map() };
+let lastTickAt = null;
+
+const tickDuration = histogram('scheduler_tick_duration_seconds', 'Time spent in one scheduler tick (dispatch only, not the jobs)', [], [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 5]);
+const lastTick = gauge('scheduler_last_tick_timestamp_seconds', 'When the scheduler last finished a tick');
+const startLag = histogram('job_start_lag_seconds', 'Delay between a job\'s runAt and its dispatch', ['type'], [1, 5, 15, 30, 60, 300, 900, 3600, 14400]);
+const jobDuration = histogram('job_duration_seconds', 'Executor run time by job type and resulting status', ['type', 'outcome'], [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900]);
+
+function globalConcurrency() {
+  return config.JOB_CONCURRENCY;
+}
+
+function typeKey(type) { return String(type || '').trim().toLowerCase(); }
+
+function hasCapacity(type) {
+  if (active.total >= globalConcurrency()) return false;
+  const cap = policyFor(type).concurrency;
+  return !cap || (active.byType.get(typeKey(type)) || 0) < cap;
+}
+
+function track(type, delta) {
+  const k = typeKey(type);
+  active.total += delta;
+  const n = (active.byType.get(k) || 0) + delta;
+  if (n > 0) active.byType.set(k, n);
+  else active.byType.delete(k);
+}
+
+function schedulerStats() {
+  return { concurrency: globalConcurrency(), running: active.total, byType: Object.fromEntries(active.byType), lastTickAt };
+}
 
 function safeMark(id, fields) {
   try { markJob(id, fields); }
   catch (e) { log.error({ id, err: e.message }, '[scheduler] markJob failed'); }
 }
 
+function errorText(e, { stack = false } = {}) {
+  let errText = e?.response?.data ?? (stack ? e?.stack : undefined) ?? e?.message ?? String(e);
+  if (typeof errText !== 'string') {
+    try { errText = JSON.stringify(errText); } catch { errText = String(e); }
+  }
+  if (errText.length > 8000) errText = errText.slice(0, 8000);
+  return errText;
+}
+
+// Children of a job that ends failed/dead stay pending until it is retried or cancelled.
+function blockedNote(job) {
+  try {
+    const waiting = listChildJobs(job.id).filter((c) => c.status === 'pending');
+    if (!waiting.length) return '';
+    return `\n\nWaiting on this job: ${waiting.map((c) => `${c.type} [job ${c.id}]`).join(', ')}. Retry it to let them run, or cancel it to cancel them.`;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Record a failed execution and decide what happens next:
+ *   - transient error with attempts left -> back to 'pending' with a backed-off runAt
+ *   - transient error, attempts used up  -> terminal 'dead' + dead-job alert
+ *   - permanent error                    -> 'failed' + failure mail
+ * `label` is the human prefix used in mail subjects (e.g. 'CREATE').
+ * Returns { outcome, attempts, maxAttempts, runAt? }.
+ */
+async function failJob(job, err, { label, stack = false } = {}) {
+  const policy = policyFor(job.type);
+  const attempts = job.attempts || 1;
+  const details = errorText(err, { stack });
+  const tag = label || String(job.type || 'JOB').toUpperCase();
+
+  if (isTransientError(err) && attempts < policy.maxAttempts) {
+    const runAt = Date.now() + computeBackoff(policy, attempts, err);
+    safeMark(job.id, { status: 'pending', runAt, lastError: details });
+    log.warn(
+      { id: job.id, type: job.type, attempts, maxAttempts: policy.maxAttempts, retryAt: new Date(runAt).toISOString() },
+      '[scheduler] transient failure, retry scheduled'
+    );
+    return { outcome: 'retry', attempts, maxAttempts: policy.maxAttempts, runAt };
+  }
+
+  const blocked = blockedNote(job);
+  if (isTransientError(err)) {
+    safeMark(job.id, { status: 'dead', lastError: details });
+    log.error({ id: job.id, type: job.type, attempts }, '[scheduler] job dead, retries exhausted');
+    await sendFailureMail({
+      to: env.EMAIL_TO_DEAD || undefined,
+      subject: `${tag} DEAD after ${attempts} attempts [job ${job.id}]`,
+      text: `Job ${job.id} (${job.type}) exhausted its ${policy.maxAttempts} attempts and will not be retried automatically.${blocked}\n\nLast error:\n${details}`
+    });
+    return { outcome: 'dead', attempts, maxAttempts: policy.maxAttempts };
+  }
+
+  safeMark(job.id, { status: 'failed', lastError: details });
+  await sendFailureMail({ subject: `${tag} failed [job ${job.id}]`, text: `${details}${blocked}` });
+  return { outcome: 'failed', attempts, maxAttempts: policy.maxAttempts };
+}
+
+/**
+ * Persist progress for a running job so a re-run after a crash can resume
+ * instead of repeating side effects. Merged into job.checkpoint.
+ */
+function checkpointJob(job, data) {
+  job.checkpoint = { ...(job.checkpoint || {}), ...data, at: Date.now() };
+  safeMark(job.id, { checkpoint: job.checkpoint });
+  return job.checkpoint;
+}
+
+// In dry-run, keep the recorded plan next to whatever result the executor stored.
+function attachPlan(job) {
+  if (!isDryRun()) return;
+  const current = getJob(job.id);
+  safeMark(job.id, { result: withPlan(current?.result && typeof current.result === 'object' ? current.result : {}) });
+}
+
+function jobPayload(job) {
+  try {
+    return (typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload) || {};
+  } catch {
+    return {};
+  }
+}
+
+function queuedAsDryRun(job) {
+  return jobPayload(job).dryRun === true;
+}
+
+// A job acts for whoever queued it (payload.origin, see upsertJob); unattended ones for the system.
+function queuedBy(job) {
+  const payload = jobPayload(job);
+  if (payload.origin?.type) return payload.origin;
+  return { type: 'system', id: payload.recurring ? `recurring:${payload.recurring}` : 'scheduler' };
+}
+
+// Claims and runs one job; resolves when it has finished (or was not claimed).
 function runJob(executor, job) {
-  safeMark(job.id, { status: 'running', attempts: (job.attempts || 0) + 1, lastError: null });
-  Promise.resolve(executor(job)).catch((e) => {
-    let errText = e?.response?.data ?? e?.stack ?? e?.message ?? String(e);
-    if (typeof errText !== 'string') {
-      try { errText = JSON.stringify(errText); } catch { errText = String(e); }
+  if (!claimJob(job.id, WORKER_ID, LEASE_MS)) {
+    log.info({ id: job.id }, '[scheduler] job already claimed elsewhere');
+    return Promise.resolve();
+  }
+  job.attempts = (job.attempts || 0) + 1;
+  track(job.type, 1);
+  const endTimer = jobDuration.startTimer({ type: typeKey(job.type) });
+
+  const heartbeat = setInterval(() => {
+    try {
+      if (!renewLease(job.id, WORKER_ID, LEASE_MS)) clearInterval(heartbeat);
+    } catch (e) {
+      log.warn({ id: job.id, err: e?.message || e }, '[scheduler] lease renewal failed');
     }
-    if (errText.length > 8000) errText = errText.slice(0, 8000);
-    safeMark(job.id, { status: 'failed', lastError: errText });
-  });
+  }, Math.floor(LEASE_MS / 3));
+  heartbeat.unref();
+
+  const scope = {
+    actor: queuedBy(job),
+    job: { id: job.id, type: job.type },
+    correlationId: jobPayload(job).correlationId || newCorrelationId()
+  };
+  return runWithContext(scope, () => withPlanScope(() => Promise.resolve()
+    .then(() => executor(job))
+    .catch((e) => {
+      log.error({ id: job.id, type: job.type, err: e?.message || e }, '[scheduler] executor threw');
+      return failJob(job, e, { stack: true });
+    })
+    .then(() => attachPlan(job))
+    .catch((e) => log.error({ id: job.id, err: e?.message || e }, '[scheduler] failure handling failed'))
+    .finally(() => {
+      clearInterval(heartbeat);
+      track(job.type, -1);
+      let outcome = 'unknown';
+      try { outcome = getJob(job.id)?.status || outcome; } catch {}
+      endTimer({ outcome });
+    }), { dryRun: queuedAsDryRun(job) }));
 }
 
-function tickRunner(executor) {
-  const INTERVAL_MS = parseInt(process.env.SCHED_INTERVAL_MS || '5000', 10);
+/**
+ * Requeue jobs stranded in 'running' by a crash or restart (lease expired).
+ * Only types whose executor resumes from its checkpoint are re-run; the rest
+ * are failed so a human decides, since repeating them blindly is not safe.
+ */
+async function recoverExpiredLeases(nowMs = Date.now()) {
+  const stranded = findExpiredLeases(nowMs);
+  for (const job of stranded) {
+    const policy = policyFor(job.type);
+    const note = `lease expired (worker ${job.workerId || 'unknown'}, attempt ${job.attempts || 0})`;
+
+    if (!policy.recoverable) {
+      safeMark(job.id, { status: 'failed', lastError: `${note}; job type is not safe to re-run automatically` });
+      log.error({ id: job.id, type: job.type }, '[scheduler] stranded job failed (not recoverable)');
+      await sendFailureMail({
+        subject: `${String(job.type).toUpperCase()} stranded [job ${job.id}]`,
+        text: `Job ${job.id} was left running by a crashed worker and needs manual review.`
+      });
+      continue;
+    }
+
+    if ((job.attempts || 0) >= policy.maxAttempts) {
+      await failJob(job, Object.assign(new Error(note), { transient: true }));
+      continue;
+    }
+
+    safeMark(job.id, { status: 'pending', runAt: nowMs, lastError: note, workerId: null, leaseUntil: null });
+    log.warn(
+      { id: job.id, type: job.type, checkpoint: job.checkpoint ? Object.keys(job.checkpoint) : null },
+      '[scheduler] stranded job requeued'
+    );
+  }
+  return stranded.length;
+}
+
+/**
+ * Worker pool: every SCHED_INTERVAL_MS (and whenever a job finishes) start due
+ * jobs while JOB_CONCURRENCY and the job type's own cap allow. Jobs that do not
+ * fit stay pending for a later tick. Outbound Graph/Zoho calls are paced
+ * separately by infra/rateLimit. `onTick(now)` runs first on every tick
+ * (recurring jobs are queued there).
+ */
+function tickRunner(executor, { onTick } = {}) {
+  const INTERVAL_MS = config.SCHED_INTERVAL_MS;
   let ticking = false;
+  let again = false;
+
+  function kick() {
+    if (ticking) { again = true; return; }
+    setImmediate(tick);
+  }
 
   async function tick() {
     if (ticking) return;
     ticking = true;
+    const endTimer = tickDuration.startTimer();
     try {
       const now = Date.now();
-      const due = fetchDueJobs(now);
-      if (due.length) log.info({ count: due.length, ts: new Date(now).toISOString() }, '[scheduler] due jobs');
+      await recoverExpiredLeases(now);
+      if (onTick) {
+        try { onTick(now); } catch (e) { log.error({ err: e?.message || e }, '[scheduler] onTick failed'); }
+      }
+      if (active.total >= globalConcurrency()) return;
+      // Read past the free slots so capped types do not hide other due work.
+      const due = fetchDueJobs(now, Math.max(20, globalConcurrency() * 5));
+      let started = 0;
       for (const job of due) {
+        if (active.total >= globalConcurrency()) break;
+        if (!hasCapacity(job.type)) continue;
         try {
           log.info({ id: job.id, type: job.type, runAt: new Date(job.runAt).toISOString() }, '[scheduler] dispatch');
-          runJob(executor, job);
+          startLag.observe({ type: typeKey(job.type) }, Math.max(0, now - job.runAt) / 1000);
+          runJob(executor, job).finally(kick);
+          started++;
         } catch (err) {
           const msg = err?.response?.data || err?.message || String(err);
           log.error({ id: job.id, type: job.type, err: msg }, '[scheduler] executor failed');
           safeMark(job.id, { status: 'failed', lastError: msg });
         }
       }
+      if (started) log.info({ started, due: due.length, running: active.total, ts: new Date(now).toISOString() }, '[scheduler] due jobs');
     } catch (e) {
       log.error({ err: e?.message || e }, '[scheduler] tick error');
     } finally {
+      endTimer();
+      lastTickAt = Date.now();
+      lastTick.set({}, lastTickAt / 1000);
       ticking = false;
+      if (again) { again = false; kick(); }
     }
   }
 
@@ -52,4 +296,4 @@ function tickRunner(executor) {
   tick();
 }
 
-module.exports = { tickRunner };
+module.exports = { tickRunner, failJob, checkpointJob, recoverExpiredLeases, schedulerStats, WORKER_ID };
@@ -3,49 +3,57 @@
 const fs = require('fs');
 const path = require('path');
 const { log } = require('../core/logger');
+const { isDryRun } = require('../core/dryRun');
+const { getContext } = require('../core/context');
+const { newCorrelationId } = require('../core/correlation');
+const { openStore } = require('./storage');
 
 const dataDir = path.join(process.cwd(), 'data');
 const dbFile = path.join(dataDir, 'jobs.sqlite');
 
-let SQL = null;
-let db = null;
-let hasCreatedAt = false;
-let hasUpdatedAt = false;
-let hasResult = false;
+let store = null;
+let jobColumns = new Set();
 
 function ensureDataDir() {
   if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 }
 
-function persist() {
-  const data = Buffer.from(db.export());
-  fs.writeFileSync(dbFile, data);
+function tableExists(name) {
+  return !!store.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
 }
 
-function tableExists(name) {
-  const res = db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name='${name}'`);
-  return !!(res && res[0] && res[0].values && res[0].values.length > 0);
-}
-
-function refreshJobsColumnsFlags() {
-  const info = db.exec(`PRAGMA table_info('jobs')`);
-  hasCreatedAt = false;
-  hasUpdatedAt = false;
-  hasResult = false;
-  if (info && info[0]) {
-    const rows = info[0].values;
-    for (const r of rows) {
-      const colName = r[1];
-      if (colName === 'createdAt') hasCreatedAt = true;
-      if (colName === 'updatedAt') hasUpdatedAt = true;
-      if (colName === 'result') hasResult = true;
+function refreshJobsColumns() {
+  jobColumns = new Set(store.all(`PRAGMA table_info('jobs')`).map((r) => r.name));
+}
+
+// Columns added after the first release; older databases get them via ALTER TABLE.
+const JOB_EXTRA_COLUMNS = {
+  result: 'TEXT',
+  leaseUntil: 'INTEGER',
+  workerId: 'TEXT',
+  checkpoint: 'TEXT',
+  playbookId: 'TEXT',
+  parentId: 'INTEGER'
+};
+
+// A job with a parent only becomes due once the parent is done.
+const PARENT_DONE = `(parentId IS NULL OR EXISTS (SELECT 1 FROM jobs p WHERE p.id = jobs.parentId AND p.status = 'done'))`;
+
+function ensureJobsColumns() {
+  refreshJobsColumns();
+  let changed = false;
+  for (const [col, type] of Object.entries(JOB_EXTRA_COLUMNS)) {
+    if (!jobColumns.has(col)) {
+      store.exec(`ALTER TABLE jobs ADD COLUMN ${col} ${type}`);
+      changed = true;
     }
   }
+  if (changed) refreshJobsColumns();
 }
 
 function ensureJobsTable() {
   if (!tableExists('jobs')) {
-    db.run(`
+    store.exec(`
       CREATE TABLE jobs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         type TEXT NOT NULL,
@@ -60,73 +68,298 @@ function ensureJobsTable() {
       );
       CREATE INDEX jobs_run_idx ON jobs(runAt, status);
     `);
-    refreshJobsColumnsFlags();
-    persist();
   }
 }
 
 function ensureKvTable() {
-  db.run(`
+  store.exec(`
     CREATE TABLE IF NOT EXISTS kv (
       key TEXT PRIMARY KEY,
       value TEXT,
       updatedAt INTEGER NOT NULL DEFAULT (strftime('%s','now')*1000)
     );
   `);
-  persist();
+}
+
+function ensureEmployeeIdTable() {
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS employee_ids (
+      number INTEGER PRIMARY KEY,
+      employeeId TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'reserved',
+      jobId INTEGER,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS employee_ids_job_idx ON employee_ids(jobId);
+  `);
+}
+
+function ensurePlaybookTable() {
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS playbooks (
+      id TEXT PRIMARY KEY,
+      employeeId TEXT,
+      email TEXT,
+      upn TEXT,
+      userId TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      stages TEXT NOT NULL,
+      state TEXT,
+      requestedBy TEXT,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS playbooks_employee_idx ON playbooks(employeeId, status);
+  `);
+  // Added later. Dry-runs no longer store playbooks; ones stored before are flagged
+  // (by their stage jobs) so a real exit never re-uses them.
+  const cols = new Set(store.all(`PRAGMA table_info('playbooks')`).map((r) => r.name));
+  if (!cols.has('dryRun')) {
+    store.exec('ALTER TABLE playbooks ADD COLUMN dryRun INTEGER NOT NULL DEFAULT 0');
+    store.run(
+      `UPDATE playbooks SET dryRun = 1 WHERE id IN (
+         SELECT playbookId FROM jobs WHERE type = 'offboardStage' AND payload LIKE '%"dryRun":true%')`
+    );
+  }
+}
+
+// One-time password links: only ciphertext is kept; the key lives in the link itself.
+function ensurePasswordLinkTable() {
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS password_links (
+      id TEXT PRIMARY KEY,
+      userId TEXT,
+      ciphertext TEXT,
+      iv TEXT,
+      tag TEXT,
+      expiresAt INTEGER NOT NULL,
+      viewedAt INTEGER,
+      createdAt INTEGER NOT NULL
+    );
+  `);
+}
+
+// Accepted webhook signatures/event ids (replay guard) and Idempotency-Key responses.
+function ensureWebhookTables() {
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_receipts (
+      key TEXT PRIMARY KEY,
+      expiresAt INTEGER NOT NULL,
+      createdAt INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      key TEXT PRIMARY KEY,
+      requestHash TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'in_progress',
+      status INTEGER,
+      response TEXT,
+      expiresAt INTEGER NOT NULL,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+  `);
+}
+
+// Inbound Zoho webhook journal (kept for WEBHOOK_JOURNAL_RETENTION_DAYS, replayable by admins).
+function ensureWebhookEventTable() {
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      query TEXT,
+      headers TEXT,
+      rawBody TEXT,
+      verified TEXT,
+      status INTEGER,
+      response TEXT,
+      jobId INTEGER,
+      replayOf INTEGER,
+      dryRun INTEGER NOT NULL DEFAULT 0,
+      receivedAt INTEGER NOT NULL,
+      respondedAt INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS webhook_events_received_idx ON webhook_events(receivedAt);
+  `);
+}
+
+// Recurring (cron) definitions from RECURRING_JOBS_FILE, with their paused flag and next due time.
+function ensureRecurringTable() {
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS recurring_jobs (
+      name TEXT PRIMARY KEY,
+      cron TEXT NOT NULL,
+      tz TEXT NOT NULL,
+      type TEXT NOT NULL,
+      payload TEXT,
+      missed TEXT NOT NULL DEFAULT 'skip',
+      paused INTEGER NOT NULL DEFAULT 0,
+      nextRunAt INTEGER,
+      lastRunAt INTEGER,
+      lastJobId INTEGER,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+  `);
+}
+
+// Append-only record of directory changes (services/audit); triggers refuse edits and deletes.
+function ensureAuditTable() {
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      at INTEGER NOT NULL,
+      actorType TEXT NOT NULL,
+      actor TEXT,
+      sourceIp TEXT,
+      jobId INTEGER,
+      jobType TEXT,
+      correlationId TEXT,
+      operation TEXT NOT NULL,
+      targetId TEXT,
+      targetUpn TEXT,
+      changes TEXT,
+      outcome TEXT NOT NULL,
+      error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS audit_at_idx ON audit(at);
+    CREATE INDEX IF NOT EXISTS audit_target_idx ON audit(targetId);
+    CREATE TRIGGER IF NOT EXISTS audit_no_update BEFORE UPDATE ON audit
+      BEGIN SELECT RAISE(ABORT, 'audit is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_no_delete BEFORE DELETE ON audit
+      BEGIN SELECT RAISE(ABORT, 'audit is append-only'); END;
+  `);
 }
 
 async function initSQLite() {
   ensureDataDir();
-  const initSqlJs = require('sql.js');
-  SQL = await initSqlJs({ locateFile: (f) => require.resolve('sql.js/dist/' + f) });
-
-  if (fs.existsSync(dbFile)) {
-    const fileBuffer = fs.readFileSync(dbFile);
-    db = new SQL.Database(fileBuffer);
-  } else {
-    db = new SQL.Database();
-  }
+  store = await openStore(dbFile);
 
   ensureJobsTable();
+  ensureJobsColumns();
   ensureKvTable();
-  log.info({ dbFile }, '[sqlite] ready');
+  ensureEmployeeIdTable();
+  ensurePlaybookTable();
+  ensurePasswordLinkTable();
+  ensureWebhookTables();
+  ensureWebhookEventTable();
+  ensureRecurringTable();
+  ensureAuditTable();
+  log.info({ dbFile, driver: store.driver }, '[sqlite] ready');
 }
 
-function upsertJob({ type, runAt, payload }) {
-  if (!db) throw new Error('DB not initialized');
+function upsertJob({ type, runAt, payload, playbookId, parentId }) {
+  if (!store) throw new Error('DB not initialized');
   const nowMs = Date.now();
   const cols = ['type', 'runAt', 'payload', 'status', 'createdAt', 'updatedAt'];
-  const vals = [type, runAt, JSON.stringify(payload || {}), 'pending', nowMs, nowMs];
+  // Jobs queued from a dry-run request run as dry-runs too (see scheduler runJob).
+  const body = isDryRun() ? { ...(payload || {}), dryRun: true } : { ...(payload || {}) };
+  // ...on behalf of whoever queued them (services/audit), under the same correlation ID.
+  const ctx = getContext();
+  if (ctx?.actor && !body.origin) body.origin = ctx.actor;
+  if (!body.correlationId) body.correlationId = ctx?.correlationId || newCorrelationId();
+  const vals = [type, runAt, JSON.stringify(body), 'pending', nowMs, nowMs];
+  if (playbookId) { cols.push('playbookId'); vals.push(playbookId); }
+  if (parentId) { cols.push('parentId'); vals.push(parentId); }
 
   const placeholders = cols.map(() => '?').join(', ');
-  const sql = `INSERT INTO jobs (${cols.join(', ')}) VALUES (${placeholders})`;
-  const stmt = db.prepare(sql);
-  stmt.run(vals);
-  stmt.free();
-
-  const id = db.exec('SELECT last_insert_rowid() AS id')[0].values[0][0];
-  persist();
-  return id;
-}
-
-function fetchDueJobs(nowMs) {
-  if (!db) throw new Error('DB not initialized');
-  const stmt = db.prepare(
-    'SELECT id, type, runAt, status, attempts, payload FROM jobs WHERE status = ? AND runAt <= ? ORDER BY runAt ASC LIMIT 20'
-  );
-  const rows = [];
-  stmt.bind(['pending', nowMs]);
-  while (stmt.step()) {
-    const r = stmt.getAsObject();
-    rows.push({ id: r.id, type: r.type, runAt: r.runAt, status: r.status, attempts: r.attempts, payload: r.payload });
-  }
-  stmt.free();
-  return rows;
+  return store.run(`INSERT INTO jobs (${cols.join(', ')}) VALUES (${placeholders})`, vals).lastInsertRowid;
 }
 
-function markJob(id, fields) {
-  if (!db) throw new Error('DB not initialized');
+/**
+ * Queue `steps` ({ type, runAt?, payload }) as a chain: each step is a child of
+ * the one before it, the first a child of `parentId` (if given). Returns the ids.
+ */
+function upsertJobChain(steps, { parentId = null, playbookId } = {}) {
+  if (!store) throw new Error('DB not initialized');
+  return store.transaction(() => {
+    const ids = [];
+    let parent = parentId;
+    for (const st of steps) {
+      parent = upsertJob({ type: st.type, runAt: st.runAt ?? Date.now(), payload: st.payload, playbookId, parentId: parent });
+      ids.push(parent);
+    }
+    return ids;
+  });
+}
+
+function listChildJobs(parentId) {
+  if (!store) throw new Error('DB not initialized');
+  return selectAll('SELECT id, type, runAt, status, attempts, lastError FROM jobs WHERE parentId = ? ORDER BY id', [parentId])
+    .map((r) => ({ ...r, lastError: parseJsonField(r.lastError) }));
+}
+
+// Cancels every pending job below `id` (children, grandchildren, ...). Returns their ids.
+function cancelDependentJobs(id, reason) {
+  if (!store) throw new Error('DB not initialized');
+  return store.transaction(() => {
+    const ids = selectAll(
+      `WITH RECURSIVE dep(id) AS (
+         SELECT id FROM jobs WHERE parentId = ?
+         UNION SELECT j.id FROM jobs j JOIN dep ON j.parentId = dep.id
+       )
+       SELECT jobs.id FROM jobs JOIN dep ON jobs.id = dep.id WHERE jobs.status = 'pending'`,
+      [id]
+    ).map((r) => r.id);
+    if (!ids.length) return ids;
+    store.run(
+      `UPDATE jobs SET status = 'cancelled', lastError = ?, updatedAt = ? WHERE status = 'pending' AND id IN (${ids.map(() => '?').join(', ')})`,
+      [String(reason), Date.now(), ...ids]
+    );
+    return ids;
+  });
+}
+
+function fetchDueJobs(nowMs, limit = 20) {
+  if (!store) throw new Error('DB not initialized');
+  return selectAll(
+    `SELECT id, type, runAt, status, attempts, payload, checkpoint, parentId FROM jobs
+     WHERE status = ? AND runAt <= ? AND ${PARENT_DONE}
+     ORDER BY runAt ASC LIMIT ?`,
+    ['pending', nowMs, limit]
+  ).map((r) => ({ ...r, checkpoint: parseJsonField(r.checkpoint) }));
+}
+
+/**
+ * Atomically move a pending job to 'running' under a lease owned by workerId.
+ * Returns false if another worker got there first.
+ */
+function claimJob(id, workerId, leaseMs) {
+  if (!store) throw new Error('DB not initialized');
+  const now = Date.now();
+  const { changes } = store.run(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, lastError = NULL,
+         workerId = ?, leaseUntil = ?, updatedAt = ?
+     WHERE id = ? AND status = 'pending' AND ${PARENT_DONE}`,
+    [workerId, now + leaseMs, now, id]
+  );
+  return changes > 0;
+}
+
+function renewLease(id, workerId, leaseMs) {
+  if (!store) throw new Error('DB not initialized');
+  const { changes } = store.run(
+    `UPDATE jobs SET leaseUntil = ? WHERE id = ? AND workerId = ? AND status = 'running'`,
+    [Date.now() + leaseMs, id, workerId]
+  );
+  return changes > 0;
+}
+
+// Running jobs whose lease ran out (or that predate leases entirely).
+function findExpiredLeases(nowMs) {
+  if (!store) throw new Error('DB not initialized');
+  return selectAll(
+    `SELECT id, type, runAt, status, attempts, workerId, leaseUntil, checkpoint
+     FROM jobs
+     WHERE status = 'running' AND (leaseUntil IS NULL OR leaseUntil < ?)
+     ORDER BY runAt ASC`,
+    [nowMs]
+  ).map((r) => ({ ...r, checkpoint: parseJsonField(r.checkpoint) }));
+}
+
+function jobUpdate(fields) {
   const updates = [];
   const vals = [];
 
@@ -143,32 +376,28 @@ function markJob(id, fields) {
       vals.push(v);
     }
   }
+  return { set: updates.join(', '), vals };
+}
 
-  vals.push(id);
-  const sql = `UPDATE jobs SET ${updates.join(', ')} WHERE id = ?`;
-  db.run(sql, vals);
-  persist();
+function markJob(id, fields) {
+  if (!store) throw new Error('DB not initialized');
+  const { set, vals } = jobUpdate(fields);
+  store.run(`UPDATE jobs SET ${set} WHERE id = ?`, [...vals, id]);
 }
 
 function getKV(key) {
-  if (!db) throw new Error('DB not initialized');
-  const stmt = db.prepare(`SELECT value FROM kv WHERE key = ?`);
-  stmt.bind([key]);
-  let val = null;
-  if (stmt.step()) {
-    val = stmt.getAsObject().value;
-  }
-  stmt.free();
-  return val;
+  if (!store) throw new Error('DB not initialized');
+  const row = selectOne('SELECT value FROM kv WHERE key = ?', [key]);
+  return row ? row.value : null;
 }
 
 function setKV(key, value) {
-  if (!db) throw new Error('DB not initialized');
+  if (!store) throw new Error('DB not initialized');
   const now = Date.now();
-  const stmt = db.prepare('INSERT INTO kv (key, value, updatedAt) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt');
-  stmt.run([key, String(value), now]);
-  stmt.free();
-  persist();
+  store.run(
+    'INSERT INTO kv (key, value, updatedAt) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt',
+    [key, String(value), now]
+  );
 }
 
 function getKVInt(key, def = 0) {
@@ -177,14 +406,532 @@ function getKVInt(key, def = 0) {
 }
 
 function bumpKVInt(key, startAt = 1) {
-  const cur = getKVInt(key, startAt - 1);
-  const next = cur + 1;
-  setKV(key, next);
-  return next;
+  if (!store) throw new Error('DB not initialized');
+  return store.transaction(() => {
+    const next = getKVInt(key, startAt - 1) + 1;
+    setKV(key, next);
+    return next;
+  });
+}
+
+function selectAll(sql, params = []) {
+  return store.all(sql, params);
+}
+
+function selectOne(sql, params = []) {
+  return store.get(sql, params);
+}
+
+function parseJsonField(v) {
+  if (v === null || v === undefined || v === '') return null;
+  try { return JSON.parse(v); } catch { return v; }
+}
+
+function toJobView(r) {
+  if (!r) return null;
+  return {
+    ...r,
+    payload: parseJsonField(r.payload),
+    result: parseJsonField(r.result),
+    lastError: parseJsonField(r.lastError),
+    checkpoint: parseJsonField(r.checkpoint)
+  };
+}
+
+function buildJobFilter({ type, status, candidateId, playbookId, parentId, runAtFrom, runAtTo } = {}) {
+  const where = [];
+  const vals = [];
+  if (type) { where.push('type = ?'); vals.push(type); }
+  if (playbookId) { where.push('playbookId = ?'); vals.push(playbookId); }
+  if (parentId) { where.push('parentId = ?'); vals.push(Number(parentId)); }
+  if (status) {
+    const list = String(status).split(',').map((s) => s.trim()).filter(Boolean);
+    if (list.length) {
+      where.push(`status IN (${list.map(() => '?').join(', ')})`);
+      vals.push(...list);
+    }
+  }
+  if (candidateId) {
+    where.push('payload LIKE ?');
+    vals.push(`%\"candidateId\":\"${String(candidateId)}\"%`);
+  }
+  if (Number.isFinite(runAtFrom)) { where.push('runAt >= ?'); vals.push(runAtFrom); }
+  if (Number.isFinite(runAtTo)) { where.push('runAt <= ?'); vals.push(runAtTo); }
+  return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', vals };
+}
+
+function listJobs(filters = {}, { limit = 50, offset = 0 } = {}) {
+  if (!store) throw new Error('DB not initialized');
+  const { clause, vals } = buildJobFilter(filters);
+  const total = selectOne(`SELECT COUNT(*) AS n FROM jobs ${clause}`, vals).n;
+  const rows = selectAll(
+    `SELECT id, type, runAt, status, attempts, lastError, playbookId, parentId, createdAt, updatedAt
+     FROM jobs ${clause}
+     ORDER BY runAt DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...vals, limit, offset]
+  );
+  return { total, items: rows.map((r) => ({ ...r, lastError: parseJsonField(r.lastError) })) };
+}
+
+function getJob(id) {
+  if (!store) throw new Error('DB not initialized');
+  return toJobView(selectOne('SELECT * FROM jobs WHERE id = ?', [id]));
+}
+
+/**
+ * Compare-and-set update: applies `fields` only while the job is still in one
+ * of `fromStatuses`. Returns true when the row was changed.
+ */
+function updateJobIfStatus(id, fromStatuses, fields) {
+  if (!store) throw new Error('DB not initialized');
+  const { set, vals } = jobUpdate(fields);
+  const { changes } = store.run(
+    `UPDATE jobs SET ${set} WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+    [...vals, id, ...fromStatuses]
+  );
+  return changes > 0;
+}
+
+/**
+ * Reserve an employee number. The PRIMARY KEY/UNIQUE constraints make this the
+ * single point of truth: two jobs can never hold the same number or ID.
+ * Returns false if the number (or formatted ID) is already reserved.
+ */
+function reserveEmployeeId({ number, employeeId, jobId }) {
+  if (!store) throw new Error('DB not initialized');
+  const now = Date.now();
+  const { changes } = store.run(
+    'INSERT OR IGNORE INTO employee_ids (number, employeeId, status, jobId, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)',
+    [number, employeeId, 'reserved', jobId ?? null, now, now]
+  );
+  return changes > 0;
+}
+
+function setEmployeeIdStatus(employeeId, status) {
+  if (!store) throw new Error('DB not initialized');
+  store.run('UPDATE employee_ids SET status = ?, updatedAt = ? WHERE employeeId = ?', [status, Date.now(), employeeId]);
+}
+
+// Drops an unused reservation so its number can be handed out again.
+function deleteEmployeeIdReservation(employeeId) {
+  if (!store) throw new Error('DB not initialized');
+  store.run("DELETE FROM employee_ids WHERE employeeId = ? AND status = 'reserved'", [employeeId]);
+}
+
+// Reservations held by jobs that ended (done, failed, dead, cancelled) or no longer
+// exist without committing their ID; a pending or running job keeps its number.
+function releaseAbandonedEmployeeIds() {
+  if (!store) throw new Error('DB not initialized');
+  return store.run(
+    `DELETE FROM employee_ids WHERE status = 'reserved' AND jobId IS NOT NULL
+       AND jobId NOT IN (SELECT id FROM jobs WHERE status IN ('pending','running'))`
+  ).changes;
+}
+
+function maxReservedEmployeeNumber() {
+  if (!store) throw new Error('DB not initialized');
+  return selectOne('SELECT MAX(number) AS n FROM employee_ids').n || 0;
+}
+
+function findEmployeeIdByJob(jobId) {
+  if (!store) throw new Error('DB not initialized');
+  return selectOne(
+    "SELECT number, employeeId, status FROM employee_ids WHERE jobId = ? AND status IN ('reserved','committed') ORDER BY number DESC LIMIT 1",
+    [jobId]
+  );
+}
+
+function toPlaybookView(r) {
+  if (!r) return null;
+  return { ...r, dryRun: !!r.dryRun, stages: parseJsonField(r.stages) || [], state: parseJsonField(r.state) || {} };
+}
+
+function insertPlaybook({ id, employeeId, email, upn, stages, requestedBy }) {
+  if (!store) throw new Error('DB not initialized');
+  const now = Date.now();
+  store.run(
+    'INSERT INTO playbooks (id, employeeId, email, upn, status, stages, state, requestedBy, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [id, employeeId ?? null, email ?? null, upn ?? null, 'active', JSON.stringify(stages), '{}', requestedBy ?? null, now, now]
+  );
+}
+
+function getPlaybook(id) {
+  if (!store) throw new Error('DB not initialized');
+  return toPlaybookView(selectOne('SELECT * FROM playbooks WHERE id = ?', [id]));
+}
+
+function listPlaybooks({ status, employeeId, dryRun } = {}, { limit = 50, offset = 0 } = {}) {
+  if (!store) throw new Error('DB not initialized');
+  const where = [];
+  const vals = [];
+  if (status) {
+    const list = String(status).split(',').map((s) => s.trim()).filter(Boolean);
+    if (list.length) {
+      where.push(`status IN (${list.map(() => '?').join(', ')})`);
+      vals.push(...list);
+    }
+  }
+  if (employeeId) { where.push('employeeId = ?'); vals.push(String(employeeId)); }
+  if (dryRun !== undefined) { where.push('dryRun = ?'); vals.push(dryRun ? 1 : 0); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = selectOne(`SELECT COUNT(*) AS n FROM playbooks ${clause}`, vals).n;
+  const rows = selectAll(`SELECT * FROM playbooks ${clause} ORDER BY createdAt DESC LIMIT ? OFFSET ?`, [...vals, limit, offset]);
+  return { total, items: rows.map(toPlaybookView) };
+}
+
+// Objects (stages, state) are stored as JSON, like markJob does for jobs.
+function updatePlaybook(id, fields) {
+  if (!store) throw new Error('DB not initialized');
+  const updates = ['updatedAt = ?'];
+  const vals = [Date.now()];
+  for (const [k, v] of Object.entries(fields)) {
+    updates.push(`${k} = ?`);
+    vals.push(v === null || v === undefined ? null : (typeof v === 'object' ? JSON.stringify(v) : v));
+  }
+  vals.push(id);
+  store.run(`UPDATE playbooks SET ${updates.join(', ')} WHERE id = ?`, vals);
+}
+
+function insertPasswordLink({ id, userId, ciphertext, iv, tag, expiresAt }) {
+  if (!store) throw new Error('DB not initialized');
+  store.run(
+    'INSERT INTO password_links (id, userId, ciphertext, iv, tag, expiresAt, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [id, userId ?? null, ciphertext, iv, tag, expiresAt, Date.now()]
+  );
+}
+
+function getPasswordLink(id) {
+  if (!store) throw new Error('DB not initialized');
+  return selectOne('SELECT * FROM password_links WHERE id = ?', [id]);
+}
+
+// Drops the ciphertext so the link cannot be opened again; the row stays as a record of the view.
+function consumePasswordLink(id) {
+  if (!store) throw new Error('DB not initialized');
+  const { changes } = store.run(
+    'UPDATE password_links SET ciphertext = NULL, iv = NULL, tag = NULL, viewedAt = ? WHERE id = ? AND ciphertext IS NOT NULL',
+    [Date.now(), id]
+  );
+  return changes > 0;
+}
+
+function purgePasswordLinks(olderThan = Date.now()) {
+  if (!store) throw new Error('DB not initialized');
+  return store.run('UPDATE password_links SET ciphertext = NULL, iv = NULL, tag = NULL WHERE expiresAt <= ? AND ciphertext IS NOT NULL', [olderThan]).changes;
+}
+
+/**
+ * Records webhook receipts [{ key, ttlMs }] all together; false (and nothing
+ * recorded) when any key was already seen and has not expired.
+ */
+function claimWebhookReceipts(receipts) {
+  if (!store) throw new Error('DB not initialized');
+  const now = Date.now();
+  return store.transaction(() => {
+    store.run('DELETE FROM webhook_receipts WHERE expiresAt <= ?', [now]);
+    if (receipts.some((r) => selectOne('SELECT 1 AS seen FROM webhook_receipts WHERE key = ?', [r.key]))) return false;
+    for (const r of receipts) {
+      store.run('INSERT INTO webhook_receipts (key, expiresAt, createdAt) VALUES (?, ?, ?)', [r.key, now + r.ttlMs, now]);
+    }
+    return true;
+  });
+}
+
+function releaseWebhookReceipts(keys) {
+  if (!store) throw new Error('DB not initialized');
+  for (const key of keys) store.run('DELETE FROM webhook_receipts WHERE key = ?', [key]);
+}
+
+function getIdempotencyRecord(key) {
+  if (!store) throw new Error('DB not initialized');
+  const row = selectOne('SELECT * FROM idempotency_keys WHERE key = ? AND expiresAt > ?', [key, Date.now()]);
+  return row ? { ...row, response: parseJsonField(row.response) } : null;
+}
+
+/** Starts an in-progress record; false when a live record for the key exists. */
+function beginIdempotencyRecord(key, requestHash, ttlMs) {
+  if (!store) throw new Error('DB not initialized');
+  const now = Date.now();
+  return store.transaction(() => {
+    store.run('DELETE FROM idempotency_keys WHERE expiresAt <= ?', [now]);
+    const { changes } = store.run(
+      'INSERT OR IGNORE INTO idempotency_keys (key, requestHash, state, expiresAt, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)',
+      [key, requestHash, 'in_progress', now + ttlMs, now, now]
+    );
+    return changes > 0;
+  });
+}
+
+function completeIdempotencyRecord(key, status, response) {
+  if (!store) throw new Error('DB not initialized');
+  store.run(
+    'UPDATE idempotency_keys SET state = ?, status = ?, response = ?, updatedAt = ? WHERE key = ?',
+    ['completed', status, JSON.stringify(response ?? null), Date.now(), key]
+  );
+}
+
+function deleteIdempotencyRecord(key) {
+  if (!store) throw new Error('DB not initialized');
+  store.run('DELETE FROM idempotency_keys WHERE key = ?', [key]);
+}
+
+function insertWebhookEvent({ method, path: p, query, headers, rawBody, replayOf, dryRun }) {
+  if (!store) throw new Error('DB not initialized');
+  return store.run(
+    'INSERT INTO webhook_events (method, path, query, headers, rawBody, replayOf, dryRun, receivedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [method, p, JSON.stringify(query || {}), JSON.stringify(headers || {}), rawBody ?? null, replayOf ?? null, dryRun ? 1 : 0, Date.now()]
+  ).lastInsertRowid;
+}
+
+function finishWebhookEvent(id, { verified, status, response, jobId }) {
+  if (!store) throw new Error('DB not initialized');
+  store.run(
+    'UPDATE webhook_events SET verified = ?, status = ?, response = ?, jobId = ?, respondedAt = ? WHERE id = ?',
+    [verified ?? null, status ?? null, JSON.stringify(response ?? null), jobId ?? null, Date.now(), id]
+  );
+}
+
+function toWebhookEventView(r) {
+  if (!r) return null;
+  return {
+    ...r,
+    dryRun: !!r.dryRun,
+    query: parseJsonField(r.query) || {},
+    headers: parseJsonField(r.headers) || {},
+    response: parseJsonField(r.response)
+  };
+}
+
+function getWebhookEvent(id) {
+  if (!store) throw new Error('DB not initialized');
+  return toWebhookEventView(selectOne('SELECT * FROM webhook_events WHERE id = ?', [id]));
+}
+
+/**
+ * Filters: path (exact), status (comma list; "error" = 4xx/5xx), verified,
+ * verifiedIn (array), receivedFrom/receivedTo (epoch ms, inclusive),
+ * originalsOnly (no replays).
+ * Newest first unless order = 'ASC'; the raw body is left out of the listing.
+ */
+function listWebhookEvents({ path: p, status, verified, verifiedIn, receivedFrom, receivedTo, originalsOnly } = {}, { limit = 50, offset = 0, order = 'DESC' } = {}) {
+  if (!store) throw new Error('DB not initialized');
+  const where = [];
+  const vals = [];
+  if (originalsOnly) where.push('replayOf IS NULL');
+  if (p) { where.push('path = ?'); vals.push(String(p)); }
+  if (status) {
+    const list = String(status).split(',').map((x) => x.trim()).filter(Boolean);
+    const nums = list.filter((x) => /^\d+$/.test(x)).map(Number);
+    const parts = [];
+    if (nums.length) { parts.push(`status IN (${nums.map(() => '?').join(', ')})`); vals.push(...nums); }
+    if (list.includes('error')) parts.push('status >= 400');
+    if (parts.length) where.push(`(${parts.join(' OR ')})`);
+  }
+  if (verified) { where.push('verified = ?'); vals.push(String(verified)); }
+  if (verifiedIn) { where.push(`verified IN (${verifiedIn.map(() => '?').join(', ') || 'NULL'})`); vals.push(...verifiedIn.map(String)); }
+  if (Number.isFinite(receivedFrom)) { where.push('receivedAt >= ?'); vals.push(receivedFrom); }
+  if (Number.isFinite(receivedTo)) { where.push('receivedAt <= ?'); vals.push(receivedTo); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const dir = order === 'ASC' ? 'ASC' : 'DESC';
+  const total = selectOne(`SELECT COUNT(*) AS n FROM webhook_events ${clause}`, vals).n;
+  const rows = selectAll(
+    `SELECT id, method, path, query, headers, verified, status, response, jobId, replayOf, dryRun, receivedAt, respondedAt
+     FROM webhook_events ${clause} ORDER BY receivedAt ${dir}, id ${dir} LIMIT ? OFFSET ?`,
+    [...vals, limit, offset]
+  );
+  return { total, items: rows.map(toWebhookEventView) };
+}
+
+function purgeWebhookEvents(olderThan) {
+  if (!store) throw new Error('DB not initialized');
+  return store.run('DELETE FROM webhook_events WHERE receivedAt < ?', [olderThan]).changes;
+}
+
+function toRecurringView(r) {
+  if (!r) return null;
+  return { ...r, payload: parseJsonField(r.payload) || {}, paused: !!r.paused };
+}
+
+function listRecurringJobs() {
+  if (!store) throw new Error('DB not initialized');
+  return selectAll('SELECT * FROM recurring_jobs ORDER BY name').map(toRecurringView);
+}
+
+function getRecurringJob(name) {
+  if (!store) throw new Error('DB not initialized');
+  return toRecurringView(selectOne('SELECT * FROM recurring_jobs WHERE name = ?', [name]));
+}
+
+// Insert or update a definition; the paused flag and run history are left alone.
+function saveRecurringJob({ name, cron, tz, type, payload, missed, nextRunAt }) {
+  if (!store) throw new Error('DB not initialized');
+  const now = Date.now();
+  store.run(
+    `INSERT INTO recurring_jobs (name, cron, tz, type, payload, missed, nextRunAt, createdAt, updatedAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(name) DO UPDATE SET
+       cron = excluded.cron, tz = excluded.tz, type = excluded.type, payload = excluded.payload,
+       missed = excluded.missed, nextRunAt = excluded.nextRunAt, updatedAt = excluded.updatedAt`,
+    [name, cron, tz, type, JSON.stringify(payload || {}), missed, nextRunAt, now, now]
+  );
+}
+
+function updateRecurringJob(name, fields) {
+  if (!store) throw new Error('DB not initialized');
+  const updates = ['updatedAt = ?'];
+  const vals = [Date.now()];
+  for (const [k, v] of Object.entries(fields)) {
+    updates.push(`${k} = ?`);
+    vals.push(typeof v === 'boolean' ? (v ? 1 : 0) : (v ?? null));
+  }
+  vals.push(name);
+  return store.run(`UPDATE recurring_jobs SET ${updates.join(', ')} WHERE name = ?`, vals).changes > 0;
+}
+
+function deleteRecurringJob(name) {
+  if (!store) throw new Error('DB not initialized');
+  store.run('DELETE FROM recurring_jobs WHERE name = ?', [name]);
+}
+
+/**
+ * Claim the run due at `expectNextRunAt` and queue its job in one write, so a
+ * second worker or a restart mid-way can neither fire it twice nor lose it.
+ * `job` may be null (run skipped: only nextRunAt moves). Returns
+ * { claimed, jobId }.
+ */
+function fireRecurringJob(name, expectNextRunAt, { nextRunAt, job }) {
+  if (!store) throw new Error('DB not initialized');
+  const now = Date.now();
+  return store.transaction(() => {
+    const { changes } = store.run(
+      'UPDATE recurring_jobs SET nextRunAt = ?, updatedAt = ? WHERE name = ? AND nextRunAt = ?',
+      [nextRunAt, now, name, expectNextRunAt]
+    );
+    if (!changes) return { claimed: false, jobId: null };
+    if (!job) return { claimed: true, jobId: null };
+    const jobId = upsertJob(job);
+    store.run('UPDATE recurring_jobs SET lastRunAt = ?, lastJobId = ? WHERE name = ?', [now, jobId, name]);
+    return { claimed: true, jobId };
+  });
+}
+
+/** Job counts by type/status touched since `sinceMs`, the failures among them and the pending backlog. */
+function jobActivitySince(sinceMs, { nowMs = Date.now(), limit = 50 } = {}) {
+  if (!store) throw new Error('DB not initialized');
+  const counts = selectAll(
+    'SELECT type, status, COUNT(*) AS n FROM jobs WHERE updatedAt >= ? GROUP BY type, status ORDER BY type, status',
+    [sinceMs]
+  );
+  const problems = selectAll(
+    `SELECT id, type, status, attempts, lastError, updatedAt FROM jobs
+     WHERE updatedAt >= ? AND status IN ('failed','dead')
+     ORDER BY updatedAt DESC LIMIT ?`,
+    [sinceMs, limit]
+  ).map((r) => ({ ...r, lastError: parseJsonField(r.lastError) }));
+  const backlog = selectOne(
+    `SELECT COUNT(*) AS pending, SUM(CASE WHEN runAt < ? THEN 1 ELSE 0 END) AS overdue, MIN(runAt) AS oldestRunAt
+     FROM jobs WHERE status = 'pending'`,
+    [nowMs]
+  );
+  return { counts, problems, backlog: { pending: backlog.pending, overdue: backlog.overdue || 0, oldestRunAt: backlog.oldestRunAt } };
+}
+
+/** Job counts by type/status, and pending jobs already due (with the oldest due time). */
+function jobQueueStats(nowMs = Date.now()) {
+  if (!store) throw new Error('DB not initialized');
+  const counts = selectAll('SELECT type, status, COUNT(*) AS n FROM jobs GROUP BY type, status');
+  const due = selectOne(`SELECT COUNT(*) AS n, MIN(runAt) AS oldestRunAt FROM jobs WHERE status = 'pending' AND runAt <= ?`, [nowMs]);
+  return { counts, due: due.n, oldestDueAt: due.oldestRunAt };
+}
+
+/**
+ * Readiness probe: writes a kv row and pushes it to disk now (sql.js would
+ * otherwise batch it), so a read-only or full disk throws here.
+ */
+function probeStorage() {
+  if (!store) throw new Error('DB not initialized');
+  setKV('HEALTH_PROBE_AT', Date.now());
+  store.flush();
+  return { driver: store.driver, file: dbFile };
+}
+
+function insertAuditEntry(e) {
+  if (!store) throw new Error('DB not initialized');
+  return store.run(
+    `INSERT INTO audit (at, actorType, actor, sourceIp, jobId, jobType, correlationId, operation, targetId, targetUpn, changes, outcome, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      e.at ?? Date.now(), e.actorType, e.actor ?? null, e.sourceIp ?? null, e.jobId ?? null, e.jobType ?? null,
+      e.correlationId ?? null, e.operation, e.targetId ?? null, e.targetUpn ?? null, JSON.stringify(e.changes || []),
+      e.outcome, e.error ?? null
+    ]
+  ).lastInsertRowid;
+}
+
+function csvFilter(v) {
+  return String(v || '').split(',').map((x) => x.trim()).filter(Boolean);
+}
+
+/**
+ * Filters: from/to (epoch ms, inclusive), operation and actorType (comma lists),
+ * actor, target (user id or UPN, case-insensitive), jobId, outcome, attribute
+ * (touched by the change), correlationId. Newest first.
+ */
+function listAuditEntries(f = {}, { limit = 50, offset = 0 } = {}) {
+  if (!store) throw new Error('DB not initialized');
+  const where = [];
+  const vals = [];
+  if (Number.isFinite(f.from)) { where.push('at >= ?'); vals.push(f.from); }
+  if (Number.isFinite(f.to)) { where.push('at <= ?'); vals.push(f.to); }
+  for (const col of ['operation', 'actorType']) {
+    const list = csvFilter(f[col]);
+    if (list.length) { where.push(`${col} IN (${list.map(() => '?').join(', ')})`); vals.push(...list); }
+  }
+  if (f.actor) { where.push('actor = ? COLLATE NOCASE'); vals.push(String(f.actor)); }
+  if (f.target) {
+    where.push('(targetId = ? COLLATE NOCASE OR targetUpn = ? COLLATE NOCASE)');
+    vals.push(String(f.target), String(f.target));
+  }
+  if (Number.isFinite(f.jobId)) { where.push('jobId = ?'); vals.push(f.jobId); }
+  if (f.outcome) { where.push('outcome = ?'); vals.push(String(f.outcome)); }
+  if (f.attribute) { where.push('changes LIKE ?'); vals.push(`%"attribute":${JSON.stringify(String(f.attribute))}%`); }
+  if (f.correlationId) { where.push('correlationId = ?'); vals.push(String(f.correlationId)); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = selectOne(`SELECT COUNT(*) AS n FROM audit ${clause}`, vals).n;
+  const rows = selectAll(`SELECT * FROM audit ${clause} ORDER BY at DESC, id DESC LIMIT ? OFFSET ?`, [...vals, limit, offset]);
+  return { total, items: rows.map((r) => ({ ...r, changes: parseJsonField(r.changes) || [] })) };
+}
+
+const DRY_RUN_PAYLOAD = '%"dryRun":true%';
+
+// `dryRun`: undefined = any job, false = real jobs only, true = dry-run jobs only.
+function dryRunClause(dryRun) {
+  if (dryRun === undefined) return '';
+  return dryRun ? 'AND payload LIKE ?' : 'AND payload NOT LIKE ?';
+}
+
+function dryRunParams(dryRun) {
+  return dryRun === undefined ? [] : [DRY_RUN_PAYLOAD];
+}
+
+// Pending or running jobs of the given types (case-insensitive) queued for one employee.
+function findActiveJobsByEmployee(types, employeeId, { dryRun } = {}) {
+  if (!store) throw new Error('DB not initialized');
+  const pattern = `%\"employeeId\":\"${String(employeeId)}\"%`;
+  return selectAll(
+    `SELECT id, type, runAt, status FROM jobs
+     WHERE LOWER(type) IN (${types.map(() => '?').join(', ')})
+       AND status IN ('pending','running')
+       AND payload LIKE ?
+       ${dryRunClause(dryRun)}
+     ORDER BY runAt`,
+    [...types.map((t) => String(t).toLowerCase()), pattern, ...dryRunParams(dryRun)]
+  );
 }
 
 function findLatestJobByCandidate(type, candidateId) {
-  if (!db) throw new Error('DB not initialized');
+  if (!store) throw new Error('DB not initialized');
   const pattern = `%\"candidateId\":\"${String(candidateId)}\"%`;
   const sql = `
     SELECT id, type, status, runAt, createdAt, updatedAt
@@ -194,16 +941,11 @@ function findLatestJobByCandidate(type, candidateId) {
     ORDER BY createdAt DESC
     LIMIT 1
   `;
-  const stmt = db.prepare(sql);
-  stmt.bind([type, pattern]);
-  let row = null;
-  if (stmt.step()) row = stmt.getAsObject();
-  stmt.free();
-  return row;
+  return selectOne(sql, [type, pattern]);
 }
 
-function findActiveJobByCandidate(type, candidateId) {
-  if (!db) throw new Error('DB not initialized');
+function findActiveJobByCandidate(type, candidateId, { dryRun } = {}) {
+  if (!store) throw new Error('DB not initialized');
   const pattern = `%\"candidateId\":\"${String(candidateId)}\"%`;
   const sql = `
     SELECT id, runAt, status
@@ -211,20 +953,19 @@ function findActiveJobByCandidate(type, candidateId) {
     WHERE type = ?
       AND status IN ('pending','running')
       AND payload LIKE ?
+      ${dryRunClause(dryRun)}
     ORDER BY runAt DESC
     LIMIT 1
   `;
-  const stmt = db.prepare(sql);
-  stmt.bind([type, pattern]);
-  let row = null;
-  if (stmt.step()) row = stmt.getAsObject();
-  stmt.free();
-  return row;
+  return selectOne(sql, [type, pattern, ...dryRunParams(dryRun)]);
 }
 
 module.exports = {
   initSQLite,
   upsertJob,
+  upsertJobChain,
+  listChildJobs,
+  cancelDependentJobs,
   fetchDueJobs,
   markJob,
   getKV,
@@ -232,5 +973,48 @@ module.exports = {
   getKVInt,
   bumpKVInt,
   findLatestJobByCandidate,
-  findActiveJobByCandidate
+  findActiveJobByCandidate,
+  findActiveJobsByEmployee,
+  listJobs,
+  getJob,
+  updateJobIfStatus,
+  claimJob,
+  renewLease,
+  findExpiredLeases,
+  reserveEmployeeId,
+  setEmployeeIdStatus,
+  deleteEmployeeIdReservation,
+  releaseAbandonedEmployeeIds,
+  maxReservedEmployeeNumber,
+  findEmployeeIdByJob,
+  insertPlaybook,
+  getPlaybook,
+  listPlaybooks,
+  updatePlaybook,
+  insertPasswordLink,
+  getPasswordLink,
+  consumePasswordLink,
+  purgePasswordLinks,
+  claimWebhookReceipts,
+  releaseWebhookReceipts,
+  getIdempotencyRecord,
+  beginIdempotencyRecord,
+  completeIdempotencyRecord,
+  deleteIdempotencyRecord,
+  insertWebhookEvent,
+  finishWebhookEvent,
+  getWebhookEvent,
+  listWebhookEvents,
+  purgeWebhookEvents,
+  listRecurringJobs,
+  getRecurringJob,
+  saveRecurringJob,
+  updateRecurringJob,
+  deleteRecurringJob,
+  fireRecurringJob,
+  jobActivitySince,
+  jobQueueStats,
+  probeStorage,
+  insertAuditEntry,
+  listAuditEntries
 };
@@ -0,0 +1,233 @@
+'use strict';
+
+const fs = require('fs');
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+
+/**
+ * Storage backends behind infra/sqlite.js. Both run the same SQLite SQL; they
+ * differ in how a write reaches the disk.
+ *
+ *   native  node:sqlite (Node >= 22.13, or 22.5+ with --experimental-sqlite) on
+ *           the file itself: WAL journal, each write is committed on its own,
+ *           and several processes may share the file.
+ *   sqljs   in-memory sql.js copy of the file. Writes are batched for
+ *           STORAGE_FLUSH_MS and then written to a temp file that is renamed
+ *           over the database, so a crash leaves the previous or the new copy,
+ *           never a torn one. A lockfile keeps a second process off the file.
+ *
+ * Settings:
+ *   STORAGE_DRIVER    auto (native when this Node has it) | native | sqljs
+ *   STORAGE_FLUSH_MS  sqljs only: how long writes are batched (default 200; 0 = write through)
+ *
+ * Store API (both backends):
+ *   - exec(sql)              several statements, no parameters (DDL)
+ *   - run(sql, params)       -> { changes, lastInsertRowid }
+ *   - all(sql, params)       -> rows
+ *   - get(sql, params)       -> first row or null
+ *   - transaction(fn)        -> fn() between BEGIN IMMEDIATE and COMMIT; nested calls join the outer one
+ *   - flush()                write batched changes now (no-op for native)
+ *   - close()
+ */
+
+const FLUSH_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+function flushDelayMs() {
+  return config.STORAGE_FLUSH_MS;
+}
+
+// node:sqlite binds neither undefined nor booleans; keep both backends on the same rules.
+function bindable(params = []) {
+  return params.map((v) => (v === undefined ? null : (typeof v === 'boolean' ? (v ? 1 : 0) : v)));
+}
+
+function nativeModule() {
+  try {
+    return require('node:sqlite');
+  } catch {
+    return null;
+  }
+}
+
+function withTransaction(runSql, state, fn) {
+  if (state.depth) {
+    state.depth++;
+    try { return fn(); } finally { state.depth--; }
+  }
+  runSql('BEGIN IMMEDIATE');
+  state.depth = 1;
+  try {
+    const out = fn();
+    runSql('COMMIT');
+    return out;
+  } catch (e) {
+    try { runSql('ROLLBACK'); } catch {}
+    throw e;
+  } finally {
+    state.depth = 0;
+  }
+}
+
+/* --------------------------------- native ---------------------------------- */
+
+function openNative(file, { DatabaseSync }) {
+  const db = new DatabaseSync(file);
+  db.exec('PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL; PRAGMA busy_timeout = 5000;');
+  const state = { depth: 0 };
+
+  return {
+    driver: 'native',
+    exec(sql) { db.exec(sql); },
+    run(sql, params) {
+      const r = db.prepare(sql).run(...bindable(params));
+      return { changes: Number(r.changes), lastInsertRowid: Number(r.lastInsertRowid) };
+    },
+    all(sql, params) {
+      return db.prepare(sql).all(...bindable(params)).map((r) => ({ ...r }));
+    },
+    get(sql, params) {
+      const r = db.prepare(sql).get(...bindable(params));
+      return r ? { ...r } : null;
+    },
+    transaction(fn) { return withTransaction((sql) => db.exec(sql), state, fn); },
+    flush() {},
+    close() {
+      try { db.exec('PRAGMA wal_checkpoint(TRUNCATE)'); } catch {}
+      db.close();
+    }
+  };
+}
+
+/* ---------------------------------- sql.js --------------------------------- */
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// One process per file: sql.js works on a private copy, so a second writer would overwrite the first.
+function acquireLock(file) {
+  const lockFile = `${file}.lock`;
+  for (let i = 0; i < 2; i++) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+      return lockFile;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const owner = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
+      if (Number.isFinite(owner) && owner !== process.pid && isAlive(owner)) {
+        throw new Error(`${file} is in use by process ${owner}; sql.js storage is single-process (STORAGE_DRIVER=native can share it)`);
+      }
+      log.warn({ lockFile, owner }, '[storage] removing stale lock');
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+  throw new Error(`could not lock ${file}`);
+}
+
+async function openSqlJs(file) {
+  const lockFile = acquireLock(file);
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs({ locateFile: (f) => require.resolve('sql.js/dist/' + f) });
+  const db = fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+  const state = { depth: 0 };
+  const delayMs = flushDelayMs();
+  let dirty = false;
+  let timer = null;
+  let closed = false;
+
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    // Exporting resets the connection, so never mid-transaction; COMMIT flushes.
+    if (!dirty || closed || state.depth) return;
+    const tmp = `${file}.tmp-${process.pid}`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, Buffer.from(db.export()));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+    dirty = false;
+  }
+
+  function changed() {
+    dirty = true;
+    if (state.depth) return;
+    if (!delayMs) flush();
+    else if (!timer) timer = setTimeout(flush, delayMs);
+  }
+
+  function close() {
+    if (closed) return;
+    flush();
+    closed = true;
+    db.close();
+    fs.rmSync(lockFile, { force: true });
+    process.removeListener('exit', close);
+    FLUSH_SIGNALS.forEach((sig) => process.removeListener(sig, onSignal));
+  }
+
+  // Write what is batched, then let the signal do what it would have done anyway.
+  function onSignal(sig) {
+    try { close(); } catch (e) { log.error({ err: e.message }, '[storage] flush on shutdown failed'); }
+    process.kill(process.pid, sig);
+  }
+
+  process.once('exit', close);
+  FLUSH_SIGNALS.forEach((sig) => process.once(sig, onSignal));
+
+  function all(sql, params) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(bindable(params));
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  return {
+    driver: 'sqljs',
+    exec(sql) {
+      db.exec(sql);
+      changed();
+    },
+    run(sql, params) {
+      db.run(sql, bindable(params));
+      const changes = db.getRowsModified();
+      const lastInsertRowid = /^\s*insert/i.test(sql) ? db.exec('SELECT last_insert_rowid()')[0].values[0][0] : 0;
+      if (changes) changed();
+      return { changes, lastInsertRowid };
+    },
+    all,
+    get(sql, params) { return all(sql, params)[0] || null; },
+    transaction(fn) {
+      const out = withTransaction((sql) => db.exec(sql), state, fn);
+      if (!state.depth && dirty) changed();
+      return out;
+    },
+    flush,
+    close
+  };
+}
+
+/**
+ * Open `file` with the configured driver. `auto` prefers node:sqlite and falls
+ * back to sql.js on Node versions without it.
+ */
+async function openStore(file) {
+  const wanted = config.STORAGE_DRIVER;
+  const native = wanted === 'sqljs' ? null : nativeModule();
+  if (wanted === 'native' && !native) throw new Error(`STORAGE_DRIVER=native needs node:sqlite (Node >= 22.13); this is ${process.version}`);
+  return native ? openNative(file, native) : openSqlJs(file);
+}
+
+module.exports = { openStore };
@@ -0,0 +1,42 @@
+'use strict';
+
+const crypto = require('crypto');
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+
+function timingSafeEq(a, b) {
+  const ba = Buffer.from(String(a || ''), 'utf8');
+  const bb = Buffer.from(String(b || ''), 'utf8');
+  if (ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+function getAdminTokens() {
+  const raw = config.ADMIN_API_TOKEN || '';
+  return raw.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Bearer-token guard for /api/admin. Fails closed: when ADMIN_API_TOKEN is not
+ * configured the admin surface is unavailable rather than open.
+ * The caller may identify themselves with `x-admin-user` (kept on req.adminUser).
+ */
+function requireAdmin(req, res, next) {
+  const tokens = getAdminTokens();
+  if (!tokens.length) {
+    return res.status(503).json({ message: 'admin API not configured' });
+  }
+
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  const presented = m ? m[1].trim() : '';
+  if (!presented || !tokens.some((t) => timingSafeEq(t, presented))) {
+    log.warn({ ip: req.ip, path: req.originalUrl }, '[admin] unauthorized');
+    return res.status(401).json({ message: 'unauthorized' });
+  }
+
+  req.adminUser = String(req.get('x-admin-user') || 'admin').trim().slice(0, 120);
+  return next();
+}
+
+module.exports = { requireAdmin };
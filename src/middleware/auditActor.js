@@ -0,0 +1,23 @@
+'use strict';
+
+const { runWithContext } = require('../core/context');
+const { isTrustedReplay } = require('../services/webhookReplay');
+
+/**
+ * Puts who is acting on the request context, for the audit trail and for the
+ * jobs the request queues (services/audit). A replayed webhook acts for the
+ * admin who replayed it.
+ */
+function webhookActor(req, res, next) {
+  const actor = isTrustedReplay(req)
+    ? { type: 'admin', id: String(req.get('x-admin-user') || 'admin').slice(0, 120), via: 'replay' }
+    : { type: 'webhook', id: req.ip };
+  runWithContext({ actor }, next);
+}
+
+// After requireAdmin, which sets req.adminUser.
+function adminActor(req, res, next) {
+  runWithContext({ actor: { type: 'admin', id: req.adminUser, ip: req.ip } }, next);
+}
+
+module.exports = { webhookActor, adminActor };
@@ -0,0 +1,105 @@
+'use strict';
+
+const crypto = require('crypto');
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const {
+  getIdempotencyRecord,
+  beginIdempotencyRecord,
+  completeIdempotencyRecord,
+  deleteIdempotencyRecord
+} = require('../infra/sqlite');
+
+const MAX_KEY_LENGTH = 200;
+// An in-progress record older than this is treated as abandoned (crash mid-request).
+const STALE_MS = 10 * 60 * 1000;
+
+function ttlMs() {
+  return config.IDEMPOTENCY_TTL_HOURS * 3600 * 1000;
+}
+
+function idempotencyKey(req) {
+  const k = req.get('idempotency-key');
+  return k ? String(k).trim() : '';
+}
+
+// Keys are scoped to the route: the same key on another webhook is a different request.
+function recordKey(req, key) {
+  return `${req.method} ${req.path}:${key}`;
+}
+
+// Zoho sometimes sends the fields as query parameters, so both are part of the request.
+function requestHash(req) {
+  return crypto.createHash('sha256')
+    .update(req.rawBody || Buffer.from(''))
+    .update('\n')
+    .update(JSON.stringify(req.query || {}))
+    .digest('hex');
+}
+
+/**
+ * True when this exact request already has a stored Idempotency-Key response,
+ * i.e. the idempotency middleware will answer it without doing the work again.
+ */
+function isIdempotentRetry(req) {
+  const key = idempotencyKey(req);
+  if (!key) return false;
+  const rec = getIdempotencyRecord(recordKey(req, key));
+  return !!rec && rec.requestHash === requestHash(req);
+}
+
+/**
+ * `Idempotency-Key: <key>` makes a webhook return the response of the first
+ * request with that key instead of running again. Reusing a key with a different
+ * body is 422; a retry while the first request is still running is 409.
+ * 5xx responses are not kept, so the caller can retry them.
+ */
+function idempotency(req, res, next) {
+  const key = idempotencyKey(req);
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const rk = recordKey(req, key);
+    const hash = requestHash(req);
+    let rec = getIdempotencyRecord(rk);
+    if (rec && rec.state === 'in_progress' && Date.now() - rec.updatedAt > STALE_MS) {
+      deleteIdempotencyRecord(rk);
+      rec = null;
+    }
+    if (rec) {
+      if (rec.requestHash !== hash) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+      }
+      if (rec.state === 'in_progress') {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+      log.info({ path: req.path, status: rec.status }, '[idempotency] replaying stored response');
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(rec.status).json(rec.response);
+    }
+
+    if (!beginIdempotencyRecord(rk, hash, ttlMs())) {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      try {
+        if (res.statusCode >= 500) deleteIdempotencyRecord(rk);
+        else completeIdempotencyRecord(rk, res.statusCode, body);
+      } catch (e) {
+        log.warn({ err: e?.message || e }, '[idempotency] could not store response');
+      }
+      return json(body);
+    };
+    return next();
+  } catch (e) {
+    log.error({ err: e?.message || e }, '[idempotency] failed');
+    return res.status(500).json({ message: 'idempotency check failed' });
+  }
+}
+
+module.exports = { idempotency, isIdempotentRetry };
@@ -2,6 +2,14 @@
 
 const crypto = require('crypto');
 const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { claimWebhookReceipts, releaseWebhookReceipts } = require('../infra/sqlite');
+const { isIdempotentRetry } = require('./idempotency');
+const { isTrustedReplay } = require('../services/webhookReplay');
+const { counter } = require('../infra/metrics');
+
+// result: v1 | zoho | unsigned | replay (admin) | duplicate | invalid | not_configured | error
+const verifications = counter('webhook_verifications_total', 'Inbound webhook signature checks by result', ['result']);
 
 function timingSafeEq(a, b) {
   const ba = Buffer.isBuffer(a) ? a : Buffer.from(String(a || ''), 'utf8');
@@ -29,7 +37,7 @@ function hmacB64(secret, payload) {
 }
 
 function getSecrets() {
-  const raw = process.env.WEBHOOK_SECRET || process.env.ZOHO_WEBHOOK_SECRET || '';
+  const raw = config.WEBHOOK_SECRET || config.ZOHO_WEBHOOK_SECRET || '';
   return raw.split(',').map(s => s.trim()).filter(Boolean);
 }
 
@@ -40,8 +48,7 @@ function verifyV1Style(rawBody, header) {
   const { t, v1 } = parsed;
   if (!Number.isFinite(t)) return false;
 
-  const tolSecRaw = parseInt(process.env.WEBHOOK_TOLERANCE_SEC, 10);
-  const tolSec = Number.isFinite(tolSecRaw) ? tolSecRaw : 300;
+  const tolSec = toleranceSec();
 
   const now = Math.floor(Date.now() / 1000);
   if (Math.abs(now - t) > tolSec) return false;
@@ -75,28 +82,94 @@ function verifyZohoHeader(rawBody, header) {
   return false;
 }
 
+function toleranceSec() {
+  return config.WEBHOOK_TOLERANCE_SEC;
+}
+
+/**
+ * Replay guard: every accepted webhook is remembered by its signature. A
+ * timestamped signature only has to be kept for the tolerance window; the bare
+ * Zoho signature has no timestamp, so it is kept for WEBHOOK_REPLAY_TTL_SEC.
+ * The event id (x-webhook-id / x-event-id) is remembered as well, but never
+ * instead of the signature: the header is not signed, so a fresh id must not
+ * make a captured request acceptable again. A 5xx answer releases the
+ * receipts, so Zoho's own retry of the same signed request is processed.
+ */
+function replayReceipts(req, { v1, zoho }) {
+  const eventId = req.get('x-webhook-id') || req.get('x-event-id');
+  const replayTtlMs = config.WEBHOOK_REPLAY_TTL_SEC * 1000;
+  const receipts = [];
+  if (v1) receipts.push({ key: `sig:${v1}`, ttlMs: 2 * toleranceSec() * 1000 });
+  if (zoho) receipts.push({ key: `zoho:${zoho}`, ttlMs: replayTtlMs });
+  if (eventId) receipts.push({ key: `event:${String(eventId).trim()}`, ttlMs: replayTtlMs });
+  return receipts;
+}
+
+function releaseOnServerError(res, keys) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      if (res.statusCode >= 500) releaseWebhookReceipts(keys);
+    } catch (e) {
+      log.warn({ err: e?.message || e }, '[auth] could not release webhook receipt');
+    }
+    return json(body);
+  };
+}
+
+function rejectReplay(req, res, next, sig, auth) {
+  req.webhookAuth = auth;
+  const receipts = replayReceipts(req, sig);
+  if (receipts.length && claimWebhookReceipts(receipts)) {
+    verifications.inc({ result: auth });
+    releaseOnServerError(res, receipts.map((r) => r.key));
+    return next();
+  }
+  // Same signed request sent again with its Idempotency-Key: the stored response answers it.
+  if (!receipts.length || isIdempotentRetry(req)) {
+    verifications.inc({ result: auth });
+    return next();
+  }
+  verifications.inc({ result: 'duplicate' });
+  log.warn({ path: req.originalUrl, receipts: receipts.map((r) => r.key.split(':')[0]) }, '[auth] webhook replay rejected');
+  return res.status(409).json({ message: 'duplicate webhook (already processed)' });
+}
+
 function verifySignature(req, res, next) {
   try {
+    // Admin replay of a journaled event: the original was verified when it arrived.
+    if (isTrustedReplay(req)) {
+      req.webhookAuth = 'replay';
+      verifications.inc({ result: 'replay' });
+      return next();
+    }
+
     const secrets = getSecrets();
-    const requireAuth = String(process.env.REQUIRE_WEBHOOK_AUTH || '').toLowerCase() === 'true';
+    const requireAuth = config.REQUIRE_WEBHOOK_AUTH;
 
     const raw = req.rawBody || Buffer.from('');
     const h1 = req.get('x-webhook-signature');
     const hZoho = req.get('x-zoho-signature');
 
     if (!secrets.length) {
-      if (requireAuth) return res.status(401).json({ message: 'webhook auth not configured' });
+      if (requireAuth) {
+        verifications.inc({ result: 'not_configured' });
+        return res.status(401).json({ message: 'webhook auth not configured' });
+      }
       log.warn('[auth] webhook secret not configured; requests are not authenticated');
-      return next();
+      return rejectReplay(req, res, next, {}, 'unsigned');
     }
 
     const okV1 = h1 && verifyV1Style(raw, h1);
     const okZoho = !okV1 && hZoho && verifyZohoHeader(raw, hZoho);
 
-    if (okV1 || okZoho) return next();
+    if (okV1) return rejectReplay(req, res, next, { v1: parseWebhookSignature(h1).v1 }, 'v1');
+    if (okZoho) return rejectReplay(req, res, next, { zoho: hZoho }, 'zoho');
 
+    verifications.inc({ result: 'invalid' });
     return res.status(401).json({ message: 'invalid webhook signature' });
   } catch (e) {
+    verifications.inc({ result: 'error' });
     return res.status(401).json({ message: 'webhook signature verification error' });
   }
 }
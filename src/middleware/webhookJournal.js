@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * middleware/webhookJournal.js
+ * Durable journal of inbound Zoho webhooks: every request to the webhook routes
+ * is stored with its raw body, headers (signatures and credentials stripped),
+ * verification result, response and the job it queued, so it can be inspected
+ * and replayed from /api/admin/webhooks (see services/webhookReplay).
+ *
+ * Settings:
+ *   WEBHOOK_JOURNAL_RETENTION_DAYS  events older than this are purged (default 30; 0 = keep forever)
+ */
+
+const { log, maskSecretsObj } = require('../core/logger');
+const { config } = require('../config/env');
+const { insertWebhookEvent, finishWebhookEvent, purgeWebhookEvents } = require('../infra/sqlite');
+const { replayOf } = require('../services/webhookReplay');
+
+const DROP_HEADERS = ['authorization', 'cookie', 'x-webhook-replay-token'];
+const SIGNATURE_HEADERS = ['x-webhook-signature', 'x-zoho-signature'];
+const PURGE_EVERY_MS = 3600 * 1000;
+
+let lastPurgeAt = 0;
+
+function journalHeaders(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    if (DROP_HEADERS.includes(k)) continue;
+    out[k] = SIGNATURE_HEADERS.includes(k) ? '[present]' : v;
+  }
+  return maskSecretsObj(out);
+}
+
+function purgeExpired() {
+  const days = config.WEBHOOK_JOURNAL_RETENTION_DAYS;
+  if (days <= 0 || Date.now() - lastPurgeAt < PURGE_EVERY_MS) return;
+  lastPurgeAt = Date.now();
+  const n = purgeWebhookEvents(Date.now() - days * 24 * 3600 * 1000);
+  if (n) log.info({ purged: n, days }, '[webhook-journal] purged old events');
+}
+
+// verifySignature sets req.webhookAuth when it lets a request through.
+function verification(req, status) {
+  if (req.webhookAuth) return req.webhookAuth;
+  return status === 401 ? 'rejected' : null;
+}
+
+function responseJobId(body) {
+  return body?.jobId ?? body?.stages?.[0]?.jobId ?? null;
+}
+
+/**
+ * Journals the request before the handler runs and completes the entry when the
+ * handler answers. A journal failure is logged and never fails the webhook.
+ */
+function webhookJournal(req, res, next) {
+  if (req.method !== 'POST') return next();
+
+  let id;
+  try {
+    purgeExpired();
+    id = insertWebhookEvent({
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      query: req.query,
+      headers: journalHeaders(req.headers),
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : null,
+      replayOf: replayOf(req),
+      dryRun: String(req.get('x-dry-run') || '').toLowerCase() === 'true'
+    });
+    res.set('x-webhook-event-id', String(id));
+  } catch (e) {
+    log.warn({ err: e?.message || e, path: req.originalUrl }, '[webhook-journal] could not record event');
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      finishWebhookEvent(id, {
+        verified: verification(req, res.statusCode),
+        status: res.statusCode,
+        response: body,
+        jobId: responseJobId(body)
+      });
+    } catch (e) {
+      log.warn({ err: e?.message || e, eventId: id }, '[webhook-journal] could not record response');
+    }
+    return json(body);
+  };
+  return next();
+}
+
+module.exports = { webhookJournal };
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * services/attributeMap.js
+ * The one Zoho -> Graph user property mapping.
+ *
+ * Loaded from ATTRIBUTE_MAP_FILE, or src/config/attributeMap.json when unset:
+ *   inputs  canonical name -> source aliases (matched ignoring case, spaces and punctuation)
+ *   fields  [{ target, from | template, transform?, mode? }]
+ *     target     Graph property; dotted paths build nested objects, e.g.
+ *                onPremisesExtensionAttributes.extensionAttribute1 or
+ *                extXXXX_hr.costCenter for a schema extension
+ *     from       input name; `template` ("{firstname} {lastname}") combines several
+ *     transform  applied in order: trim, lower, upper, title, collapseSpaces,
+ *                phone[:+cc], date:<luxon format>[|<format>...], array
+ *     mode       "always" (default) or "createOnly" (left out of updates)
+ *
+ * API:
+ *   - readInputs(data)                  -> { inputName: value } using the aliases
+ *   - mapAttributes(data, { mode })     -> Graph payload; mode 'create' | 'update'
+ *   - loadAttributeMap()                -> the validated map
+ */
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { jsonConfigLoader } = require('../utils/jsonConfig');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'attributeMap.json');
+const MODES = ['always', 'createOnly'];
+
+function normKey(k) { return String(k).toLowerCase().replace(/[^a-z0-9]/g, ''); }
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === '';
+}
+
+function toPhone(v, countryCode) {
+  const s = String(v).trim();
+  const digits = s.replace(/[^\d]/g, '');
+  if (!digits) return undefined;
+  if (s.startsWith('+')) return `+${digits}`;
+  if (s.startsWith('00')) return `+${digits.slice(2)}`;
+  return countryCode ? `${countryCode}${digits.replace(/^0+/, '')}` : digits;
+}
+
+function toHireDate(v, formats) {
+  const s = String(v).trim();
+  for (const fmt of formats) {
+    const dt = DateTime.fromFormat(s, fmt, { zone: 'utc' });
+    if (dt.isValid) return dt.startOf('day').toISO({ suppressMilliseconds: true });
+  }
+  return undefined;
+}
+
+const TRANSFORMS = {
+  trim: (v) => String(v).trim(),
+  lower: (v) => String(v).toLowerCase(),
+  upper: (v) => String(v).toUpperCase(),
+  title: (v) => String(v).toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (_, sep, c) => sep + c.toUpperCase()),
+  collapseSpaces: (v) => String(v).replace(/\s+/g, ' ').trim(),
+  phone: (v, arg) => toPhone(v, arg),
+  date: (v, arg) => toHireDate(v, String(arg || 'd-L-yyyy').split('|')),
+  array: (v) => (Array.isArray(v) ? v : [v])
+};
+
+function parseTransform(spec, where) {
+  const [name, ...rest] = String(spec).split(':');
+  if (!TRANSFORMS[name]) throw new Error(`${where}: unknown transform "${name}" (allowed: ${Object.keys(TRANSFORMS).join(', ')})`);
+  return { name, arg: rest.length ? rest.join(':') : undefined };
+}
+
+function validate(doc, file) {
+  if (!doc || typeof doc.inputs !== 'object' || !Array.isArray(doc.fields)) {
+    throw new Error(`${file}: expected { "inputs": {...}, "fields": [...] }`);
+  }
+  const inputs = Object.fromEntries(
+    Object.entries(doc.inputs).map(([name, aliases]) => [name, [name, ...(Array.isArray(aliases) ? aliases : [aliases])].map(normKey)])
+  );
+  const fields = doc.fields.map((f, i) => {
+    const where = `${file}: field ${f?.target || `#${i + 1}`}`;
+    if (!f?.target) throw new Error(`${where}: target is required`);
+    if (!f.from === !f.template) throw new Error(`${where}: set exactly one of "from" or "template"`);
+    const uses = f.from ? [f.from] : [...String(f.template).matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+    for (const name of uses) {
+      if (!inputs[name]) throw new Error(`${where}: input "${name}" is not declared in "inputs"`);
+    }
+    const mode = f.mode || 'always';
+    if (!MODES.includes(mode)) throw new Error(`${where}: mode must be one of ${MODES.join(' | ')}`);
+    return {
+      target: f.target,
+      from: f.from || null,
+      template: f.template || null,
+      transforms: [].concat(f.transform || []).map((t) => parseTransform(t, where)),
+      mode
+    };
+  });
+  return { inputs, fields };
+}
+
+const loadFile = jsonConfigLoader(validate);
+
+function loadAttributeMap() {
+  const { value, file, fresh } = loadFile(config.ATTRIBUTE_MAP_FILE || DEFAULT_FILE);
+  if (fresh) log.info({ file, fields: value.fields.length }, '[attrmap] attribute map loaded');
+  return value;
+}
+
+function readInputs(data, map = loadAttributeMap()) {
+  const lut = {};
+  for (const [k, v] of Object.entries(data || {})) {
+    const key = normKey(k);
+    if (!(key in lut) || isBlank(lut[key])) lut[key] = v;
+  }
+  const out = {};
+  for (const [name, aliases] of Object.entries(map.inputs)) {
+    for (const a of aliases) {
+      if (!isBlank(lut[a])) { out[name] = lut[a]; break; }
+    }
+  }
+  return out;
+}
+
+function setPath(obj, dotted, value) {
+  const parts = dotted.split('.');
+  let cur = obj;
+  for (const p of parts.slice(0, -1)) cur = cur[p] = cur[p] || {};
+  cur[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Build the Graph payload for `data` (webhook body, job payload or mapped Zoho row).
+ * Only inputs that have a value produce a property; blanks never clear Graph.
+ */
+function mapAttributes(data, { mode = 'update' } = {}) {
+  const map = loadAttributeMap();
+  const inputs = readInputs(data, map);
+  const out = {};
+
+  for (const f of map.fields) {
+    if (mode !== 'create' && f.mode === 'createOnly') continue;
+
+    let value;
+    if (f.from) {
+      value = inputs[f.from];
+    } else {
+      let any = false;
+      value = f.template.replace(/\{(\w+)\}/g, (_, name) => {
+        if (isBlank(inputs[name])) return '';
+        any = true;
+        return String(inputs[name]).trim();
+      });
+      if (!any) value = undefined;
+    }
+
+    for (const t of f.transforms) {
+      if (isBlank(value)) break;
+      value = TRANSFORMS[t.name](value, t.arg);
+    }
+    if (isBlank(value) || (Array.isArray(value) && !value.length)) continue;
+    setPath(out, f.target, value);
+  }
+  return out;
+}
+
+module.exports = { loadAttributeMap, readInputs, mapAttributes };
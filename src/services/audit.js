@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * services/audit.js
+ * Append-only audit trail of Entra changes. Every write in services/graphUser
+ * (create, update, delete, restore, group membership, manager, licenses,
+ * session revocation, out-of-office reply) is recorded with who caused it, the job that ran it,
+ * the target user and the before/after value of each attribute touched.
+ * Dry-runs change nothing and record nothing.
+ *
+ * Who caused it is the `actor` of the current context (core/context):
+ *   webhook  { type: 'webhook', id: source IP }       Zoho webhooks
+ *   admin    { type: 'admin', id: x-admin-user, ip }  admin API and webhook replays
+ *   system   { type: 'system', id: 'scheduler' | 'recurring:<name>' }
+ * A job runs as the actor that queued it (stored as payload.origin by upsertJob,
+ * restored by the scheduler).
+ *
+ * API:
+ *   - auditChange(entry, fn)             -> fn()'s result; records the change, or the failure and rethrows
+ *                                           entry = { operation, targetId?, targetUpn?, before?, after? }
+ *   - auditCsvRows(items)                -> one row per attribute, keyed by AUDIT_CSV_COLUMNS
+ * Entries are read back with listAuditEntries (infra/sqlite), i.e. GET /api/admin/audit.
+ */
+
+const { log } = require('../core/logger');
+const { getContext } = require('../core/context');
+const { isDryRun } = require('../core/dryRun');
+const { insertAuditEntry } = require('../infra/sqlite');
+
+const AUDIT_CSV_COLUMNS = [
+  'id', 'at', 'actorType', 'actor', 'sourceIp', 'jobId', 'jobType', 'correlationId',
+  'operation', 'targetId', 'targetUpn', 'attribute', 'before', 'after', 'outcome', 'error'
+];
+const SECRET_ATTR = /password|secret|token/i;
+
+function redact(attribute, v) {
+  if (v === undefined || v === null) return null;
+  return SECRET_ATTR.test(attribute) ? '[REDACTED]' : v;
+}
+
+// One { attribute, before, after } per attribute written (or, for a delete, held before it).
+function attributeChanges(before, after) {
+  const keys = Object.keys(after || before || {});
+  return keys.map((attribute) => ({
+    attribute,
+    before: redact(attribute, before?.[attribute]),
+    after: redact(attribute, after?.[attribute])
+  }));
+}
+
+function errorText(e) {
+  return String(e?.response?.data?.error?.message || e?.message || e).slice(0, 2000);
+}
+
+function record(entry, { out, error } = {}) {
+  const ctx = getContext() || {};
+  const actor = ctx.actor || { type: 'system', id: 'scheduler' };
+  try {
+    insertAuditEntry({
+      actorType: actor.type,
+      actor: actor.id ?? null,
+      sourceIp: actor.ip ?? (actor.type === 'webhook' ? actor.id : null),
+      jobId: ctx.job?.id ?? null,
+      jobType: ctx.job?.type ?? null,
+      correlationId: ctx.correlationId ?? null,
+      operation: entry.operation,
+      targetId: entry.targetId ?? out?.id ?? null,
+      targetUpn: entry.targetUpn ?? out?.userPrincipalName ?? entry.before?.userPrincipalName ?? null,
+      changes: attributeChanges(entry.before, entry.after),
+      outcome: error ? 'failed' : 'success',
+      error: error ? errorText(error) : null
+    });
+  } catch (e) {
+    // The change itself already happened (or failed); losing its audit row must be loud.
+    log.error({ err: e?.message || e, operation: entry.operation, targetId: entry.targetId }, '[audit] could not record change');
+  }
+}
+
+async function auditChange(entry, fn) {
+  if (isDryRun()) return fn();
+  let out;
+  try {
+    out = await fn();
+  } catch (e) {
+    record(entry, { error: e });
+    throw e;
+  }
+  record(entry, { out });
+  return out;
+}
+
+function auditCsvRows(items) {
+  const rows = [];
+  for (const it of items) {
+    const base = { ...it, at: new Date(it.at).toISOString() };
+    delete base.changes;
+    if (!it.changes.length) rows.push(base);
+    for (const c of it.changes) rows.push({ ...base, attribute: c.attribute, before: c.before, after: c.after });
+  }
+  return rows;
+}
+
+module.exports = { auditChange, auditCsvRows, AUDIT_CSV_COLUMNS };
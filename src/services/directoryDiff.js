@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * services/directoryDiff.js
+ * Compares a Zoho employee (webhook-style fields) with its Entra user.
+ *
+ * API:
+ *   - desiredAttributes(fields)       -> { graphProperty: value } Zoho says the user should have
+ *   - diffAttributes(desired, user)   -> [{ attribute, zoho, graph }] for every drifted property
+ *   - DIFF_SELECT                     -> $select covering every compared property
+ *   - reportDifferences(fields, user) -> drift-report view: selected attributes plus
+ *                                        manager, accountEnabled vs status and UPN prefix
+ */
+
+const { prefixForEmployeeType, parseManagerRef } = require('./graphUser');
+const { mapAttributes } = require('./attributeMap');
+
+const COMPARED = [
+  'displayName', 'givenName', 'surname', 'department', 'jobTitle', 'city',
+  'country', 'officeLocation', 'companyName', 'employeeType', 'mobilePhone'
+];
+
+const DIFF_SELECT = ['id', 'userPrincipalName', 'employeeId', 'accountEnabled', ...COMPARED].join(',');
+
+function clean(v) {
+  if (v === undefined || v === null) return undefined;
+  const s = String(v).trim();
+  return s === '' ? undefined : s;
+}
+
+// Same mapping the create/edit paths use, limited to the compared properties.
+function desiredAttributes(f) {
+  const mapped = mapAttributes(f, { mode: 'update' });
+  const out = {};
+  for (const attribute of COMPARED) {
+    const v = clean(mapped[attribute]);
+    if (v !== undefined) out[attribute] = v;
+  }
+  return out;
+}
+
+// Only properties Zoho has a value for are compared; Zoho blanks never clear Entra.
+function diffAttributes(desired, user) {
+  const changes = [];
+  for (const attribute of COMPARED) {
+    if (!(attribute in desired)) continue;
+    const zoho = desired[attribute];
+    const graph = clean(user?.[attribute]) ?? null;
+    if (zoho !== graph) changes.push({ attribute, zoho, graph });
+  }
+  return changes;
+}
+
+const REPORTED = ['displayName', 'department', 'jobTitle', 'city', 'employeeType'];
+
+function lower(v) {
+  return clean(v)?.toLowerCase() ?? null;
+}
+
+/**
+ * Zoho "Reporting To" against the expanded Entra manager, read the way the
+ * manager sync reads it (employee code, email or display name).
+ * Returns null when they agree, else { zoho, entra }.
+ */
+function managerDrift(reportingTo, manager) {
+  const ref = parseManagerRef(reportingTo);
+  if (!ref) return manager ? { zoho: null, entra: clean(manager.employeeId) ?? clean(manager.userPrincipalName) ?? null } : null;
+  if (ref.employeeId) {
+    const entra = clean(manager?.employeeId) ?? null;
+    return lower(entra) === ref.employeeId.toLowerCase() ? null : { zoho: ref.employeeId, entra };
+  }
+  if (ref.email) {
+    const same = [manager?.userPrincipalName, manager?.mail].some((v) => lower(v) === ref.email);
+    return same ? null : { zoho: ref.email, entra: clean(manager?.userPrincipalName) ?? null };
+  }
+  return lower(manager?.displayName) === ref.name.toLowerCase() ? null : { zoho: ref.name, entra: clean(manager?.displayName) ?? null };
+}
+
+function upnPrefix(upn) {
+  const local = String(upn || '').split('@')[0];
+  const m = local.match(/^(c-|i-)/);
+  return m ? m[1] : '';
+}
+
+/**
+ * Everything the drift report flags for one matched employee.
+ * `user` must carry REPORT_SELECT properties and an expanded manager.
+ */
+function reportDifferences(f, user) {
+  const desired = desiredAttributes(f);
+  const out = diffAttributes(desired, user)
+    .filter((d) => REPORTED.includes(d.attribute))
+    .map((d) => ({ attribute: d.attribute, zoho: d.zoho, entra: d.graph }));
+
+  const manager = managerDrift(f.manager, user.manager);
+  if (manager) out.push({ attribute: 'manager', ...manager });
+
+  if (f.employeeStatus) {
+    const shouldBeEnabled = String(f.employeeStatus).trim().toLowerCase() === 'active';
+    if (user.accountEnabled !== shouldBeEnabled) {
+      out.push({ attribute: 'accountEnabled', zoho: `${f.employeeStatus} (expects ${shouldBeEnabled})`, entra: user.accountEnabled });
+    }
+  }
+
+  const expectedPrefix = prefixForEmployeeType(f.employeeType);
+  const actualPrefix = upnPrefix(user.userPrincipalName);
+  if (expectedPrefix !== actualPrefix) {
+    out.push({ attribute: 'upnPrefix', zoho: expectedPrefix || '(none)', entra: actualPrefix || '(none)' });
+  }
+  return out;
+}
+
+const REPORT_SELECT = ['id', 'userPrincipalName', 'employeeId', 'accountEnabled', ...REPORTED].join(',');
+
+module.exports = { desiredAttributes, diffAttributes, reportDifferences, DIFF_SELECT, REPORT_SELECT };
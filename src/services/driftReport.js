@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * services/driftReport.js
+ * Read-only Zoho People vs Entra ID comparison. Never writes to either side.
+ *
+ * API:
+ *   - buildDriftReport({ token }) -> { generatedAt, counts, drift, orphans }
+ *   - driftReportRows(report)     -> flat rows for CSV export
+ */
+
+const { listAllUsers } = require('./graphUser');
+const { zohoEmployees, syncSettings, isActive } = require('./reconcile');
+const { reportDifferences, REPORT_SELECT } = require('./directoryDiff');
+
+function idKey(v) {
+  return String(v ?? '').trim().toUpperCase();
+}
+
+async function buildDriftReport({ token }) {
+  const zoho = new Map();
+  for await (const f of zohoEmployees(syncSettings())) {
+    if (f.employeeId) zoho.set(idKey(f.employeeId), f);
+  }
+
+  const users = await listAllUsers(token, { select: REPORT_SELECT, expandManager: true });
+  const entra = new Map();
+  for (const u of users) {
+    if (u.employeeId) entra.set(idKey(u.employeeId), u);
+  }
+
+  const drift = [];
+  const zohoWithoutEntra = [];
+  for (const [key, f] of zoho) {
+    const user = entra.get(key);
+    if (!user) {
+      if (isActive(f)) {
+        zohoWithoutEntra.push({ employeeId: f.employeeId, name: `${f.firstname || ''} ${f.lastname || ''}`.trim(), email: f.email || null, status: f.employeeStatus || null });
+      }
+      continue;
+    }
+    const differences = reportDifferences(f, user);
+    if (differences.length) {
+      drift.push({ employeeId: f.employeeId, userId: user.id, upn: user.userPrincipalName, differences });
+    }
+  }
+
+  const entraWithoutZoho = [];
+  for (const [key, u] of entra) {
+    if (u.accountEnabled && !zoho.has(key)) {
+      entraWithoutZoho.push({ employeeId: u.employeeId, userId: u.id, upn: u.userPrincipalName, displayName: u.displayName || null });
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    counts: {
+      zohoEmployees: zoho.size,
+      entraUsersWithEmployeeId: entra.size,
+      drifted: drift.length,
+      zohoWithoutEntra: zohoWithoutEntra.length,
+      entraWithoutZoho: entraWithoutZoho.length
+    },
+    drift,
+    orphans: { zohoWithoutEntra, entraWithoutZoho }
+  };
+}
+
+const CSV_COLUMNS = ['kind', 'employeeId', 'upn', 'attribute', 'zoho', 'entra'];
+
+function driftReportRows(report) {
+  const rows = [];
+  for (const d of report.drift) {
+    for (const x of d.differences) {
+      rows.push({ kind: 'drift', employeeId: d.employeeId, upn: d.upn, attribute: x.attribute, zoho: x.zoho, entra: x.entra });
+    }
+  }
+  for (const o of report.orphans.zohoWithoutEntra) {
+    rows.push({ kind: 'zoho_without_entra', employeeId: o.employeeId, upn: o.email, attribute: '', zoho: o.name, entra: '' });
+  }
+  for (const o of report.orphans.entraWithoutZoho) {
+    rows.push({ kind: 'entra_without_zoho', employeeId: o.employeeId, upn: o.upn, attribute: '', zoho: '', entra: o.displayName });
+  }
+  return rows;
+}
+
+module.exports = { buildDriftReport, driftReportRows, CSV_COLUMNS };
@@ -1,71 +1,185 @@
 'use strict';
 
-const axios = require('axios');
-const { getKV, setKV } = require('../infra/sqlite');
+/**
+ * services/employeeId.js
+ * The single employee ID allocator.
+ *
+ * EMPLOYEE_ID_STRATEGY picks where the next number is seeded from:
+ *   zoho_only    highest ID in Zoho People
+ *   azure_first  highest ID in Entra (Graph); Zoho if Graph is unavailable
+ *   hybrid       the higher of Zoho and Graph
+ * The seed is never allowed below numbers this service already handed out.
+ *
+ * IDs are formatted as EMPLOYEE_ID_PREFIX + number zero-padded to EMPLOYEE_ID_PAD
+ * (e.g. EMP- / 5 -> EMP-00042). Each number is reserved in SQLite before it is
+ * checked against Graph and Zoho, so two jobs can never receive the same one.
+ * A reservation whose job ended without committing it (failed, dead, cancelled)
+ * is released by the next allocation, so failed creates do not burn numbers.
+ *
+ * API:
+ *   - allocateEmployeeId({ token, jobId, previous }) -> Promise<string>
+ *   - commitEmployeeId(employeeId)         -> void (after the user exists)
+ *   - releaseEmployeeId(employeeId)        -> void (never used, e.g. dry-run)
+ *   - formatEmployeeId(n) / parseEmployeeIdNumber(raw)
+ */
+
+const {
+  getKVInt,
+  setKV,
+  reserveEmployeeId,
+  setEmployeeIdStatus,
+  deleteEmployeeIdReservation,
+  releaseAbandonedEmployeeIds,
+  maxReservedEmployeeNumber,
+  findEmployeeIdByJob
+} = require('../infra/sqlite');
 const { log } = require('../core/logger');
+const { config } = require('../config/env');
+
+const SEQ_KEY = 'EMPLOYEE_ID_SEQ';
+const LEGACY_KEY = 'last_employee_id';
+const MAX_PROBES = 50;
+
+// zoho_only | hybrid | azure_first (validated in config/schema)
+function strategy() { return config.EMPLOYEE_ID_STRATEGY; }
+
+function prefix() { return config.EMPLOYEE_ID_PREFIX; }
 
-const KV_KEY = 'last_employee_id';
-
-async function getMaxEmployeeIdFromGraph(token) {
-  let url = 'https://graph.microsoft.com/v1.0/users?$select=employeeId&$top=999';
-  let maxNum = 0;
-  while (url) {
-    const res = await axios.get(url, { headers: { Authorization: `Bearer ${token}` } });
-    const users = res.data?.value || [];
-    for (const u of users) {
-      const raw = (u.employeeId ?? '').toString().trim();
-      if (!raw) continue;
-      const m = raw.match(/\d+/);
-      if (!m) continue;
-      const n = parseInt(m[0], 10);
-      if (Number.isFinite(n) && n > maxNum) maxNum = n;
+function padWidth() { return config.EMPLOYEE_ID_PAD; }
+
+function formatEmployeeId(n) {
+  return `${prefix()}${String(n).padStart(padWidth(), '0')}`;
+}
+
+function parseEmployeeIdNumber(raw) {
+  let s = String(raw ?? '').trim();
+  const p = prefix();
+  if (p && s.toLowerCase().startsWith(p.toLowerCase())) s = s.slice(p.length);
+  const m = s.match(/\d+/);
+  if (!m) return null;
+  const n = parseInt(m[0], 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function maxFromZoho() {
+  const { getLastEmployeeIdFromZoho, getMaxEmployeeIdNumberFromZoho } = require('./zohoPeople');
+  const last = await getLastEmployeeIdFromZoho();
+  if (Number.isFinite(last)) return last;
+  return getMaxEmployeeIdNumberFromZoho();
+}
+
+async function maxFromGraph(token) {
+  const { getMaxEmployeeIdNumber } = require('./graphUser');
+  return getMaxEmployeeIdNumber(token, { parse: parseEmployeeIdNumber });
+}
+
+async function seedFromStrategy(token) {
+  const s = strategy();
+  if (s === 'zoho_only') return { source: s, max: await maxFromZoho() };
+
+  if (s === 'azure_first') {
+    try {
+      return { source: s, max: await maxFromGraph(token) };
+    } catch (e) {
+      log.warn({ err: e?.message || e }, '[empid] graph scan failed, falling back to zoho');
+      return { source: 'zoho', max: await maxFromZoho() };
     }
-    url = res.data?.['@odata.nextLink'] || null;
   }
-  return maxNum || null;
+
+  const [z, g] = await Promise.all([maxFromZoho(), maxFromGraph(token)]);
+  return { source: s, max: Math.max(z || 0, g || 0) };
 }
 
-async function getNextEmployeeIdSmart({ email, graphToken, strictZoho = false }) {
-  try {
-    const { fetchEmployeeByEmailAlias, extractEmployeeIdNumber } = require('./zohoPeople');
-    if (email) {
-      const row = await fetchEmployeeByEmailAlias({ email });
-      const last = extractEmployeeIdNumber(row);
-      if (Number.isFinite(last)) {
-        const next = String(last + 1);
-        setKV(KV_KEY, next);
-        log.info({ last, next }, '[empid] source=zoho');
-        return next;
-      }
-    }
-  } catch (e) {
-    if (strictZoho) throw e;
+async function isInUse(token, employeeId, n) {
+  const { findByEmployeeId } = require('./graphUser');
+  const { fetchEmployeeByEmployeeId, extractEmployeeIdNumber } = require('./zohoPeople');
+
+  for (const candidate of new Set([employeeId, String(n)])) {
+    if (await findByEmployeeId(token, candidate)) return 'graph';
   }
+  const row = await fetchEmployeeByEmployeeId({ employeeId });
+  if (row && extractEmployeeIdNumber(row) === n) return 'zoho';
+  return null;
+}
 
-  const cached = getKV(KV_KEY);
-  if (cached != null) {
-    const base = parseInt(String(cached), 10);
-    if (Number.isFinite(base)) {
-      const next = String(base + 1);
-      setKV(KV_KEY, next);
-      log.warn({ base, next }, '[empid] source=cache');
-      return next;
+/**
+ * Reserve the next free employee ID. A job that already holds a reservation
+ * (re-run after a crash or retry) gets the same ID back. `previous` is the ID
+ * the job was given before its reservation was released (a failed job retried
+ * from the admin API); it is reserved again when nobody else took it.
+ */
+async function allocateEmployeeId({ token, jobId, previous } = {}) {
+  if (jobId != null) {
+    const held = findEmployeeIdByJob(jobId);
+    if (held) return held.employeeId;
+  }
+
+  const released = releaseAbandonedEmployeeIds();
+  if (released) log.info({ released }, '[empid] released reservations of ended jobs');
+
+  const prevNumber = previous ? parseEmployeeIdNumber(previous) : null;
+  if (Number.isFinite(prevNumber) && reserveEmployeeId({ number: prevNumber, employeeId: String(previous), jobId })) {
+    let usedBy;
+    try {
+      usedBy = await isInUse(token, String(previous), prevNumber);
+    } catch (e) {
+      deleteEmployeeIdReservation(String(previous));
+      throw e;
+    }
+    if (!usedBy) {
+      log.info({ employeeId: previous, jobId }, '[empid] reservation taken back');
+      return String(previous);
     }
+    setEmployeeIdStatus(String(previous), 'taken');
   }
 
-  if (graphToken) {
-    const maxGraph = await getMaxEmployeeIdFromGraph(graphToken);
-    if (Number.isFinite(maxGraph)) {
-      const next = String(maxGraph + 1);
-      setKV(KV_KEY, next);
-      log.warn({ maxGraph, next }, '[empid] source=graph');
-      return next;
+  const seed = await seedFromStrategy(token);
+  const floor = Math.max(
+    seed.max || 0,
+    getKVInt(SEQ_KEY, 0),
+    getKVInt(LEGACY_KEY, 0),
+    maxReservedEmployeeNumber()
+  );
+
+  let n = floor + 1;
+  for (let probes = 0; probes < MAX_PROBES; probes++, n++) {
+    const employeeId = formatEmployeeId(n);
+    if (!reserveEmployeeId({ number: n, employeeId, jobId })) continue;
+
+    let usedBy;
+    try {
+      usedBy = await isInUse(token, employeeId, n);
+    } catch (e) {
+      deleteEmployeeIdReservation(employeeId); // unverified; do not hand it back on retry
+      throw e;
     }
+    if (!usedBy) {
+      log.info({ employeeId, source: seed.source, seedMax: seed.max, jobId }, '[empid] reserved');
+      return employeeId;
+    }
+    setEmployeeIdStatus(employeeId, 'taken');
+    log.warn({ employeeId, usedBy }, '[empid] collision, trying next');
   }
 
-  setKV(KV_KEY, '1');
-  log.warn({}, '[empid] source=default');
-  return '1';
+  throw new Error(`No free employee ID found after ${MAX_PROBES} probes from ${floor + 1}`);
+}
+
+function commitEmployeeId(employeeId) {
+  if (!employeeId) return;
+  setEmployeeIdStatus(employeeId, 'committed');
+  const n = parseEmployeeIdNumber(employeeId);
+  if (Number.isFinite(n) && n > getKVInt(SEQ_KEY, 0)) setKV(SEQ_KEY, n);
+}
+
+function releaseEmployeeId(employeeId) {
+  if (!employeeId) return;
+  deleteEmployeeIdReservation(employeeId);
 }
 
-module.exports = { getNextEmployeeIdSmart };
+module.exports = {
+  allocateEmployeeId,
+  commitEmployeeId,
+  releaseEmployeeId,
+  formatEmployeeId,
+  parseEmployeeIdNumber
+};
@@ -16,14 +16,16 @@
 
 const axios = require('axios');
 const qs = require('qs');
-const { get } = require('../config/env');
+const { config } = require('../config/env');
 const { log } = require('../core/logger');
+const { counter, attachHttpMetrics, httpRetries, tokenRefreshes } = require('../infra/metrics');
 
-const TIMEOUT_MS = Number.parseInt(process.env.AZURE_AUTH_TIMEOUT_MS || '20000', 10); // 20s
-const AUTH_HOST = process.env.AZURE_AUTH_HOST || 'login.microsoftonline.com';
+const TIMEOUT_MS = config.AZURE_AUTH_TIMEOUT_MS;
+const AUTH_HOST = config.AZURE_AUTH_HOST;
 
 // isolated axios for auth calls (no global interceptors)
-const http = axios.create({ timeout: TIMEOUT_MS });
+const http = attachHttpMetrics(axios.create({ timeout: TIMEOUT_MS }), 'azure_auth');
+const tokenCache = counter('token_cache_total', 'Graph token lookups answered from the cache (hit) or by Azure AD (miss)', ['result']);
 
 let cache = {
   key: '',
@@ -38,9 +40,9 @@ function tokenKey(tenant, clientId, scope) {
 function nowMs() { return Date.now(); }
 
 function validateEnv() {
-  const tenant = get('AZURE_TENANT_ID');
-  const clientId = get('AZURE_CLIENT_ID');
-  const clientSecret = get('AZURE_CLIENT_SECRET');
+  const tenant = config.AZURE_TENANT_ID;
+  const clientId = config.AZURE_CLIENT_ID;
+  const clientSecret = config.AZURE_CLIENT_SECRET;
 
   if (!tenant || !clientId || !clientSecret) {
     throw new Error('Azure credentials missing (AZURE_TENANT_ID / AZURE_CLIENT_ID / AZURE_CLIENT_SECRET)');
@@ -89,6 +91,7 @@ async function withRetry(fn, { tries = 3, baseMs = 400 } = {}) {
         if (Number.isFinite(sec)) delay = Math.max(delay, sec * 1000);
       }
       delay += Math.floor(Math.random() * 200);
+      httpRetries.inc({ system: 'azure_auth' });
       await new Promise((r) => setTimeout(r, delay));
     }
   }
@@ -145,13 +148,23 @@ async function getAzureAccessToken(opts) {
   const key = tokenKey(tenant, clientId, scope);
 
   if (!force && shouldUseCache(key)) {
+    tokenCache.inc({ result: 'hit' });
     return cache.token;
   }
-
-  const { token, expiresIn } = await withRetry(
-    () => fetchToken({ tenant, clientId, clientSecret, scope }),
-    { tries: 3, baseMs: 500 }
-  );
+  tokenCache.inc({ result: 'miss' });
+
+  let fetched;
+  try {
+    fetched = await withRetry(
+      () => fetchToken({ tenant, clientId, clientSecret, scope }),
+      { tries: 3, baseMs: 500 }
+    );
+  } catch (e) {
+    tokenRefreshes.inc({ system: 'graph', outcome: 'failure' });
+    throw e;
+  }
+  tokenRefreshes.inc({ system: 'graph', outcome: 'success' });
+  const { token, expiresIn } = fetched;
 
   setCache(key, token, expiresIn);
   log.debug({ tenant: tenant.slice(0, 4) + '…', scope }, '[auth] token acquired');
@@ -1,11 +1,23 @@
 'use strict';
 
 const axios = require('axios');
-const { get } = require('../config/env');
+const crypto = require('crypto');
+const { config } = require('../config/env');
 const { attachRetry } = require('../core/retry');
+const { attachRateLimit } = require('../infra/rateLimit');
+const { attachCorrelation } = require('../core/correlation');
+const { attachHttpMetrics } = require('../infra/metrics');
+const { log } = require('../core/logger');
+const { isDryRun, recordPlan } = require('../core/dryRun');
+const { auditChange } = require('./audit');
+const { mapAttributes, readInputs } = require('./attributeMap');
+const { generateTempPassword } = require('../utils/password');
 
 const graphHttp = axios.create({ baseURL: 'https://graph.microsoft.com/v1.0' });
-attachRetry(graphHttp, { retries: 3, baseDelayMs: 300 });
+attachCorrelation(graphHttp, { guidOnly: true });
+attachHttpMetrics(graphHttp, 'graph');
+attachRateLimit(graphHttp, 'graph');
+attachRetry(graphHttp, { retries: config.GRAPH_RETRY_MAX, baseDelayMs: config.GRAPH_RETRY_BASE_MS });
 
 graphHttp.interceptors.request.use((config) => {
   config.headers = config.headers || {};
@@ -40,20 +52,6 @@ async function graphGet(token, path, params = {}) {
   return res.data;
 }
 
-async function graphPost(token, path, body) {
-  const res = await graphHttp.post(path, body ?? {}, {
-    headers: { Authorization: `Bearer ${token}` }
-  });
-  return res.data;
-}
-
-async function graphPatch(token, path, body) {
-  const res = await graphHttp.patch(path, body ?? {}, {
-    headers: { Authorization: `Bearer ${token}` }
-  });
-  return res.data;
-}
-
 async function graphRequest(method, url, token, data) {
   const res = await graphHttp.request({
     method,
@@ -64,6 +62,18 @@ async function graphRequest(method, url, token, data) {
   return res.data;
 }
 
+/**
+ * Every mutating Graph call goes through here. In dry-run the request is
+ * recorded in the plan and `dryRunResult` is returned instead.
+ */
+async function graphWrite(token, method, path, body, dryRunResult = null) {
+  if (isDryRun()) {
+    recordPlan({ system: 'graph', method: method.toUpperCase(), path, body });
+    return dryRunResult;
+  }
+  return graphRequest(method, path, token, body);
+}
+
 function stripUndefined(obj) {
   const out = {};
   Object.keys(obj || {}).forEach((k) => {
@@ -72,12 +82,54 @@ function stripUndefined(obj) {
   return out;
 }
 
+/* ---------------------------------- audit ---------------------------------- */
+// Reads made only for the audit trail (services/audit). Best effort: a failed
+// read is logged and recorded as unknown (null), never allowed to block the write.
+
+const UPN_TTL_MS = 10 * 60 * 1000;
+const UPN_CACHE_MAX = 1000;
+const upnCache = new Map();
+
+async function auditRead(what, fn) {
+  if (isDryRun()) return null;
+  try {
+    return await fn();
+  } catch (err) {
+    log.warn({ what, err: err?.response?.data?.error?.message || err?.message || String(err) }, '[audit] read before change failed');
+    return null;
+  }
+}
+
+function rememberUpn(id, upn) {
+  if (!upn) return;
+  upnCache.delete(id);
+  upnCache.set(id, { upn, at: Date.now() });
+  if (upnCache.size > UPN_CACHE_MAX) upnCache.delete(upnCache.keys().next().value);
+}
+
+// The user's current `attrs` (plus UPN).
+async function auditBefore(token, id, attrs) {
+  const user = await auditRead(`user ${id}`, () => getUser(token, id, ['id', 'userPrincipalName', ...attrs].join(',')));
+  if (!user) return null;
+  rememberUpn(id, user.userPrincipalName);
+  return Object.fromEntries(Object.entries(user).filter(([k]) => k !== 'id' && !k.startsWith('@')));
+}
+
+// UPN of the target for writes that do not otherwise read the user.
+async function auditUpn(token, id) {
+  const hit = upnCache.get(id);
+  if (hit && Date.now() - hit.at < UPN_TTL_MS) return hit.upn;
+  return (await auditBefore(token, id, []))?.userPrincipalName || null;
+}
+
 /* ------------------------------- CRUD helpers ------------------------------ */
 
 async function deleteUser(token, id) {
-  await graphHttp.delete(`/users/${encodeURIComponent(id)}`, {
-    headers: { Authorization: `Bearer ${token}` }
-  });
+  const before = await auditBefore(token, id, ['displayName', 'employeeId', 'mail', 'accountEnabled']);
+  await auditChange(
+    { operation: 'deleteUser', targetId: id, before },
+    () => graphWrite(token, 'delete', `/users/${encodeURIComponent(id)}`)
+  );
   return 204;
 }
 
@@ -94,6 +146,51 @@ async function getDeletedUser(token, id) {
   }
 }
 
+/**
+ * Soft-deleted user matching an employeeId, original UPN or personal email.
+ * Deleted users' UPNs are prefixed with their object id (no dashes); the
+ * prefix is stripped and the rest must equal the UPN. Newest deletion wins.
+ */
+function originalUpn(deletedUser) {
+  const upn = String(deletedUser.userPrincipalName || '').toLowerCase();
+  const prefix = String(deletedUser.id || '').replace(/-/g, '').toLowerCase();
+  return prefix && upn.startsWith(prefix) ? upn.slice(prefix.length) : upn;
+}
+
+async function findDeletedUser(token, { employeeId, upn, email } = {}) {
+  if (!employeeId && !upn && !email) return null;
+  const emp = employeeId != null ? String(employeeId).trim() : null;
+  const upnL = upn ? String(upn).trim().toLowerCase() : null;
+  const mailL = email ? String(email).trim().toLowerCase() : null;
+
+  const matches = [];
+  let data = await graphGet(token, '/directory/deletedItems/microsoft.graph.user', {
+    $select: 'id,userPrincipalName,employeeId,otherMails,accountEnabled,deletedDateTime',
+    $top: 999
+  });
+  while (true) {
+    for (const u of data.value || []) {
+      const sameId = emp && String(u.employeeId ?? '').trim() === emp;
+      if (emp && u.employeeId && !sameId) continue;
+      const sameUpn = upnL && originalUpn(u) === upnL;
+      const sameMail = mailL && (u.otherMails || []).some((m) => String(m).toLowerCase() === mailL);
+      if (sameId || sameUpn || sameMail) matches.push(u);
+    }
+    if (!data['@odata.nextLink']) break;
+    data = await graphGet(token, data['@odata.nextLink']);
+  }
+  matches.sort((a, b) => String(b.deletedDateTime || '').localeCompare(String(a.deletedDateTime || '')));
+  return matches[0] || null;
+}
+
+async function restoreDeletedUser(token, id) {
+  const fake = { id, restored: true };
+  return await auditChange(
+    { operation: 'restoreUser', targetId: id, before: { deleted: true }, after: { deleted: false } },
+    () => graphWrite(token, 'post', `/directory/deletedItems/${encodeURIComponent(id)}/restore`, undefined, fake)
+  );
+}
+
 async function getUser(token, id, select = 'id,userPrincipalName,mail,employeeId,accountEnabled,displayName') {
   const res = await graphHttp.get(`/users/${encodeURIComponent(id)}`, {
     headers: { Authorization: `Bearer ${token}` },
@@ -103,10 +200,160 @@ async function getUser(token, id, select = 'id,userPrincipalName,mail,employeeId
 }
 
 async function revokeUserSessions(token, id) {
-  await graphHttp.post(
-    `/users/${encodeURIComponent(id)}/revokeSignInSessions`,
-    undefined,
-    { headers: { Authorization: `Bearer ${token}` } }
+  await auditChange(
+    { operation: 'revokeSignInSessions', targetId: id, targetUpn: await auditUpn(token, id) },
+    () => graphWrite(token, 'post', `/users/${encodeURIComponent(id)}/revokeSignInSessions`)
+  );
+  return 204;
+}
+
+async function setManager(token, userId, managerId) {
+  const current = await auditRead(`manager of ${userId}`, () => getManager(token, userId));
+  await auditChange(
+    { operation: 'setManager', targetId: userId, targetUpn: await auditUpn(token, userId), before: { manager: current?.id }, after: { manager: managerId } },
+    () => graphWrite(token, 'put', `/users/${encodeURIComponent(userId)}/manager/$ref`, {
+      '@odata.id': `https://graph.microsoft.com/v1.0/directoryObjects/${managerId}`
+    })
+  );
+  return 204;
+}
+
+async function getManager(token, userId) {
+  try {
+    return await graphGet(token, `/users/${encodeURIComponent(userId)}/manager`, { $select: 'id,userPrincipalName,employeeId' });
+  } catch (err) {
+    if (err?.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+async function removeManager(token, userId) {
+  const current = await auditRead(`manager of ${userId}`, () => getManager(token, userId));
+  await auditChange(
+    { operation: 'removeManager', targetId: userId, targetUpn: await auditUpn(token, userId), before: { manager: current?.id }, after: { manager: null } },
+    () => graphWrite(token, 'delete', `/users/${encodeURIComponent(userId)}/manager/$ref`)
+  );
+  return 204;
+}
+
+const NO_MANAGER = /^(-+|none|null|n\/?a|nil)$/i;
+
+/**
+ * Zoho "Reporting To" -> what identifies the manager in Entra. Accepts
+ * "Jane Doe 1042", "Jane Doe (1042)", "Jane Doe - EMP-1042", "1042",
+ * "jane.doe@corp.com" or an object with employeeId / email / name.
+ * Returns null for an explicit "no manager" (blank, "-", "none", "null").
+ */
+function parseManagerRef(v) {
+  if (v && typeof v === 'object') {
+    return parseManagerRef(v.employeeId || v.EmployeeID || v.email || v.mail || v.name || v.displayName || '');
+  }
+  const s = String(v ?? '').replace(/\s+/g, ' ').trim();
+  if (!s || NO_MANAGER.test(s)) return null;
+
+  const email = s.split(' ').find((t) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(t.replace(/^[(<[]|[)>\]]$/g, '')));
+  if (email) return { email: email.replace(/^[(<[]|[)>\]]$/g, '').toLowerCase(), raw: s };
+
+  const last = s.split(' ').pop().replace(/^[(<[-]+|[)>\],;]+$/g, '');
+  if (/\d/.test(last)) {
+    const name = s.slice(0, s.lastIndexOf(' ') + 1).replace(/[\s(<[-]+$/, '').trim();
+    return { employeeId: last, name: name || null, raw: s };
+  }
+  return { name: s, raw: s };
+}
+
+async function resolveManager(token, ref) {
+  if (ref.employeeId) return await findByEmployeeId(token, ref.employeeId);
+  if (ref.email) return (await findUserByUPN(token, ref.email)) || (await findByEmail(token, ref.email));
+  return ref.name ? await findUserByDisplayName(token, ref.name) : null;
+}
+
+/**
+ * Point `userId`'s manager at whoever `reportingTo` names, or clear it when it
+ * names nobody. Result status:
+ *   set | cleared | unchanged
+ *   pending  the manager has no Entra account yet (caller may retry later)
+ *   skipped  the reference points back at the user
+ */
+async function syncManager(token, userId, reportingTo) {
+  const ref = parseManagerRef(reportingTo);
+  const current = String(userId).startsWith('dry-run:') ? null : await getManager(token, userId);
+
+  if (!ref) {
+    if (!current) return { status: 'unchanged', managerId: null, ref };
+    await removeManager(token, userId);
+    return { status: 'cleared', managerId: null, previousManagerId: current.id, ref };
+  }
+  if (current && ref.employeeId && String(current.employeeId ?? '').trim().toLowerCase() === ref.employeeId.toLowerCase()) {
+    return { status: 'unchanged', managerId: current.id, ref };
+  }
+
+  const manager = await resolveManager(token, ref);
+  if (!manager) return { status: 'pending', managerId: null, ref };
+  if (manager.id === userId) return { status: 'skipped', managerId: null, ref, reason: 'user cannot be their own manager' };
+  if (current?.id === manager.id) return { status: 'unchanged', managerId: manager.id, ref };
+
+  await setManager(token, userId, manager.id);
+  return { status: 'set', managerId: manager.id, managerUpn: manager.userPrincipalName || null, previousManagerId: current?.id || null, ref };
+}
+
+async function listMemberOf(token, userId) {
+  const out = [];
+  let data = await graphGet(token, `/users/${encodeURIComponent(userId)}/memberOf`, { $select: 'id' });
+  while (true) {
+    out.push(...(data.value || []));
+    if (!data['@odata.nextLink']) return out;
+    data = await graphGet(token, data['@odata.nextLink']);
+  }
+}
+
+async function addGroupMember(token, groupId, userId) {
+  await auditChange(
+    { operation: 'addGroupMember', targetId: userId, targetUpn: await auditUpn(token, userId), before: { memberOf: null }, after: { memberOf: groupId } },
+    () => graphWrite(token, 'post', `/groups/${encodeURIComponent(groupId)}/members/$ref`, {
+      '@odata.id': `https://graph.microsoft.com/v1.0/directoryObjects/${userId}`
+    })
+  );
+  return 204;
+}
+
+async function removeGroupMember(token, groupId, userId) {
+  await auditChange(
+    { operation: 'removeGroupMember', targetId: userId, targetUpn: await auditUpn(token, userId), before: { memberOf: groupId }, after: { memberOf: null } },
+    () => graphWrite(token, 'delete', `/groups/${encodeURIComponent(groupId)}/members/${encodeURIComponent(userId)}/$ref`)
+  );
+  return 204;
+}
+
+async function listLicenseDetails(token, userId) {
+  const data = await graphGet(token, `/users/${encodeURIComponent(userId)}/licenseDetails`, { $select: 'skuId,skuPartNumber' });
+  return data.value || [];
+}
+
+// Add and/or remove SKUs in one call. The user must have a usageLocation first.
+async function assignLicense(token, userId, { addSkuIds = [], removeSkuIds = [] } = {}) {
+  const held = (await auditRead(`licenses of ${userId}`, () => listLicenseDetails(token, userId)))?.map((l) => l.skuId);
+  // Without the current SKUs the resulting set is unknown; record the delta instead.
+  const after = held
+    ? [...held.filter((s) => !removeSkuIds.includes(s)), ...addSkuIds.filter((s) => !held.includes(s))]
+    : { added: addSkuIds, removed: removeSkuIds };
+  return await auditChange(
+    { operation: 'assignLicense', targetId: userId, targetUpn: await auditUpn(token, userId), before: { licenses: held }, after: { licenses: after } },
+    () => graphWrite(token, 'post', `/users/${encodeURIComponent(userId)}/assignLicense`, {
+      addLicenses: addSkuIds.map((skuId) => ({ skuId, disabledPlans: [] })),
+      removeLicenses: removeSkuIds
+    })
+  );
+}
+
+// Out-of-office reply on the user's mailbox; `message` null turns it off.
+async function setAutoReply(token, userId, message) {
+  const automaticRepliesSetting = message
+    ? { status: 'alwaysEnabled', externalAudience: 'all', internalReplyMessage: message, externalReplyMessage: message }
+    : { status: 'disabled' };
+  await auditChange(
+    { operation: 'setAutoReply', targetId: userId, targetUpn: await auditUpn(token, userId), after: { automaticReplies: automaticRepliesSetting.status, replyMessage: message || null } },
+    () => graphWrite(token, 'patch', `/users/${encodeURIComponent(userId)}/mailboxSettings`, { automaticRepliesSetting })
   );
   return 204;
 }
@@ -172,45 +419,33 @@ function prefixForEmployeeType(t) {
   return '';
 }
 
-async function findByEmployeeId(token, employeeId) {
+async function findByEmployeeId(token, employeeId, select = 'id,userPrincipalName,mail,employeeId,accountEnabled,displayName,otherMails') {
   if (!employeeId) return null;
   const data = await graphGet(token, '/users', {
     $filter: `employeeId eq '${escapeOdataValue(employeeId)}'`,
-    $select: 'id,userPrincipalName,mail,employeeId,accountEnabled,displayName,otherMails'
+    $select: select
   });
   return (data.value && data.value[0]) || null;
 }
 
 async function createUser(token, body) {
-  return await graphPost(token, '/users', body);
+  const fake = { id: `dry-run:${crypto.randomUUID()}`, userPrincipalName: body?.userPrincipalName };
+  return await auditChange(
+    { operation: 'createUser', targetUpn: body?.userPrincipalName, after: body },
+    () => graphWrite(token, 'post', '/users', body, fake)
+  );
 }
 
 async function updateUser(token, id, body) {
-  return await graphPatch(token, `/users/${encodeURIComponent(id)}`, body);
-}
-
-function buildUpdatePayload(d) {
-  return stripUndefined({
-    displayName: `${(d.firstname || '').trim()} ${(d.lastname || '').trim()}`.trim() || undefined,
-    givenName: d.firstname || undefined,
-    surname: d.lastname || undefined,
-    otherMails: d.email ? [String(d.email).trim()] : undefined,
-    employeeId:
-      d.employeeId != null && String(d.employeeId).trim() !== ''
-        ? String(d.employeeId).trim()
-        : undefined,
-    country: d.country || undefined,
-    city: d.city || undefined,
-    mobilePhone: d.mobilePhone || undefined,
-    department: d.department || undefined,
-    jobTitle: d.zohoRole || undefined,
-    companyName: d.company || undefined,
-    employeeType: d.employeeType || d.employementType || undefined,
-    officeLocation: d.officelocation || undefined
-  });
+  const before = await auditBefore(token, id, Object.keys(body || {}));
+  return await auditChange(
+    { operation: 'updateUser', targetId: id, before, after: body },
+    () => graphWrite(token, 'patch', `/users/${encodeURIComponent(id)}`, body)
+  );
 }
 
-async function getNextEmployeeId(token, { maxScan = 50000 } = {}) {
+// Highest numeric part of any employeeId in the tenant (0 if none).
+async function getMaxEmployeeIdNumber(token, { maxScan = 50000, parse } = {}) {
   let url = '/users?$select=employeeId&$top=999';
   let maxNum = 0;
   let scanned = 0;
@@ -223,9 +458,7 @@ async function getNextEmployeeId(token, { maxScan = 50000 } = {}) {
     for (const u of batch) {
       const raw = (u.employeeId ?? '').toString().trim();
       if (!raw) continue;
-      const m = raw.match(/\d+/);
-      if (!m) continue;
-      const n = parseInt(m[0], 10);
+      const n = parse ? parse(raw) : parseInt((raw.match(/\d+/) || [])[0], 10);
       if (Number.isFinite(n) && n > maxNum) maxNum = n;
     }
 
@@ -233,20 +466,21 @@ async function getNextEmployeeId(token, { maxScan = 50000 } = {}) {
     if (scanned >= maxScan) break;
   }
 
-  return String(maxNum + 1);
+  return maxNum;
 }
 
 async function upsertUser(token, data) {
-  const domain = data.domain || get('AZURE_DEFAULT_DOMAIN');
-  const base = normNickname(data.firstname || '', data.lastname || '');
-  const pref = prefixForEmployeeType(data.employeeType || data.employementType);
+  const inputs = readInputs(data);
+  const domain = data.domain || config.AZURE_DEFAULT_DOMAIN;
+  const base = normNickname(inputs.firstname || '', inputs.lastname || '');
+  const pref = prefixForEmployeeType(inputs.employeeType);
   const nickBase = `${pref}${base}`;
 
-  const updatePayload = buildUpdatePayload(data);
+  const updatePayload = mapAttributes(data, { mode: 'update' });
 
   let existing = null;
-  if (data.employeeId) {
-    existing = await findByEmployeeId(token, String(data.employeeId).trim());
+  if (inputs.employeeId) {
+    existing = await findByEmployeeId(token, String(inputs.employeeId).trim());
   }
 
   if (existing) {
@@ -273,30 +507,39 @@ async function upsertUser(token, data) {
   }
 
   const { upn, mailNickname } = await ensureUniquePrincipal(token, nickBase, domain);
-  const tempPass = process.env.AAD_DEFAULT_TEMP_PASSWORD || 'TempPass123!';
+  const tempPassword = generateTempPassword();
 
-  const createBody = stripUndefined({
+  const createBody = {
+    ...mapAttributes(data, { mode: 'create' }),
     accountEnabled: true,
-    displayName: `${data.firstname || ''} ${data.lastname || ''}`.trim(),
     mailNickname,
     userPrincipalName: upn,
-    passwordProfile: { forceChangePasswordNextSignIn: true, password: tempPass },
-    otherMails: data.email ? [String(data.email).trim()] : undefined,
-    givenName: data.firstname || undefined,
-    surname: data.lastname || undefined,
-    employeeId: data.employeeId || undefined,
-    country: data.country || undefined,
-    city: data.city || undefined,
-    mobilePhone: data.mobilePhone || undefined,
-    department: data.department || undefined,
-    jobTitle: data.zohoRole || undefined,
-    companyName: data.company || undefined,
-    employeeType: data.employeeType || data.employementType || undefined,
-    officeLocation: data.officelocation || undefined
-  });
+    passwordProfile: { forceChangePasswordNextSignIn: true, password: tempPassword }
+  };
+  if (!createBody.displayName) createBody.displayName = mailNickname;
 
   const created = await createUser(token, createBody);
-  return { action: 'created', userId: created.id, upn };
+  // The caller delivers tempPassword; never log or persist it.
+  return { action: 'created', userId: created.id, upn, tempPassword };
+}
+
+/**
+ * Page through every user in the tenant. `expandManager` adds
+ * manager { id, employeeId, userPrincipalName, mail, displayName } to each user.
+ */
+async function listAllUsers(token, { select, expandManager = false, maxScan = 100000 } = {}) {
+  const params = { $select: select || 'id,userPrincipalName,employeeId,accountEnabled,displayName', $top: 999 };
+  if (expandManager) params.$expand = 'manager($select=id,employeeId,userPrincipalName,mail,displayName)';
+
+  const users = [];
+  let data = await graphGet(token, '/users', params);
+  while (true) {
+    users.push(...(data.value || []));
+    const next = data['@odata.nextLink'];
+    if (!next || users.length >= maxScan) break;
+    data = await graphGet(token, next);
+  }
+  return users;
 }
 
 async function findUserByDisplayName(token, displayName) {
@@ -321,12 +564,27 @@ module.exports = {
   findByEmployeeId,
   upsertUser,
   findUserByUPN,
-  getNextEmployeeId,
+  getMaxEmployeeIdNumber,
   getUser,
   revokeUserSessions,
   deleteUser,
   ensureUniquePrincipal,
   getDeletedUser,
+  findDeletedUser,
+  restoreDeletedUser,
   prefixForEmployeeType,
-  findUserByDisplayName
+  findUserByDisplayName,
+  setManager,
+  getManager,
+  removeManager,
+  parseManagerRef,
+  resolveManager,
+  syncManager,
+  listMemberOf,
+  addGroupMember,
+  removeGroupMember,
+  listLicenseDetails,
+  assignLicense,
+  setAutoReply,
+  listAllUsers
 };
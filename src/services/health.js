@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * services/health.js
+ * Readiness checks behind GET /health/ready. Each dependency is probed at most
+ * once per TTL (a load balancer polling every few seconds gets the cached
+ * result), concurrent callers share a probe in flight, and a probe that hangs
+ * is reported as failed after HEALTH_PROBE_TIMEOUT_MS.
+ *
+ *   database   kv row written and flushed to disk        critical
+ *   scheduler  last tick within HEALTH_SCHEDULER_STALE_MS critical, never cached
+ *   graph      fresh Azure AD token (client secret valid)
+ *   zoho       Zoho refresh-token exchange                skipped without ZOHO_REFRESH_TOKEN
+ *   smtp       verifyEmailTransport({ force: true })      skipped when email is off
+ * A failed critical check makes the instance unavailable (503); any other
+ * failure only marks it degraded, so webhooks keep being accepted and queued.
+ *
+ * API:
+ *   - checkReadiness() -> { status: 'ok' | 'degraded' | 'unavailable', checks: { <name>: result } }
+ *   - liveness()       -> { status: 'ok', uptimeSec, time }
+ * result = { status: 'ok' | 'failed' | 'skipped', critical, checkedAt, durationMs, detail?, error? }
+ *
+ * Settings:
+ *   HEALTH_DB_TTL_MS           (default 10000)
+ *   HEALTH_GRAPH_TTL_MS        (default 300000)
+ *   HEALTH_ZOHO_TTL_MS         (default 900000; Zoho allows few token refreshes per 10 min)
+ *   HEALTH_SMTP_TTL_MS         (default 300000)
+ *   HEALTH_FAILED_TTL_MS       failed results are probed again sooner (default 60000)
+ *   HEALTH_PROBE_TIMEOUT_MS    (default 10000)
+ *   HEALTH_SCHEDULER_STALE_MS  (default 3 × SCHED_INTERVAL_MS, at least 60000)
+ */
+
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { getAzureAccessToken } = require('./graphAuth');
+const { getZohoAccessToken } = require('./zohoPeople');
+const { verifyEmailTransport } = require('../infra/email');
+const { probeStorage } = require('../infra/sqlite');
+const { schedulerStats } = require('../infra/scheduler');
+
+function errorText(e) {
+  const msg = e?.response?.data?.error_description || e?.response?.data?.error?.message || e?.message || String(e);
+  return String(msg).slice(0, 500);
+}
+
+// Each probe resolves to { status, detail? } or throws (reported as failed).
+const CHECKS = {
+  database: {
+    critical: true,
+    ttlMs: () => config.HEALTH_DB_TTL_MS,
+    async probe() {
+      const { driver } = probeStorage();
+      return { status: 'ok', detail: `driver=${driver}` };
+    }
+  },
+  scheduler: {
+    critical: true,
+    ttlMs: () => 0,
+    async probe() {
+      const { lastTickAt, running } = schedulerStats();
+      if (!lastTickAt) throw new Error('scheduler has not ticked yet');
+      const ageMs = Date.now() - lastTickAt;
+      if (ageMs > config.HEALTH_SCHEDULER_STALE_MS) throw new Error(`last tick ${Math.round(ageMs / 1000)}s ago`);
+      return { status: 'ok', detail: `last tick ${new Date(lastTickAt).toISOString()}, ${running} job(s) running` };
+    }
+  },
+  graph: {
+    critical: false,
+    ttlMs: () => config.HEALTH_GRAPH_TTL_MS,
+    async probe() {
+      await getAzureAccessToken({ force: true });
+      return { status: 'ok' };
+    }
+  },
+  zoho: {
+    critical: false,
+    ttlMs: () => config.HEALTH_ZOHO_TTL_MS,
+    async probe() {
+      if (!config.ZOHO_REFRESH_TOKEN) return { status: 'skipped', detail: 'ZOHO_REFRESH_TOKEN not set' };
+      await getZohoAccessToken();
+      return { status: 'ok' };
+    }
+  },
+  smtp: {
+    critical: false,
+    ttlMs: () => config.HEALTH_SMTP_TTL_MS,
+    async probe() {
+      const v = await verifyEmailTransport({ force: true });
+      if (v.status === 'failed') throw new Error(v.detail);
+      return { status: v.status === 'ok' ? 'ok' : 'skipped', detail: v.detail };
+    }
+  }
+};
+
+// name -> { result, expiresAt, pending }
+const cache = new Map();
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name) {
+  const check = CHECKS[name];
+  const start = Date.now();
+  let result;
+  try {
+    const out = await withTimeout(check.probe(), config.HEALTH_PROBE_TIMEOUT_MS);
+    result = { status: out.status, detail: out.detail };
+  } catch (e) {
+    result = { status: 'failed', error: errorText(e) };
+  }
+  result = { ...result, critical: check.critical, checkedAt: new Date(start).toISOString(), durationMs: Date.now() - start };
+
+  const previous = cache.get(name)?.result;
+  if (result.status === 'failed' && previous?.status !== 'failed') {
+    log.warn({ check: name, err: result.error }, '[health] dependency check failed');
+  } else if (result.status !== 'failed' && previous?.status === 'failed') {
+    log.info({ check: name }, '[health] dependency recovered');
+  }
+  return result;
+}
+
+function cachedCheck(name) {
+  const entry = cache.get(name);
+  if (entry?.pending) return entry.pending;
+  if (entry?.result && entry.expiresAt > Date.now()) return Promise.resolve(entry.result);
+
+  const pending = runCheck(name).then((result) => {
+    const ttl = CHECKS[name].ttlMs();
+    const keepMs = result.status === 'failed' ? Math.min(ttl, config.HEALTH_FAILED_TTL_MS) : ttl;
+    cache.set(name, { result, expiresAt: Date.now() + keepMs, pending: null });
+    return result;
+  });
+  cache.set(name, { ...entry, pending });
+  return pending;
+}
+
+async function checkReadiness() {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(cachedCheck));
+  const checks = Object.fromEntries(names.map((n, i) => [n, results[i]]));
+
+  const failed = results.filter((r) => r.status === 'failed');
+  let status = 'ok';
+  if (failed.some((r) => r.critical)) status = 'unavailable';
+  else if (failed.length) status = 'degraded';
+  return { status, time: new Date().toISOString(), checks };
+}
+
+function liveness() {
+  return { status: 'ok', uptimeSec: Math.round(process.uptime()), time: new Date().toISOString() };
+}
+
+module.exports = { checkReadiness, liveness };
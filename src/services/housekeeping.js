@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * services/housekeeping.js
+ * Executors for the recurring housekeeping jobs (see config/recurringJobs.json).
+ * All of them only read from Graph and Zoho.
+ *
+ * API:
+ *   - runTokenHealthCheck()                 -> { graph, zoho } (throws when a token cannot be obtained)
+ *   - buildStaleAccountReport({ token })    -> { generatedAt, counts, stale } (rows fit STALE_CSV_COLUMNS)
+ *   - buildDailySummary({ nowMs, hours })   -> job activity for the period
+ *   - describeDailySummary(summary)         -> mail text
+ */
+
+const { getAzureAccessToken } = require('./graphAuth');
+const { getZohoAccessToken } = require('./zohoPeople');
+const { listAllUsers } = require('./graphUser');
+const { zohoEmployees, syncSettings, isActive } = require('./reconcile');
+const { describeRecurring } = require('./recurring');
+const { jobActivitySince } = require('../infra/sqlite');
+const { config } = require('../config/env');
+
+const STALE_SELECT = 'id,userPrincipalName,employeeId,accountEnabled,displayName,createdDateTime';
+const STALE_CSV_COLUMNS = ['employeeId', 'upn', 'displayName', 'reason', 'zohoStatus', 'createdDateTime'];
+
+function idKey(v) {
+  return String(v ?? '').trim().toUpperCase();
+}
+
+function errorText(e) {
+  return e?.response?.data?.error_description || e?.response?.data?.error?.message || e?.message || String(e);
+}
+
+/**
+ * Fetch fresh (uncached) Graph and Zoho tokens so an expired secret or revoked
+ * refresh token is reported before a real job needs it. Zoho is skipped when
+ * no refresh token is configured.
+ */
+async function runTokenHealthCheck() {
+  const checks = {};
+  try {
+    await getAzureAccessToken({ force: true });
+    checks.graph = 'ok';
+  } catch (e) {
+    checks.graph = `failed: ${errorText(e)}`;
+  }
+  if (config.ZOHO_REFRESH_TOKEN) {
+    try {
+      await getZohoAccessToken();
+      checks.zoho = 'ok';
+    } catch (e) {
+      checks.zoho = `failed: ${errorText(e)}`;
+    }
+  } else {
+    checks.zoho = 'not configured';
+  }
+
+  const failed = Object.entries(checks).filter(([, v]) => v.startsWith('failed'));
+  if (failed.length) {
+    // Not retried: the next hourly check is the retry, and the alert should go out now.
+    throw Object.assign(new Error(failed.map(([k, v]) => `${k} token ${v}`).join('; ')), { transient: false, checks });
+  }
+  return checks;
+}
+
+/**
+ * Enabled Entra accounts whose employee is missing from Zoho or no longer
+ * active there. Accounts without an employeeId (rooms, service accounts) are
+ * only counted.
+ */
+async function buildStaleAccountReport({ token }) {
+  const zoho = new Map();
+  for await (const f of zohoEmployees(syncSettings())) {
+    if (f.employeeId) zoho.set(idKey(f.employeeId), f);
+  }
+
+  const users = await listAllUsers(token, { select: STALE_SELECT });
+  const stale = [];
+  let enabled = 0;
+  let withoutEmployeeId = 0;
+  for (const u of users) {
+    if (!u.accountEnabled) continue;
+    enabled++;
+    if (!u.employeeId) { withoutEmployeeId++; continue; }
+    const f = zoho.get(idKey(u.employeeId));
+    if (f && isActive(f)) continue;
+    stale.push({
+      employeeId: u.employeeId,
+      userId: u.id,
+      upn: u.userPrincipalName,
+      displayName: u.displayName || null,
+      reason: f ? 'inactive_in_zoho' : 'not_in_zoho',
+      zohoStatus: f?.employeeStatus || null,
+      createdDateTime: u.createdDateTime || null
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    counts: { zohoEmployees: zoho.size, enabledUsers: enabled, withoutEmployeeId, stale: stale.length },
+    stale
+  };
+}
+
+function buildDailySummary({ nowMs = Date.now(), hours = 24 } = {}) {
+  const since = nowMs - hours * 60 * 60 * 1000;
+  const activity = jobActivitySince(since, { nowMs });
+  const byType = {};
+  for (const c of activity.counts) {
+    byType[c.type] = { ...(byType[c.type] || {}), [c.status]: c.n };
+  }
+  return {
+    from: new Date(since).toISOString(),
+    to: new Date(nowMs).toISOString(),
+    byType,
+    problems: activity.problems,
+    backlog: activity.backlog,
+    recurring: describeRecurring().map((r) => ({ name: r.name, paused: r.paused, nextRunAt: r.nextRunAtLocal, lastJob: r.lastJob }))
+  };
+}
+
+function describeDailySummary(s) {
+  const types = Object.entries(s.byType);
+  const activity = types.length
+    ? types.map(([type, st]) => `- ${type}: ${Object.entries(st).map(([k, n]) => `${k} ${n}`).join(', ')}`).join('\n')
+    : '- no jobs ran';
+  const problems = s.problems.length
+    ? s.problems.map((p) => {
+      const err = typeof p.lastError === 'string' ? p.lastError : JSON.stringify(p.lastError);
+      return `- [job ${p.id}] ${p.type} ${p.status} after ${p.attempts} attempt(s): ${String(err || '').slice(0, 200)}`;
+    }).join('\n')
+    : '- none';
+  const recurring = s.recurring.map((r) => (
+    `- ${r.name}: ${r.paused ? 'PAUSED' : `next ${r.nextRunAt}`}${r.lastJob ? `, last job ${r.lastJob.id} ${r.lastJob.status}` : ''}`
+  )).join('\n') || '- none';
+  const oldest = s.backlog.oldestRunAt ? `, oldest due ${new Date(s.backlog.oldestRunAt).toISOString()}` : '';
+
+  return [
+    `Jobs updated ${s.from} .. ${s.to}`,
+    activity,
+    '',
+    'Failed / dead:',
+    problems,
+    '',
+    `Queue: ${s.backlog.pending} pending, ${s.backlog.overdue} overdue${oldest}`,
+    '',
+    'Recurring jobs:',
+    recurring
+  ].join('\n');
+}
+
+module.exports = {
+  runTokenHealthCheck,
+  buildStaleAccountReport,
+  buildDailySummary,
+  describeDailySummary,
+  STALE_CSV_COLUMNS
+};
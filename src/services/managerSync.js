@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * services/managerSync.js
+ * Keeps Entra manager links in line with Zoho "Reporting To" on create, edit and
+ * reconciliation (the Graph side is graphUser.syncManager). When the manager has
+ * no Entra account yet, e.g. both joined the same week, a syncManager job retries
+ * until they show up.
+ *
+ * Settings:
+ *   MANAGER_SYNC_RETRY_MINUTES  delay between deferred retries (default 60)
+ *   MANAGER_SYNC_GIVE_UP_DAYS   a deferred job fails after this long (default 14)
+ *
+ * API:
+ *   - readManagerField(data)   -> the reporting-to value; '' = explicitly none, undefined = not sent
+ *   - applyManager(token, { userId, employeeId, manager }, { source }) -> syncManager result (+ deferredJobId)
+ *   - runManagerSyncJob(job, { token }) -> result | { waitFor, retryAt }
+ */
+
+const { log } = require('../core/logger');
+const { isDryRun } = require('../core/dryRun');
+const { config } = require('../config/env');
+const { upsertJob, getJob, findActiveJobsByEmployee, updateJobIfStatus } = require('../infra/sqlite');
+const graph = require('./graphUser');
+
+const MANAGER_KEYS = ['manager', 'reportingto'];
+
+function normKey(k) { return String(k).toLowerCase().replace(/[^a-z0-9]/g, ''); }
+
+function readManagerField(data) {
+  const hit = Object.keys(data || {}).find((k) => MANAGER_KEYS.includes(normKey(k)));
+  if (hit === undefined) return undefined;
+  return data[hit] ?? '';
+}
+
+function retryMs() { return config.MANAGER_SYNC_RETRY_MINUTES * 60 * 1000; }
+function giveUpMs() { return config.MANAGER_SYNC_GIVE_UP_DAYS * 24 * 3600 * 1000; }
+
+// A newer reporting-to value (or one that just resolved) supersedes any queued retry.
+function cancelDeferred(employeeId, reason) {
+  if (!employeeId) return [];
+  return findActiveJobsByEmployee(['syncManager'], String(employeeId).trim())
+    .filter((j) => updateJobIfStatus(j.id, ['pending'], { status: 'cancelled', lastError: reason }))
+    .map((j) => j.id);
+}
+
+function deferManagerSync({ userId, employeeId, manager }) {
+  if (employeeId) {
+    const same = findActiveJobsByEmployee(['syncManager'], String(employeeId).trim())
+      .map((j) => getJob(j.id))
+      .find((j) => j?.payload?.manager === manager);
+    if (same) return same.id;
+  }
+  cancelDeferred(employeeId, 'superseded by a newer manager sync');
+  return upsertJob({
+    type: 'syncManager',
+    runAt: Date.now() + retryMs(),
+    payload: { userId, employeeId: employeeId ? String(employeeId).trim() : null, manager, firstQueuedAt: Date.now() }
+  });
+}
+
+async function applyManager(token, { userId, employeeId, manager }, { source = 'webhook' } = {}) {
+  const out = await graph.syncManager(token, userId, manager);
+  if (out.status === 'pending') {
+    // A dry-run queues nothing: the retry would run later as a real write.
+    if (!isDryRun()) out.deferredJobId = deferManagerSync({ userId, employeeId, manager });
+    log.info({ userId, employeeId, ref: out.ref?.raw, jobId: out.deferredJobId, source }, '[manager] not in Entra yet; deferred');
+    return out;
+  }
+  if (!isDryRun()) cancelDeferred(employeeId, `manager ${out.status} by ${source}`);
+  if (out.status !== 'unchanged') log.info({ userId, employeeId, status: out.status, managerId: out.managerId, source }, '[manager] synced');
+  return out;
+}
+
+async function runManagerSyncJob(job, { token }) {
+  const p = typeof job.payload === 'string' ? JSON.parse(job.payload) : (job.payload || {});
+  const user = p.employeeId ? await graph.findByEmployeeId(token, p.employeeId) : null;
+  const userId = user?.id || p.userId;
+  if (!userId) throw new Error(`No Entra user for employeeId ${p.employeeId}`);
+
+  const out = await graph.syncManager(token, userId, p.manager);
+  if (out.status !== 'pending') return { userId, upn: user?.userPrincipalName || null, ...out };
+
+  const waitedMs = Date.now() - (p.firstQueuedAt || job.createdAt || Date.now());
+  if (waitedMs >= giveUpMs()) {
+    throw new Error(`Manager "${out.ref?.raw}" still has no Entra account after ${Math.round(waitedMs / 86400000)} day(s)`);
+  }
+  return { waitFor: out.ref?.raw || 'manager', retryAt: Date.now() + retryMs() };
+}
+
+module.exports = { readManagerField, applyManager, runManagerSyncJob };
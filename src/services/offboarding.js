@@ -0,0 +1,496 @@
+'use strict';
+
+/**
+ * services/offboarding.js
+ * Staged offboarding playbooks.
+ *
+ * OFFBOARDING_PLAYBOOK_FILE (default src/config/offboardingPlaybook.json) lists
+ * stages, each with `afterDays` (relative to the exit time) and ordered `steps`.
+ * Every stage is its own `offboardStage` job linked by playbookId, so stages can
+ * be inspected, cancelled and retried one by one. A stage waits while an earlier
+ * one is still pending and refuses to run after an earlier one failed.
+ *
+ * Steps record what they changed in the playbook state, which is what a rollback
+ * (HR reversed the exit) restores. Rollback is refused once deleteUser has run.
+ *
+ * Steps:
+ *   revokeSessions   sign the user out everywhere
+ *   disableAccount   accountEnabled=false
+ *   removeGroups     leave every group (memberships remembered)
+ *   removeManager    clear the manager (remembered)
+ *   removeLicenses   remove all licenses (SKUs remembered)
+ *   autoReply        OFFBOARD_AUTO_REPLY_MESSAGE as out-of-office; skipped when unset
+ *   deleteUser       soft delete (restorable from deleted items for 30 days)
+ * Converting a mailbox to shared needs Exchange Online PowerShell; Graph cannot do it.
+ *
+ * API:
+ *   - startOffboarding({ employeeId, email, upn, exitAt, requestedBy }) -> playbook
+ *   - runStage(job, { token })             -> { stage, steps } | { waitFor, retryAt } | { skipped }
+ *   - runStageNow(playbookId, index, { token }) -> same, run in-process
+ *   - runOffboardNow(job, { token })       -> first stage's result | { alreadyOffboarding }
+ *   - cancelPlaybook(id, { by, reason })    -> playbook
+ *   - rollbackPlaybook(id, { by })          -> { playbook, jobId }
+ * In dry-run, cancel and rollback only validate and record what they would do.
+ *   - runRollback(job, { token })          -> { restored }
+ *   - describePlaybook(id)                 -> playbook with its stage jobs
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { AppError } = require('../core/errors');
+const { isDryRun, recordPlan } = require('../core/dryRun');
+const { jsonConfigLoader } = require('../utils/jsonConfig');
+const { isTransientError } = require('../infra/jobPolicy');
+const { checkpointJob } = require('../infra/scheduler');
+const {
+  upsertJob,
+  getJob,
+  markJob,
+  updateJobIfStatus,
+  insertPlaybook,
+  getPlaybook,
+  listPlaybooks,
+  updatePlaybook
+} = require('../infra/sqlite');
+const graph = require('./graphUser');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'offboardingPlaybook.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WAIT_MS = 15 * 60 * 1000;
+
+/* ---------------------------------- steps ---------------------------------- */
+
+// run() may call remember() as it goes so a half-finished step can still be undone.
+const STEPS = {
+  revokeSessions: {
+    run: async ({ token, userId }) => {
+      await graph.revokeUserSessions(token, userId);
+      return {};
+    }
+  },
+
+  disableAccount: {
+    run: async ({ token, userId, remember }) => {
+      const before = await graph.getUser(token, userId, 'id,accountEnabled');
+      remember({ wasEnabled: before?.accountEnabled !== false });
+      await graph.updateUser(token, userId, { accountEnabled: false });
+      return {};
+    },
+    undo: async ({ token, userId, saved }) => {
+      if (saved.wasEnabled) await graph.updateUser(token, userId, { accountEnabled: true });
+    }
+  },
+
+  removeGroups: {
+    run: async ({ token, userId, remember }) => {
+      const groups = (await graph.listMemberOf(token, userId))
+        .filter((g) => !g['@odata.type'] || g['@odata.type'] === '#microsoft.graph.group');
+      const failed = [];
+      for (const g of groups) {
+        try {
+          await graph.removeGroupMember(token, g.id, userId);
+          remember({ groupIds: [g.id] });
+        } catch (e) {
+          if (isTransientError(e)) throw e;
+          // Dynamic and synced groups cannot be edited; note them and carry on.
+          failed.push({ groupId: g.id, error: e?.response?.data?.error?.message || e?.message || String(e) });
+        }
+      }
+      return { removed: groups.length - failed.length, failed };
+    },
+    undo: async ({ token, userId, saved }) => {
+      for (const groupId of saved.groupIds || []) await graph.addGroupMember(token, groupId, userId);
+    }
+  },
+
+  removeManager: {
+    run: async ({ token, userId, remember }) => {
+      const manager = await graph.getManager(token, userId);
+      if (!manager) return { removed: false };
+      remember({ managerId: manager.id });
+      await graph.removeManager(token, userId);
+      return { removed: true };
+    },
+    undo: async ({ token, userId, saved }) => {
+      if (saved.managerId) await graph.setManager(token, userId, saved.managerId);
+    }
+  },
+
+  removeLicenses: {
+    run: async ({ token, userId, remember }) => {
+      const skuIds = (await graph.listLicenseDetails(token, userId)).map((l) => l.skuId);
+      if (!skuIds.length) return { removed: 0 };
+      remember({ skuIds });
+      await graph.assignLicense(token, userId, { removeSkuIds: skuIds });
+      return { removed: skuIds.length };
+    },
+    undo: async ({ token, userId, saved }) => {
+      if (saved.skuIds?.length) await graph.assignLicense(token, userId, { addSkuIds: saved.skuIds });
+    }
+  },
+
+  autoReply: {
+    run: async ({ token, userId, remember }) => {
+      const message = config.OFFBOARD_AUTO_REPLY_MESSAGE;
+      if (!message) return { skipped: 'OFFBOARD_AUTO_REPLY_MESSAGE not set' };
+      remember({ enabled: true });
+      await graph.setAutoReply(token, userId, message);
+      return {};
+    },
+    undo: async ({ token, userId, saved }) => {
+      if (saved.enabled) await graph.setAutoReply(token, userId, null);
+    }
+  },
+
+  deleteUser: {
+    irreversible: true,
+    run: async ({ token, userId, remember }) => {
+      await graph.deleteUser(token, userId);
+      remember({ deletedAt: Date.now() });
+      return {};
+    }
+  }
+};
+
+// Undo runs in the reverse of this order.
+const STEP_ORDER = Object.keys(STEPS);
+
+/* --------------------------------- config ---------------------------------- */
+
+function validate(doc, file) {
+  if (!doc || !Array.isArray(doc.stages) || !doc.stages.length) throw new Error(`${file}: expected { "stages": [...] }`);
+  const names = new Set();
+  let lastDays = -Infinity;
+  const stages = doc.stages.map((s, i) => {
+    const name = String(s?.name || `stage${i + 1}`);
+    if (names.has(name)) throw new Error(`${file}: duplicate stage name "${name}"`);
+    names.add(name);
+
+    const afterDays = Number(s.afterDays ?? 0);
+    if (!Number.isFinite(afterDays) || afterDays < 0) throw new Error(`${file}: ${name}.afterDays must be a number >= 0`);
+    if (afterDays < lastDays) throw new Error(`${file}: stages must be listed in afterDays order (${name})`);
+    lastDays = afterDays;
+
+    const steps = Array.isArray(s.steps) ? s.steps : [];
+    if (!steps.length) throw new Error(`${file}: ${name} has no steps`);
+    for (const step of steps) {
+      if (!STEPS[step]) throw new Error(`${file}: ${name} uses unknown step "${step}" (allowed: ${STEP_ORDER.join(', ')})`);
+    }
+    return { name, afterDays, steps };
+  });
+  return { stages };
+}
+
+const loadFile = jsonConfigLoader(validate);
+
+function loadPlaybook() {
+  const { value, file, fresh } = loadFile(config.OFFBOARDING_PLAYBOOK_FILE || DEFAULT_FILE);
+  if (fresh) log.info({ file, stages: value.stages.map((s) => s.name) }, '[offboard] playbook loaded');
+  return value;
+}
+
+/* -------------------------------- playbooks -------------------------------- */
+
+function cancelPendingStages(pb, reason) {
+  const cancelled = [];
+  for (const st of pb.stages) {
+    if (st.jobId && updateJobIfStatus(st.jobId, ['pending'], { status: 'cancelled', lastError: reason })) {
+      cancelled.push(st.name);
+    }
+  }
+  return cancelled;
+}
+
+function planStages(exitAt) {
+  return loadPlaybook().stages.map((s, index) => ({
+    index, name: s.name, steps: s.steps, runAt: exitAt + s.afterDays * DAY_MS, jobId: null
+  }));
+}
+
+/**
+ * Plan an offboarding. A second exit for the same employee (date changed)
+ * re-times the pending stages of the active playbook instead of starting over.
+ * A dry-run stores nothing: the playbook and its stage jobs are only recorded
+ * in the plan, and the returned playbook has an id starting with `dry-run:`.
+ */
+function startOffboarding({ employeeId, email, upn, exitAt = Date.now(), requestedBy = 'webhook' }) {
+  const dryRun = isDryRun();
+  const existing = employeeId ? listPlaybooks({ status: 'active', employeeId: String(employeeId), dryRun: false }, { limit: 1 }).items[0] : null;
+  if (existing) {
+    const { stages: config } = loadPlaybook();
+    const retimed = existing.stages.map((st) => {
+      const afterDays = config.find((c) => c.name === st.name)?.afterDays ?? 0;
+      return { ...st, runAt: exitAt + afterDays * DAY_MS };
+    });
+    if (dryRun) {
+      recordPlan({ system: 'local', method: 'PATCH', path: `playbooks/${existing.id}`, body: { stages: retimed.map((st) => ({ name: st.name, runAt: st.runAt })) } });
+      return { ...existing, stages: retimed, dryRun: true };
+    }
+    const stages = existing.stages.map((st, i) => (updateJobIfStatus(st.jobId, ['pending'], { runAt: retimed[i].runAt }) ? retimed[i] : st));
+    updatePlaybook(existing.id, { stages });
+    log.info({ playbookId: existing.id, employeeId, exitAt: new Date(exitAt).toISOString() }, '[offboard] playbook re-timed');
+    return getPlaybook(existing.id);
+  }
+
+  const stages = planStages(exitAt);
+  if (dryRun) {
+    const id = `dry-run:${crypto.randomUUID()}`;
+    recordPlan({ system: 'local', method: 'POST', path: 'playbooks', body: { employeeId, email, upn, stages: stages.map((st) => ({ name: st.name, steps: st.steps, runAt: st.runAt })) } });
+    return { id, employeeId: employeeId != null ? String(employeeId) : null, email, upn, userId: null, status: 'active', stages, state: {}, requestedBy, dryRun: true };
+  }
+
+  const id = crypto.randomUUID();
+  insertPlaybook({ id, employeeId: employeeId != null ? String(employeeId) : null, email, upn, stages, requestedBy });
+
+  for (const st of stages) {
+    st.jobId = upsertJob({
+      type: 'offboardStage',
+      runAt: st.runAt,
+      playbookId: id,
+      payload: { playbookId: id, stage: st.index, stageName: st.name, employeeId: employeeId ?? null }
+    });
+  }
+  updatePlaybook(id, { stages });
+  log.info({ playbookId: id, employeeId, stages: stages.map((s) => `${s.name}@${new Date(s.runAt).toISOString()}`) }, '[offboard] playbook started');
+  return getPlaybook(id);
+}
+
+async function resolveUser(token, pb) {
+  const { employeeId, email, upn } = pb;
+  const same = (u) => u && (!employeeId || String(u.employeeId ?? '').trim() === String(employeeId).trim());
+
+  let user = employeeId ? await graph.findByEmployeeId(token, String(employeeId).trim()) : null;
+  if (!user && email) {
+    const byEmail = await graph.findByEmail(token, String(email).trim());
+    if (same(byEmail)) user = byEmail;
+  }
+  if (!user && upn) {
+    const byUpn = await graph.findUserByUPN(token, String(upn).trim());
+    if (same(byUpn)) user = byUpn;
+  }
+  return user;
+}
+
+async function playbookUser(token, pb) {
+  if (pb.userId) return pb.userId;
+  const user = await resolveUser(token, pb);
+  if (!user) throw new AppError(404, `User not found for offboarding (employeeId ${pb.employeeId || '-'})`);
+  updatePlaybook(pb.id, { userId: user.id, upn: user.userPrincipalName || pb.upn });
+  return user.id;
+}
+
+function rememberer(playbookId, step) {
+  return (data) => {
+    const pb = getPlaybook(playbookId);
+    const saved = { ...(pb.state[step] || {}) };
+    for (const [k, v] of Object.entries(data)) {
+      saved[k] = Array.isArray(v) ? [...new Set([...(saved[k] || []), ...v])] : v;
+    }
+    updatePlaybook(playbookId, { state: { ...pb.state, [step]: saved } });
+  };
+}
+
+function payloadOf(job) {
+  return typeof job.payload === 'string' ? JSON.parse(job.payload) : (job.payload || {});
+}
+
+async function runStage(job, { token }) {
+  const { playbookId, stage: index } = payloadOf(job);
+  const pb = getPlaybook(playbookId);
+  if (!pb) throw new Error(`Playbook ${playbookId} not found`);
+  if (pb.status !== 'active') return { skipped: `playbook is ${pb.status}` };
+
+  const stage = pb.stages[index];
+  if (!stage) throw new Error(`Playbook ${playbookId} has no stage ${index}`);
+
+  for (const prev of pb.stages.slice(0, index)) {
+    const pj = prev.jobId ? getJob(prev.jobId) : null;
+    if (!pj || pj.status === 'done' || pj.status === 'cancelled') continue;
+    if (pj.status === 'pending' || pj.status === 'running') return { waitFor: prev.name, retryAt: Date.now() + WAIT_MS };
+    throw new Error(`Stage "${prev.name}" is ${pj.status}; retry or cancel it before "${stage.name}" can run`);
+  }
+
+  const userId = await playbookUser(token, pb);
+  const done = new Set(job.checkpoint?.doneSteps || []);
+  const steps = [];
+
+  for (const name of stage.steps) {
+    if (done.has(name)) { steps.push({ step: name, resumed: true }); continue; }
+    const out = await STEPS[name].run({ token, userId, remember: rememberer(pb.id, name) });
+    done.add(name);
+    checkpointJob(job, { doneSteps: [...done] });
+    steps.push({ step: name, ...out });
+    log.info({ playbookId: pb.id, stage: stage.name, step: name }, '[offboard] step done');
+  }
+
+  if (index === pb.stages.length - 1) updatePlaybook(pb.id, { status: 'completed' });
+  return { playbookId: pb.id, stage: stage.name, userId, upn: getPlaybook(pb.id).upn, steps };
+}
+
+/**
+ * Run a stage in-process instead of waiting for the scheduler, for exits
+ * that are already due (offboardNow jobs). The stage job is claimed first so
+ * the scheduler cannot pick it up as well.
+ */
+async function runStageNow(playbookId, index, { token }) {
+  const pb = getPlaybook(playbookId);
+  const jobId = pb?.stages[index]?.jobId;
+  if (!jobId || !updateJobIfStatus(jobId, ['pending'], { status: 'running', attempts: 1 })) {
+    throw new AppError(409, `Stage ${index} of playbook ${playbookId} is not pending`);
+  }
+  const job = getJob(jobId);
+  try {
+    const out = await runStage(job, { token });
+    markJob(jobId, { status: 'done', result: out });
+    return out;
+  } catch (e) {
+    const error = e?.response?.data?.error?.message || e?.message || String(e);
+    markJob(jobId, { status: 'failed', lastError: error });
+    throw e;
+  }
+}
+
+// Dry-run of runOffboardNow: the first stage's steps run against the user (their
+// writes land in the plan) without claiming stage jobs or storing playbook state.
+async function previewFirstStage(token, pb) {
+  const stage = pb.stages[0];
+  const user = await resolveUser(token, pb);
+  if (!user) throw new AppError(404, `User not found for offboarding (employeeId ${pb.employeeId || '-'})`);
+  const steps = [];
+  for (const name of stage.steps) {
+    const out = await STEPS[name].run({ token, userId: user.id, remember: () => {} });
+    steps.push({ step: name, ...out });
+  }
+  return {
+    playbookId: pb.id,
+    stage: stage.name,
+    userId: user.id,
+    upn: user.userPrincipalName,
+    steps,
+    stages: pb.stages.map((st) => ({ name: st.name, jobId: st.jobId, runAt: new Date(st.runAt).toISOString() }))
+  };
+}
+
+/**
+ * Executor for `offboardNow` jobs (exit date already passed): starts, or re-times,
+ * the employee's playbook and runs its first stage straight away. A retry reuses
+ * the playbook from the checkpoint and resumes the stage where it failed.
+ */
+async function runOffboardNow(job, { token }) {
+  const p = payloadOf(job);
+  if (isDryRun()) return previewFirstStage(token, startOffboarding({ ...p, exitAt: Date.now() }));
+  const ours = job.checkpoint?.playbookId;
+  let pb = ours ? getPlaybook(ours) : null;
+  if (!pb || pb.status !== 'active') {
+    pb = startOffboarding({ employeeId: p.employeeId, email: p.email, upn: p.upn, exitAt: Date.now(), requestedBy: p.requestedBy });
+  }
+
+  const first = getJob(pb.stages[0].jobId);
+  if (first?.status === 'failed' && pb.id === ours) {
+    updateJobIfStatus(first.id, ['failed'], { status: 'pending', lastError: `retried by job ${job.id}` });
+  } else if (first?.status !== 'pending') {
+    return { alreadyOffboarding: true, playbookId: pb.id, stage: pb.stages[0].name, status: first?.status || null };
+  }
+  checkpointJob(job, { playbookId: pb.id });
+
+  const out = await runStageNow(pb.id, 0, { token });
+  return {
+    ...out,
+    stages: pb.stages.map((st) => ({ name: st.name, jobId: st.jobId, runAt: new Date(st.runAt).toISOString() }))
+  };
+}
+
+function loadPlaybookOr404(id) {
+  const pb = getPlaybook(id);
+  if (!pb) throw new AppError(404, `Playbook ${id} not found`);
+  return pb;
+}
+
+function cancelPlaybook(id, { by = 'admin', reason } = {}) {
+  const pb = loadPlaybookOr404(id);
+  if (pb.status !== 'active') throw new AppError(409, `Only active playbooks can be cancelled (playbook is ${pb.status})`);
+  if (isDryRun()) {
+    recordPlan({ system: 'local', method: 'PATCH', path: `playbooks/${id}`, body: { status: 'cancelled', reason: reason || `cancelled by ${by}` } });
+    return { ...pb, status: 'cancelled', dryRun: true };
+  }
+  const cancelled = cancelPendingStages(pb, reason || `cancelled by ${by}`);
+  updatePlaybook(id, { status: 'cancelled' });
+  log.info({ playbookId: id, by, cancelled }, '[offboard] playbook cancelled');
+  return getPlaybook(id);
+}
+
+function rollbackPlaybook(id, { by = 'admin' } = {}) {
+  const pb = loadPlaybookOr404(id);
+  if (!['active', 'cancelled', 'completed'].includes(pb.status)) {
+    throw new AppError(409, `Playbook is ${pb.status}; nothing to roll back`);
+  }
+  const final = STEP_ORDER.find((name) => STEPS[name].irreversible && pb.state[name]);
+  if (final) {
+    throw new AppError(409, `"${final}" already ran for this playbook; it cannot be rolled back`);
+  }
+  const running = pb.stages.find((st) => st.jobId && getJob(st.jobId)?.status === 'running');
+  if (running) throw new AppError(409, `Stage "${running.name}" is running; try again when it finishes`);
+  if (isDryRun()) {
+    recordPlan({ system: 'local', method: 'POST', path: `playbooks/${id}/rollback`, body: { requestedBy: by } });
+    return { playbook: { ...pb, status: 'rolling_back', dryRun: true }, jobId: null };
+  }
+
+  cancelPendingStages(pb, `rolled back by ${by}`);
+  const jobId = upsertJob({ type: 'offboardRollback', runAt: Date.now(), playbookId: id, payload: { playbookId: id, requestedBy: by } });
+  updatePlaybook(id, { status: 'rolling_back' });
+  log.info({ playbookId: id, by, jobId }, '[offboard] rollback queued');
+  return { playbook: getPlaybook(id), jobId };
+}
+
+async function runRollback(job, { token }) {
+  const { playbookId } = payloadOf(job);
+  const pb = getPlaybook(playbookId);
+  if (!pb) throw new Error(`Playbook ${playbookId} not found`);
+  const final = STEP_ORDER.find((name) => STEPS[name].irreversible && pb.state[name]);
+  if (final) throw new Error(`"${final}" already ran; cannot roll back`);
+
+  const done = new Set(job.checkpoint?.undoneSteps || []);
+  const restored = [];
+  if (pb.userId) {
+    for (const name of [...STEP_ORDER].reverse()) {
+      const saved = pb.state[name];
+      if (!saved || !STEPS[name].undo || done.has(name)) continue;
+      await STEPS[name].undo({ token, userId: pb.userId, saved });
+      done.add(name);
+      checkpointJob(job, { undoneSteps: [...done] });
+      restored.push(name);
+    }
+  }
+  updatePlaybook(playbookId, { status: 'rolled_back' });
+  log.info({ playbookId, restored }, '[offboard] rolled back');
+  return { playbookId, userId: pb.userId || null, upn: pb.upn || null, restored };
+}
+
+function describePlaybook(id) {
+  const pb = loadPlaybookOr404(id);
+  return {
+    ...pb,
+    stages: pb.stages.map((st) => {
+      const j = st.jobId ? getJob(st.jobId) : null;
+      return {
+        ...st,
+        runAtISO: new Date(st.runAt).toISOString(),
+        job: j ? { id: j.id, status: j.status, attempts: j.attempts, lastError: j.lastError, result: j.result } : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  startOffboarding,
+  runStage,
+  runStageNow,
+  runOffboardNow,
+  cancelPlaybook,
+  rollbackPlaybook,
+  runRollback,
+  describePlaybook,
+  loadPlaybook
+};
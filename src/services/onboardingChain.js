@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * services/onboardingChain.js
+ * What happens after a create job made (or brought back) the account, as a chain
+ * of small jobs: each one waits for the previous to finish and is retried on its
+ * own, so e.g. a failed Zoho write-back never re-runs the Graph create.
+ *
+ *   create -> setManager -> assignEntitlements -> zohoWriteBack
+ *
+ * setManager is only queued when the payload names a manager, zohoWriteBack only
+ * for candidate hires. The temporary password stays with the create job: it is
+ * only ever held in memory.
+ *
+ * API:
+ *   - queueOnboardingChain(job, { result, employeeId, payload }) -> [{ id, type }]
+ *   - runSetManager(job, { token })       -> applyManager result
+ *   - runAssignEntitlements(job, { token }) -> applyEntitlements result
+ *   - runZohoWriteBack(job)               -> { recordId, fields }
+ */
+
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { upsertJobChain } = require('../infra/sqlite');
+const { readInputs } = require('./attributeMap');
+const { applyEntitlements } = require('./provisioningRules');
+const { readManagerField, applyManager } = require('./managerSync');
+const { updateCandidateFields, officialEmailFromUpn } = require('./zohoPeople');
+
+function payloadOf(job) {
+  return typeof job.payload === 'string' ? JSON.parse(job.payload) : (job.payload || {});
+}
+
+function queueOnboardingChain(job, { result, employeeId, payload }) {
+  const base = { userId: result.userId, upn: result.upn, employeeId: employeeId ? String(employeeId) : null, createJobId: job.id };
+  const steps = [];
+
+  const manager = readManagerField(payload);
+  if (manager !== undefined) steps.push({ type: 'setManager', payload: { ...base, manager } });
+  steps.push({ type: 'assignEntitlements', payload: { ...base, fields: readInputs(payload) } });
+  if (payload.candidateId) steps.push({ type: 'zohoWriteBack', payload: { ...base, candidateId: payload.candidateId } });
+
+  const ids = upsertJobChain(steps, { parentId: job.id });
+  log.info({ id: job.id, chain: steps.map((st, i) => `${st.type}#${ids[i]}`) }, '[create] follow-up jobs queued');
+  return steps.map((st, i) => ({ id: ids[i], type: st.type }));
+}
+
+async function runSetManager(job, { token }) {
+  const p = payloadOf(job);
+  // Unresolvable managers become their own syncManager retry job; the chain moves on.
+  return applyManager(token, { userId: p.userId, employeeId: p.employeeId, manager: p.manager }, { source: `job ${job.id}` });
+}
+
+async function runAssignEntitlements(job, { token }) {
+  const p = payloadOf(job);
+  return applyEntitlements(token, p.userId, p.fields || {}, { throwOnTransient: true });
+}
+
+async function runZohoWriteBack(job) {
+  const p = payloadOf(job);
+  const officialField = config.OFFICIAL_EMAIL_FIELD_LINK_NAME;
+  const empIdField = config.ZOHO_EMPLOYEEID_FIELD_LINK_NAME;
+  const fields = { [officialField]: officialEmailFromUpn(p.upn) };
+  if (p.employeeId) fields[empIdField] = String(p.employeeId);
+  await updateCandidateFields({ recordId: p.candidateId, fields });
+  log.info({ id: job.id, candidateId: p.candidateId, fields: Object.keys(fields) }, '[zoho] candidate written back');
+  return { recordId: p.candidateId, fields };
+}
+
+module.exports = { queueOnboardingChain, runSetManager, runAssignEntitlements, runZohoWriteBack };
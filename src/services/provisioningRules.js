@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * services/provisioningRules.js
+ * Declarative group and license assignment driven by Zoho attributes.
+ *
+ * PROVISIONING_RULES_FILE points at a JSON file (see src/config/provisioningRules.example.json):
+ *   {
+ *     "usageLocation": "IN",
+ *     "rules": [
+ *       { "name": "engineering", "when": { "department": ["Engineering"] },
+ *         "groups": ["<group object id>"], "licenses": ["<sku id>"] }
+ *     ]
+ *   }
+ *
+ * A rule matches when every attribute in `when` equals (case-insensitive) one of
+ * the listed values; an empty `when` matches everyone. Only groups and SKUs named
+ * somewhere in the file are managed: they are added when a rule matches and
+ * removed when none does. Anything else on the user is left alone.
+ *
+ * API:
+ *   - loadRules()                                  -> { usageLocation, rules } | null when not configured
+ *   - resolveEntitlements(fields, rules)           -> { matchedRules, groups, licenses }
+ *   - applyEntitlements(token, userId, fields, o)  -> { matchedRules, groupsAdded, groupsRemoved,
+ *                                                       licensesAdded, licensesRemoved, errors }
+ *   - describeEntitlements(result)                 -> text for notification mails
+ */
+
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { jsonConfigLoader } = require('../utils/jsonConfig');
+const { isTransientError } = require('../infra/jobPolicy');
+const {
+  listMemberOf,
+  addGroupMember,
+  removeGroupMember,
+  listLicenseDetails,
+  assignLicense,
+  getUser,
+  updateUser
+} = require('./graphUser');
+
+const RULE_ATTRIBUTES = ['department', 'employeeType', 'company', 'officelocation', 'country'];
+
+function norm(v) {
+  return String(v ?? '').trim().toLowerCase();
+}
+
+function asList(v) {
+  if (v === undefined || v === null) return [];
+  return (Array.isArray(v) ? v : [v]).map((x) => String(x).trim()).filter(Boolean);
+}
+
+function validate(doc, file) {
+  if (!doc || !Array.isArray(doc.rules)) throw new Error(`${file}: expected { "rules": [...] }`);
+  const rules = doc.rules.map((r, i) => {
+    const name = r?.name || `rule#${i + 1}`;
+    const when = r?.when || {};
+    for (const key of Object.keys(when)) {
+      if (!RULE_ATTRIBUTES.includes(key)) {
+        throw new Error(`${file}: ${name} matches on unknown attribute "${key}" (allowed: ${RULE_ATTRIBUTES.join(', ')})`);
+      }
+    }
+    return {
+      name,
+      when: Object.fromEntries(Object.entries(when).map(([k, v]) => [k, asList(v).map(norm)])),
+      groups: asList(r.groups).map((s) => s.toLowerCase()),
+      licenses: asList(r.licenses).map((s) => s.toLowerCase())
+    };
+  });
+  return { usageLocation: doc.usageLocation ? String(doc.usageLocation).trim().toUpperCase() : null, rules };
+}
+
+const loadFile = jsonConfigLoader(validate);
+
+function loadRules() {
+  const configured = config.PROVISIONING_RULES_FILE;
+  if (!configured) return null;
+  const { value, file, fresh } = loadFile(configured);
+  if (fresh) log.info({ file, rules: value.rules.length }, '[rules] provisioning rules loaded');
+  return value;
+}
+
+function matches(rule, fields) {
+  return Object.entries(rule.when).every(([key, values]) => !values.length || values.includes(norm(fields[key])));
+}
+
+function resolveEntitlements(fields, { rules }) {
+  const matched = rules.filter((r) => matches(r, fields || {}));
+  return {
+    matchedRules: matched.map((r) => r.name),
+    groups: [...new Set(matched.flatMap((r) => r.groups))],
+    licenses: [...new Set(matched.flatMap((r) => r.licenses))]
+  };
+}
+
+function managed({ rules }) {
+  return {
+    groups: new Set(rules.flatMap((r) => r.groups)),
+    licenses: new Set(rules.flatMap((r) => r.licenses))
+  };
+}
+
+/**
+ * Bring the user's managed groups and licenses in line with the rules.
+ * Reads current membership first so re-runs only touch what differs.
+ * Per-item failures are collected in `errors`; with `throwOnTransient` the
+ * first throttling/5xx failure is rethrown after the pass so a job can retry.
+ */
+async function applyEntitlements(token, userId, fields, { throwOnTransient = false } = {}) {
+  const config = loadRules();
+  const out = { matchedRules: [], groupsAdded: [], groupsRemoved: [], licensesAdded: [], licensesRemoved: [], errors: [] };
+  if (!config || !config.rules.length) return out;
+
+  const want = resolveEntitlements(fields, config);
+  const scope = managed(config);
+  out.matchedRules = want.matchedRules;
+
+  // A dry-run create hands back a placeholder id that Graph has never seen.
+  const placeholder = String(userId).startsWith('dry-run:');
+  const currentGroups = placeholder ? new Set() : new Set((await listMemberOf(token, userId)).map((g) => String(g.id).toLowerCase()));
+  const currentSkus = placeholder ? new Set() : new Set((await listLicenseDetails(token, userId)).map((l) => String(l.skuId).toLowerCase()));
+
+  let transient = null;
+  const attempt = async (kind, id, fn) => {
+    try {
+      await fn();
+      return true;
+    } catch (e) {
+      const error = e?.response?.data?.error?.message || e?.message || String(e);
+      out.errors.push({ kind, id, error });
+      log.warn({ userId, kind, id, err: error }, '[rules] entitlement change failed');
+      if (!transient && isTransientError(e)) transient = e;
+      return false;
+    }
+  };
+
+  for (const groupId of want.groups) {
+    if (currentGroups.has(groupId)) continue;
+    if (await attempt('group:add', groupId, () => addGroupMember(token, groupId, userId))) out.groupsAdded.push(groupId);
+  }
+  for (const groupId of currentGroups) {
+    if (!scope.groups.has(groupId) || want.groups.includes(groupId)) continue;
+    if (await attempt('group:remove', groupId, () => removeGroupMember(token, groupId, userId))) out.groupsRemoved.push(groupId);
+  }
+
+  const addSkuIds = want.licenses.filter((s) => !currentSkus.has(s));
+  const removeSkuIds = [...currentSkus].filter((s) => scope.licenses.has(s) && !want.licenses.includes(s));
+  if (addSkuIds.length || removeSkuIds.length) {
+    const ok = await attempt('license', [...addSkuIds, ...removeSkuIds].join(','), async () => {
+      if (addSkuIds.length && config.usageLocation) {
+        const current = placeholder ? null : await getUser(token, userId, 'id,usageLocation');
+        if (!current?.usageLocation) await updateUser(token, userId, { usageLocation: config.usageLocation });
+      }
+      await assignLicense(token, userId, { addSkuIds, removeSkuIds });
+    });
+    if (ok) {
+      out.licensesAdded = addSkuIds;
+      out.licensesRemoved = removeSkuIds;
+    }
+  }
+
+  log.info(
+    { userId, rules: out.matchedRules, groupsAdded: out.groupsAdded.length, groupsRemoved: out.groupsRemoved.length,
+      licensesAdded: out.licensesAdded.length, licensesRemoved: out.licensesRemoved.length, errors: out.errors.length },
+    '[rules] entitlements applied'
+  );
+  if (transient && throwOnTransient) throw transient;
+  return out;
+}
+
+// One-line-per-change text for success mails.
+function describeEntitlements(r) {
+  if (!r || (!r.matchedRules.length && !r.groupsRemoved.length && !r.licensesRemoved.length)) return 'Entitlements: no rules matched.';
+  const lines = [`Entitlements (rules: ${r.matchedRules.join(', ') || 'none'}):`];
+  if (r.groupsAdded.length) lines.push(`  groups added: ${r.groupsAdded.join(', ')}`);
+  if (r.groupsRemoved.length) lines.push(`  groups removed: ${r.groupsRemoved.join(', ')}`);
+  if (r.licensesAdded.length) lines.push(`  licenses added: ${r.licensesAdded.join(', ')}`);
+  if (r.licensesRemoved.length) lines.push(`  licenses removed: ${r.licensesRemoved.join(', ')}`);
+  if (r.errors.length) lines.push(`  failed: ${r.errors.map((e) => `${e.kind} ${e.id}: ${e.error}`).join('; ')}`);
+  return lines.join('\n');
+}
+
+module.exports = { loadRules, resolveEntitlements, applyEntitlements, describeEntitlements, RULE_ATTRIBUTES };
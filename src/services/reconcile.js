@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * services/reconcile.js
+ * Zoho -> Entra reconciliation: pages the Zoho employee view, diffs each active
+ * employee against the Entra user with the same employeeId and patches drift,
+ * manager included. Employees that failed are re-checked on the next
+ * incremental run even if their Zoho record has not changed since.
+ * Emits `sync:summary` on the bus when a run ends.
+ *
+ * Settings:
+ *   SYNC_PAGE_SIZE              Zoho page size (clamped 50..500)
+ *   SYNC_OVERLAP_MINUTES        incremental runs re-check records modified this long before the last run
+ *   SYNC_DOMAIN_ALLOWLIST       only employees whose email domain is listed (comma-separated)
+ *   SYNC_DEPT_ALLOWLIST         only employees in these departments (comma-separated)
+ * Runs are queued by the nightlyReconcile recurring job (config/recurringJobs.json)
+ * or POST /api/admin/reconcile.
+ */
+
+const { DateTime } = require('luxon');
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { bus } = require('../core/bus');
+const { isDryRun } = require('../core/dryRun');
+const { getKV, setKV } = require('../infra/sqlite');
+const { fetchEmployeeViewPage, zohoEmployeeToFields } = require('./zohoPeople');
+const { findByEmployeeId, updateUser } = require('./graphUser');
+const { desiredAttributes, diffAttributes, DIFF_SELECT } = require('./directoryDiff');
+const { applyManager } = require('./managerSync');
+
+const LAST_RUN_KEY = 'RECONCILE_LAST_RUN_AT';
+const RETRY_KEY = 'RECONCILE_RETRY_EMPLOYEE_IDS';
+const tz = config.TZ;
+
+function toInt(v, d = 0) { const n = parseInt(v, 10); return Number.isFinite(n) ? n : d; }
+
+function csvList(v) {
+  return String(v || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function syncSettings() {
+  return {
+    pageSize: config.SYNC_PAGE_SIZE,
+    overlapMin: config.SYNC_OVERLAP_MINUTES,
+    domains: csvList(config.SYNC_DOMAIN_ALLOWLIST),
+    depts: csvList(config.SYNC_DEPT_ALLOWLIST)
+  };
+}
+
+function isActive(f) {
+  return !f.employeeStatus || String(f.employeeStatus).trim().toLowerCase() === 'active';
+}
+
+function allowed(f, { domains, depts }) {
+  if (domains.length) {
+    const domain = String(f.email || '').split('@')[1];
+    if (!domain || !domains.includes(domain.toLowerCase())) return false;
+  }
+  if (depts.length && !depts.includes(String(f.department || '').toLowerCase())) return false;
+  return true;
+}
+
+// Zoho sends ModifiedTime as e.g. "10-Oct-2024 14:05:11" (org time zone).
+function parseZohoTime(s) {
+  if (!s) return null;
+  for (const fmt of ['dd-LLL-yyyy HH:mm:ss', 'dd-LL-yyyy HH:mm:ss', 'dd-LLL-yyyy']) {
+    const dt = DateTime.fromFormat(String(s).trim(), fmt, { zone: tz });
+    if (dt.isValid) return dt.toMillis();
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function readRetryIds() {
+  try {
+    const ids = JSON.parse(getKV(RETRY_KEY) || '[]');
+    return Array.isArray(ids) ? ids.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Async generator over mapped Zoho employees, page by page.
+ * Shared with the read-only drift report.
+ */
+async function* zohoEmployees({ pageSize }) {
+  for (let slindex = 1; ; slindex += pageSize) {
+    const rows = await fetchEmployeeViewPage({ slindex, rec_limit: pageSize });
+    for (const row of rows) yield zohoEmployeeToFields(row);
+    if (rows.length < pageSize) return;
+  }
+}
+
+/**
+ * Run one reconciliation pass. `full` ignores the incremental window.
+ * Returns the summary that is also emitted as `sync:summary`.
+ */
+async function runReconciliation({ token, full = false } = {}) {
+  const settings = syncSettings();
+  const startedAt = Date.now();
+  const lastRun = toInt(getKV(LAST_RUN_KEY), 0);
+  const since = (!full && lastRun) ? lastRun - settings.overlapMin * 60 * 1000 : 0;
+  const retry = new Set(readRetryIds());
+
+  const stats = {
+    startedAtISO: new Date(startedAt).toISOString(),
+    endedAtISO: null,
+    dryRun: isDryRun(),
+    incrementalSince: since ? new Date(since).toISOString() : null,
+    scanned: 0,
+    touched: 0,
+    skipped: 0,
+    missing: 0,
+    managerDeferred: 0,
+    failures: [],
+    changes: []
+  };
+
+  for await (const f of zohoEmployees(settings)) {
+    if (!f.employeeId || !isActive(f) || !allowed(f, settings)) { stats.skipped++; continue; }
+    const modified = parseZohoTime(f.modifiedTime);
+    if (since && modified && modified < since && !retry.has(String(f.employeeId))) { stats.skipped++; continue; }
+
+    stats.scanned++;
+    try {
+      const user = await findByEmployeeId(token, f.employeeId, DIFF_SELECT);
+      if (!user) { stats.missing++; continue; }
+
+      const drift = diffAttributes(desiredAttributes(f), user);
+      if (drift.length) {
+        const patch = Object.fromEntries(drift.map((d) => [d.attribute, d.zoho]));
+        await updateUser(token, user.id, patch);
+        log.info({ employeeId: f.employeeId, fields: Object.keys(patch) }, '[reconcile] patched');
+      }
+
+      // A blank Reporting To is not treated as "no manager": the view may simply lack the column.
+      if (f.manager) {
+        const m = await applyManager(token, { userId: user.id, employeeId: f.employeeId, manager: f.manager }, { source: 'reconcile' });
+        if (m.status === 'set') drift.push({ attribute: 'manager', zoho: m.ref.raw, graph: m.previousManagerId });
+        if (m.status === 'pending') stats.managerDeferred++;
+      }
+      if (!drift.length) continue;
+
+      stats.touched++;
+      stats.changes.push({ employee_id: f.employeeId, upn: user.userPrincipalName, drift });
+    } catch (e) {
+      const error = e?.response?.data?.error?.message || e?.message || String(e);
+      stats.failures.push({ employee_id: f.employeeId, upn: f.email, error });
+      log.warn({ employeeId: f.employeeId, err: error }, '[reconcile] user failed');
+    }
+  }
+
+  stats.endedAtISO = new Date().toISOString();
+  if (!stats.dryRun) {
+    setKV(LAST_RUN_KEY, startedAt);
+    setKV(RETRY_KEY, JSON.stringify(stats.failures.map((x) => String(x.employee_id))));
+  }
+
+  bus.emit('sync:summary', stats);
+  log.info(
+    { scanned: stats.scanned, touched: stats.touched, missing: stats.missing, failures: stats.failures.length },
+    '[reconcile] done'
+  );
+  return stats;
+}
+
+module.exports = { runReconciliation, zohoEmployees, syncSettings, isActive, allowed };
@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * services/recurring.js
+ * Recurring jobs. RECURRING_JOBS_FILE (default src/config/recurringJobs.json)
+ * lists definitions { name, cron, type, payload?, tz?, missed?, enabled? }; each
+ * due occurrence queues one ordinary job of `type`, so retries, alerts and the
+ * admin job API apply as for any other job. Cron expressions (see utils/cron)
+ * are read in `tz`, default TZ.
+ *
+ * Definitions and their next due time are kept in the recurring_jobs table, so
+ * a restart neither loses nor repeats a run. A run more than GRACE_MS late (the
+ * service was down) follows the definition's `missed` policy:
+ *   skip     drop it and wait for the next occurrence (default)
+ *   catchup  run once now, with payload.missedRuns = occurrences that were due
+ * An occurrence is also skipped while the previous run's job is still pending
+ * or running. Paused definitions stay paused across restarts and file edits.
+ *
+ * API:
+ *   - syncRecurring()                 -> apply the definitions file when it changed
+ *   - fireDueRecurring(nowMs)         -> [{ name, jobId } | { name, skipped }]
+ *   - pauseRecurring(name, { by })    -> definition
+ *   - resumeRecurring(name, { by })   -> definition (next run counted from now)
+ *   - triggerRecurring(name, { by })  -> { name, jobId }
+ *   - describeRecurring()             -> definitions with their last job and next run
+ */
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const { log } = require('../core/logger');
+const { config } = require('../config/env');
+const { AppError } = require('../core/errors');
+const { jsonConfigLoader } = require('../utils/jsonConfig');
+const { nextCronRun } = require('../utils/cron');
+const {
+  upsertJob,
+  getJob,
+  listRecurringJobs,
+  getRecurringJob,
+  saveRecurringJob,
+  updateRecurringJob,
+  deleteRecurringJob,
+  fireRecurringJob
+} = require('../infra/sqlite');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'recurringJobs.json');
+const MISSED_POLICIES = ['skip', 'catchup'];
+// Later than this past its time counts as missed rather than just picked up by the next tick.
+const GRACE_MS = 5 * 60 * 1000;
+// Upper bound when counting missed occurrences (an every-minute job down for days).
+const MAX_MISSED_COUNT = 1000;
+
+function defaultTz() { return config.TZ; }
+
+/* --------------------------------- config ---------------------------------- */
+
+function validate(doc, file) {
+  if (!doc || !Array.isArray(doc.jobs)) throw new Error(`${file}: expected { "jobs": [...] }`);
+  const names = new Set();
+  const jobs = [];
+  doc.jobs.forEach((j, i) => {
+    const name = String(j?.name || '').trim();
+    if (!name) throw new Error(`${file}: jobs[${i}] has no name`);
+    if (names.has(name)) throw new Error(`${file}: duplicate recurring job "${name}"`);
+    names.add(name);
+
+    const type = String(j.type || '').trim();
+    if (!type) throw new Error(`${file}: ${name} has no type`);
+    const tz = String(j.tz || defaultTz()).trim();
+    if (!DateTime.now().setZone(tz).isValid) throw new Error(`${file}: ${name} has an unknown time zone "${tz}"`);
+    const missed = String(j.missed || 'skip').trim().toLowerCase();
+    if (!MISSED_POLICIES.includes(missed)) throw new Error(`${file}: ${name}.missed must be one of ${MISSED_POLICIES.join(', ')}`);
+    if (j.payload !== undefined && (!j.payload || typeof j.payload !== 'object' || Array.isArray(j.payload))) {
+      throw new Error(`${file}: ${name}.payload must be an object`);
+    }
+    const cron = String(j.cron || '').trim();
+    try { nextCronRun(cron, Date.now(), tz); } catch (e) { throw new Error(`${file}: ${name}: ${e.message}`); }
+
+    if (j.enabled === false) return;
+    jobs.push({ name, cron, type, tz, missed, payload: j.payload || {} });
+  });
+  return { jobs };
+}
+
+const loadFile = jsonConfigLoader(validate);
+let lastLoadError = null;
+
+function loadDefinitions() {
+  try {
+    const loaded = loadFile(config.RECURRING_JOBS_FILE || DEFAULT_FILE);
+    lastLoadError = null;
+    return loaded;
+  } catch (e) {
+    // Keep running the definitions already stored; say so once per distinct error.
+    if (e.message !== lastLoadError) log.error({ err: e.message }, '[recurring] definitions not loaded');
+    lastLoadError = e.message;
+    return null;
+  }
+}
+
+/**
+ * Bring the table in line with the file: new definitions are scheduled from
+ * now, a changed cron/tz re-computes the next run, removed ones are dropped.
+ */
+function syncRecurring(nowMs = Date.now()) {
+  const loaded = loadDefinitions();
+  if (!loaded || !loaded.fresh) return;
+
+  const stored = new Map(listRecurringJobs().map((r) => [r.name, r]));
+  for (const def of loaded.value.jobs) {
+    const row = stored.get(def.name);
+    stored.delete(def.name);
+    const reschedule = !row || row.cron !== def.cron || row.tz !== def.tz || row.nextRunAt === null;
+    const changed = reschedule || row.type !== def.type || row.missed !== def.missed ||
+      JSON.stringify(row.payload) !== JSON.stringify(def.payload);
+    if (!changed) continue;
+    saveRecurringJob({ ...def, nextRunAt: reschedule ? nextCronRun(def.cron, nowMs, def.tz) : row.nextRunAt });
+  }
+  for (const name of stored.keys()) {
+    deleteRecurringJob(name);
+    log.info({ name }, '[recurring] definition removed');
+  }
+  log.info({ file: loaded.file, jobs: loaded.value.jobs.map((d) => `${d.name} (${d.cron})`) }, '[recurring] definitions loaded');
+}
+
+/* --------------------------------- firing ---------------------------------- */
+
+function occurrencesSince(r, nowMs) {
+  let n = 1;
+  for (let t = nextCronRun(r.cron, r.nextRunAt, r.tz); t <= nowMs && n < MAX_MISSED_COUNT; t = nextCronRun(r.cron, t, r.tz)) n++;
+  return n;
+}
+
+function activeJob(id) {
+  const job = id ? getJob(id) : null;
+  return job && ['pending', 'running'].includes(job.status) ? job : null;
+}
+
+function fireOne(r, nowMs) {
+  const late = nowMs - r.nextRunAt > GRACE_MS;
+  const previous = activeJob(r.lastJobId);
+  let skipped = null;
+  if (late && r.missed === 'skip') skipped = 'missed';
+  else if (previous) skipped = `previous run (job ${previous.id}) is still ${previous.status}`;
+
+  const payload = { ...r.payload, recurring: r.name, scheduledFor: new Date(r.nextRunAt).toISOString() };
+  if (late && !skipped) payload.missedRuns = occurrencesSince(r, nowMs);
+  const job = skipped ? null : { type: r.type, runAt: nowMs, payload };
+
+  const { claimed, jobId } = fireRecurringJob(r.name, r.nextRunAt, { nextRunAt: nextCronRun(r.cron, nowMs, r.tz), job });
+  if (!claimed) return null;
+  if (skipped) {
+    log.warn({ name: r.name, scheduledFor: payload.scheduledFor, reason: skipped }, '[recurring] run skipped');
+    return { name: r.name, skipped };
+  }
+  log.info({ name: r.name, type: r.type, jobId, scheduledFor: payload.scheduledFor, missedRuns: payload.missedRuns }, '[recurring] run queued');
+  return { name: r.name, jobId };
+}
+
+// Called on every scheduler tick.
+function fireDueRecurring(nowMs = Date.now()) {
+  syncRecurring(nowMs);
+  const fired = [];
+  for (const r of listRecurringJobs()) {
+    if (r.paused || r.nextRunAt === null || r.nextRunAt > nowMs) continue;
+    try {
+      const out = fireOne(r, nowMs);
+      if (out) fired.push(out);
+    } catch (e) {
+      log.error({ name: r.name, err: e?.message || e }, '[recurring] run not queued');
+    }
+  }
+  return fired;
+}
+
+/* ---------------------------------- admin ---------------------------------- */
+
+function loadDefinition(name) {
+  const r = getRecurringJob(name);
+  if (!r) throw new AppError(404, `Recurring job "${name}" not found`);
+  return r;
+}
+
+function toView(r) {
+  const local = (ms) => (ms ? DateTime.fromMillis(ms).setZone(r.tz).toFormat('dd-LL-yyyy HH:mm ZZZZ') : null);
+  const last = r.lastJobId ? getJob(r.lastJobId) : null;
+  return {
+    ...r,
+    nextRunAtISO: r.paused || !r.nextRunAt ? null : new Date(r.nextRunAt).toISOString(),
+    nextRunAtLocal: r.paused ? null : local(r.nextRunAt),
+    lastRunAtISO: r.lastRunAt ? new Date(r.lastRunAt).toISOString() : null,
+    lastJob: last ? { id: last.id, status: last.status, updatedAt: last.updatedAt } : null
+  };
+}
+
+function describeRecurring() {
+  return listRecurringJobs().map(toView);
+}
+
+function pauseRecurring(name, { by } = {}) {
+  loadDefinition(name);
+  updateRecurringJob(name, { paused: true });
+  log.info({ name, by }, '[recurring] paused');
+  return toView(getRecurringJob(name));
+}
+
+// Occurrences that fell while paused are not caught up.
+function resumeRecurring(name, { by } = {}) {
+  const r = loadDefinition(name);
+  updateRecurringJob(name, { paused: false, nextRunAt: nextCronRun(r.cron, Date.now(), r.tz) });
+  log.info({ name, by }, '[recurring] resumed');
+  return toView(getRecurringJob(name));
+}
+
+// Run now, outside the schedule (paused or not); the next scheduled run is unchanged.
+function triggerRecurring(name, { by } = {}) {
+  const r = loadDefinition(name);
+  const previous = activeJob(r.lastJobId);
+  if (previous) throw new AppError(409, `Previous run of "${name}" (job ${previous.id}) is still ${previous.status}`);
+
+  const now = Date.now();
+  const jobId = upsertJob({ type: r.type, runAt: now, payload: { ...r.payload, recurring: name, triggeredBy: by || null } });
+  updateRecurringJob(name, { lastRunAt: now, lastJobId: jobId });
+  log.info({ name, type: r.type, jobId, by }, '[recurring] triggered');
+  return { name, jobId };
+}
+
+module.exports = { syncRecurring, fireDueRecurring, pauseRecurring, resumeRecurring, triggerRecurring, describeRecurring };
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * services/rehire.js
+ * Brings back people whose exit already (partly) ran: rehires that arrive as a
+ * create/edit, and exits that HR cancels in Zoho.
+ *
+ * API:
+ *   - restoreDeletedAccount(token, { employeeId, upn, email }) -> user | null
+ *   - reactivate(token, userId, data)         -> re-enable + re-apply mapped attributes
+ *   - stopPendingExit(employeeId, reason)     -> { cancelledJobs, playbookId }
+ *   - reverseExit(token, { employeeId, email, upn, by }) -> summary of what was undone
+ */
+
+const { log } = require('../core/logger');
+const { AppError } = require('../core/errors');
+const { isDryRun, recordPlan } = require('../core/dryRun');
+const { findActiveJobsByEmployee, updateJobIfStatus, listPlaybooks } = require('../infra/sqlite');
+const { cancelPlaybook, rollbackPlaybook } = require('./offboarding');
+const { mapAttributes } = require('./attributeMap');
+const graph = require('./graphUser');
+
+// Exit jobs outside a playbook: types from before playbooks existed, and
+// immediate exits (offboardNow) that have not started their playbook yet.
+const EXIT_JOB_TYPES = ['disableUser', 'deleteUser', 'offboardNow'];
+
+async function restoreDeletedAccount(token, { employeeId, upn, email } = {}) {
+  const deleted = await graph.findDeletedUser(token, { employeeId, upn, email });
+  if (!deleted) return null;
+
+  const restored = await graph.restoreDeletedUser(token, deleted.id);
+  log.info({ userId: deleted.id, employeeId: deleted.employeeId, deletedAt: deleted.deletedDateTime }, '[rehire] deleted user restored');
+  return {
+    id: deleted.id,
+    userPrincipalName: restored?.userPrincipalName || deleted.userPrincipalName,
+    employeeId: deleted.employeeId || null
+  };
+}
+
+async function reactivate(token, userId, data = {}) {
+  const patch = { ...mapAttributes(data, { mode: 'update' }), accountEnabled: true };
+  await graph.updateUser(token, userId, patch);
+  return Object.keys(patch);
+}
+
+// Dry-run jobs and playbooks are previews; only real ones are stopped (a dry-run only plans it).
+function cancelExitJobs(employeeId, reason) {
+  const cancelled = [];
+  const stillRunning = [];
+  for (const j of findActiveJobsByEmployee(EXIT_JOB_TYPES, String(employeeId).trim(), { dryRun: false })) {
+    if (isDryRun()) {
+      if (j.status !== 'pending') { stillRunning.push(j.id); continue; }
+      recordPlan({ system: 'local', method: 'PATCH', path: `jobs/${j.id}`, body: { status: 'cancelled', lastError: reason } });
+      cancelled.push(j.id);
+    } else if (updateJobIfStatus(j.id, ['pending'], { status: 'cancelled', lastError: reason })) {
+      cancelled.push(j.id);
+    } else {
+      stillRunning.push(j.id);
+    }
+  }
+  return { cancelled, stillRunning };
+}
+
+function activePlaybook(employeeId) {
+  return listPlaybooks({ status: 'active', employeeId: String(employeeId).trim(), dryRun: false }, { limit: 1 }).items[0] || null;
+}
+
+/**
+ * Rehire path: whatever exit is still queued for this employee must not run
+ * against the account we are about to bring back.
+ */
+function stopPendingExit(employeeId, reason) {
+  if (!employeeId) return { cancelledJobs: [], playbookId: null };
+  const { cancelled } = cancelExitJobs(employeeId, reason);
+  const pb = activePlaybook(employeeId);
+  if (pb) cancelPlaybook(pb.id, { by: 'rehire', reason });
+  if (cancelled.length || pb) log.info({ employeeId, cancelledJobs: cancelled, playbookId: pb?.id }, '[rehire] pending exit stopped');
+  return { cancelledJobs: cancelled, playbookId: pb?.id || null };
+}
+
+/**
+ * Exit cancelled in Zoho. An active playbook is rolled back (groups, manager,
+ * licenses come back via its rollback job). Without one, or once its deleteUser
+ * step already ran, the account is restored and re-enabled directly.
+ */
+async function reverseExit(token, { employeeId, email, upn, by = 'webhook' }) {
+  const reason = `exit cancelled (${by})`;
+  const out = { employeeId, cancelledJobs: [], runningJobs: [], playbook: null, restored: false, reenabled: false, userId: null, upn: null };
+
+  const queued = cancelExitJobs(employeeId, reason);
+  out.cancelledJobs = queued.cancelled;
+  out.runningJobs = queued.stillRunning;
+
+  const pb = activePlaybook(employeeId);
+  if (pb && !pb.state?.deleteUser) {
+    const { jobId } = rollbackPlaybook(pb.id, { by });
+    out.playbook = { id: pb.id, action: 'rollback', jobId };
+    log.info(out, '[rehire] exit reversed');
+    return out;
+  }
+  if (pb) {
+    // The user was already deleted: nothing left to roll back, restore it below.
+    cancelPlaybook(pb.id, { by, reason });
+    out.playbook = { id: pb.id, action: 'cancelled' };
+  }
+
+  let user = await graph.findByEmployeeId(token, String(employeeId).trim());
+  if (!user) {
+    const back = await restoreDeletedAccount(token, { employeeId, upn, email });
+    if (back) {
+      out.restored = true;
+      user = { id: back.id, userPrincipalName: back.userPrincipalName, accountEnabled: false };
+    }
+  }
+  if (!user) throw new AppError(404, `No active or deleted user found for employeeId ${employeeId}`);
+
+  out.userId = user.id;
+  out.upn = user.userPrincipalName || null;
+  if (user.accountEnabled === false) {
+    await graph.updateUser(token, user.id, { accountEnabled: true });
+    out.reenabled = true;
+  }
+  log.info(out, '[rehire] exit reversed');
+  return out;
+}
+
+module.exports = { restoreDeletedAccount, reactivate, stopPendingExit, reverseExit };
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * services/tempPassword.js
+ * Per-user temporary passwords for new (and restored) accounts, and their delivery.
+ *
+ * A password is generated per account, sent once and never logged or stored in
+ * plaintext. TEMP_PASSWORD_DELIVERY picks the channel:
+ *   email  the password itself is mailed
+ *   link   a one-time link to this app (GET /password/:token) is mailed instead;
+ *          it opens once and expires after TEMP_PASSWORD_LINK_TTL_HOURS. The
+ *          password is stored AES-GCM encrypted with a key that exists only in the link.
+ *   off    nothing is sent; someone resets the password in Entra
+ * TEMP_PASSWORD_RECIPIENT lists who gets it, first available wins:
+ *   manager   the manager named in the payload (their mail / UPN in Entra)
+ *   personal  the candidate's personal email from Zoho
+ *
+ * API:
+ *   - issueTempPassword(token, userId)                  -> resets the account to a new temp password
+ *   - deliverTempPassword(token, { password, upn, data }) -> { channel, to, expiresAt? }
+ *   - createPasswordLink(password, { userId })          -> { token, url, expiresAt }
+ *   - redeemPasswordLink(token)                         -> password (AppError 404/410 otherwise)
+ */
+
+const crypto = require('crypto');
+const { log } = require('../core/logger');
+const { AppError } = require('../core/errors');
+const { isDryRun } = require('../core/dryRun');
+const { config } = require('../config/env');
+const { sendMail } = require('../infra/email');
+const {
+  insertPasswordLink,
+  getPasswordLink,
+  consumePasswordLink,
+  purgePasswordLinks
+} = require('../infra/sqlite');
+const graph = require('./graphUser');
+const { readInputs } = require('./attributeMap');
+const { readManagerField } = require('./managerSync');
+const { generateTempPassword } = require('../utils/password');
+
+
+async function issueTempPassword(token, userId) {
+  const password = generateTempPassword();
+  await graph.updateUser(token, userId, { passwordProfile: { forceChangePasswordNextSignIn: true, password } });
+  return password;
+}
+
+function deliverySettings() {
+  const recipients = config.TEMP_PASSWORD_RECIPIENT.split(',').map((s) => s.trim()).filter(Boolean);
+  return { channel: config.TEMP_PASSWORD_DELIVERY, recipients, ttlHours: config.TEMP_PASSWORD_LINK_TTL_HOURS };
+}
+
+// Same Reporting To parsing and lookup as the manager sync.
+async function managerEmail(token, data) {
+  const ref = graph.parseManagerRef(readManagerField(data));
+  if (!ref) return null;
+  const m = await graph.resolveManager(token, ref);
+  return m?.mail || m?.userPrincipalName || null;
+}
+
+async function resolveRecipient(token, recipients, data) {
+  for (const r of recipients) {
+    const to = r === 'manager' ? await managerEmail(token, data) : readInputs(data).email;
+    if (to) return { to: String(to).trim(), recipient: r };
+  }
+  return null;
+}
+
+function linkKey(raw) { return Buffer.from(raw, 'base64url'); }
+
+function createPasswordLink(password, { userId, ttlHours = deliverySettings().ttlHours } = {}) {
+  const base = String(config.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  if (!base) throw new Error('PUBLIC_BASE_URL is required for TEMP_PASSWORD_DELIVERY=link');
+
+  const id = crypto.randomBytes(16).toString('base64url');
+  const key = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+  const expiresAt = Date.now() + ttlHours * 3600 * 1000;
+
+  purgePasswordLinks();
+  insertPasswordLink({
+    id,
+    userId,
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    expiresAt
+  });
+  const token = `${id}.${key.toString('base64url')}`;
+  return { token, url: `${base}/password/${token}`, expiresAt };
+}
+
+/** Decrypts and burns the link. Unknown/tampered links are 404; used or expired ones 410. */
+function redeemPasswordLink(token) {
+  const [id, rawKey] = String(token || '').split('.');
+  const row = id && rawKey ? getPasswordLink(id) : null;
+  if (!row) throw new AppError(404, 'Unknown link');
+  if (!row.ciphertext) throw new AppError(410, 'This link was already used');
+  if (row.expiresAt <= Date.now()) {
+    purgePasswordLinks();
+    throw new AppError(410, 'This link has expired');
+  }
+
+  let password;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', linkKey(rawKey), Buffer.from(row.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(row.tag, 'base64'));
+    password = Buffer.concat([decipher.update(Buffer.from(row.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new AppError(404, 'Unknown link');
+  }
+  if (!consumePasswordLink(id)) throw new AppError(410, 'This link was already used');
+  log.info({ linkId: id, userId: row.userId }, '[temp-password] link redeemed');
+  return password;
+}
+
+/**
+ * Send `password` for account `upn` over the configured channel. `data` is the
+ * create payload (manager and personal email come from it). Throws when nothing
+ * could be sent, so the caller can flag the account for a manual reset.
+ */
+async function deliverTempPassword(token, { password, upn, userId, data }) {
+  const { channel, recipients, ttlHours } = deliverySettings();
+  if (channel === 'off') return { channel };
+
+  const target = await resolveRecipient(token, recipients, data);
+  if (!target) throw new Error(`no recipient for the temporary password (tried: ${recipients.join(', ')})`);
+  if (isDryRun()) return { channel, to: target.to, recipient: target.recipient, dryRun: true };
+
+  const intro = target.recipient === 'manager'
+    ? `A new account was created for your team member: ${upn}.`
+    : `Your account ${upn} is ready.`;
+  let text;
+  let expiresAt;
+  if (channel === 'link') {
+    const link = createPasswordLink(password, { userId, ttlHours });
+    expiresAt = new Date(link.expiresAt).toISOString();
+    text = `${intro}\n\nOpen this link to see the temporary password. It works once and expires at ${expiresAt}:\n${link.url}\n\nThe password must be changed at first sign-in.`;
+  } else {
+    text = `${intro}\n\nTemporary password: ${password}\n\nThe password must be changed at first sign-in.`;
+  }
+
+  await sendMail({ to: target.to, subject: `Sign-in details for ${upn}`, text, throwOnError: true });
+  log.info({ userId, channel, recipient: target.recipient }, '[temp-password] delivered');
+  return { channel, to: target.to, recipient: target.recipient, expiresAt };
+}
+
+module.exports = {
+  issueTempPassword,
+  deliverTempPassword,
+  createPasswordLink,
+  redeemPasswordLink
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * services/userUpdate.js
+ * Executor for `updateUser` jobs, queued by the Zoho edit webhook: finds the
+ * Entra user, restores it from deleted items on a rehire, patches the mapped
+ * attributes, syncs the manager and re-applies group/license rules when an
+ * attribute they match on changes. Throttling/5xx failures of the manager or
+ * rule steps fail the job so the scheduler retries it; both run before the
+ * attribute patch, so the retry still sees the change.
+ *
+ * API:
+ *   - editIdentifiers(data)             -> { upn, email, employeeId } the user is looked up by
+ *   - runUserUpdate(job, { token })     -> result stored on the job (AppError 404 when no user matches)
+ *   - describeUserUpdate(result)        -> mail text
+ */
+
+const { log } = require('../core/logger');
+const { AppError } = require('../core/errors');
+const { checkpointJob } = require('../infra/scheduler');
+const { isTransientError } = require('../infra/jobPolicy');
+const graph = require('./graphUser');
+const { mapAttributes, readInputs } = require('./attributeMap');
+const { applyEntitlements, describeEntitlements } = require('./provisioningRules');
+const { restoreDeletedAccount, stopPendingExit } = require('./rehire');
+const { readManagerField, applyManager } = require('./managerSync');
+
+const RULE_SELECT = 'id,department,employeeType,companyName,officeLocation,country';
+
+function editIdentifiers(data) {
+  const upn = data.userPrincipalName || data.upn || data.Other_Email || data['Other Email'] || data.otherEmail;
+  const { email, employeeId } = readInputs(data);
+  return { upn, email, employeeId };
+}
+
+function errorText(err) {
+  return err?.response?.data?.error?.message || err?.message || String(err);
+}
+
+async function findTarget(token, { upn, email, employeeId }) {
+  if (upn) {
+    const user = await graph.findUserByUPN(token, String(upn).trim());
+    if (user) return { user, lookedUpBy: `UPN:${upn}` };
+  }
+  if (email) {
+    const user = await graph.findByEmail(token, String(email).trim());
+    if (user) return { user, lookedUpBy: `email:${email}` };
+  }
+  if (employeeId) {
+    const user = await graph.findByEmployeeId(token, String(employeeId).trim());
+    if (user) return { user, lookedUpBy: `employeeId:${employeeId}` };
+  }
+  return null;
+}
+
+// Group/license rules only need re-applying when an attribute they match on changes.
+async function reapplyEntitlements(token, userId, inputs) {
+  const ruleInputs = {
+    department: inputs.department,
+    employeeType: inputs.employeeType,
+    company: inputs.company,
+    officelocation: inputs.officelocation,
+    country: inputs.country
+  };
+  if (!Object.values(ruleInputs).some((v) => v !== undefined && String(v).trim() !== '')) return null;
+
+  const current = await graph.getUser(token, userId, RULE_SELECT);
+  const before = {
+    department: current.department,
+    employeeType: current.employeeType,
+    company: current.companyName,
+    officelocation: current.officeLocation,
+    country: current.country
+  };
+  const after = { ...before };
+  Object.entries(ruleInputs).forEach(([k, v]) => { if (v !== undefined && String(v).trim() !== '') after[k] = v; });
+  const changed = Object.keys(after).some((k) => String(after[k] ?? '').trim().toLowerCase() !== String(before[k] ?? '').trim().toLowerCase());
+  return changed ? applyEntitlements(token, userId, after, { throwOnTransient: true }) : null;
+}
+
+async function runUserUpdate(job, { token }) {
+  const p = typeof job.payload === 'string' ? JSON.parse(job.payload) : (job.payload || {});
+  const data = p.data || {};
+  const ids = editIdentifiers(data);
+  const inputs = readInputs(data);
+  const reportingTo = readManagerField(data);
+
+  let found = await findTarget(token, ids);
+  // A retry after the restore below finds the user again; the checkpoint keeps it flagged as restored.
+  let restored = !!job.checkpoint?.restored;
+
+  // Rehire: the exit already deleted the account, so bring the same object back.
+  if (!found) {
+    const back = await restoreDeletedAccount(token, ids);
+    if (back) {
+      found = {
+        user: { id: back.id, userPrincipalName: back.userPrincipalName, employeeId: back.employeeId },
+        lookedUpBy: `deleted:${ids.employeeId || back.employeeId || ids.upn || ids.email}`
+      };
+      restored = true;
+      checkpointJob(job, { restored: true, userId: back.id });
+      stopPendingExit(ids.employeeId || back.employeeId, `rehired (job ${job.id})`);
+    }
+  }
+  if (!found) {
+    throw new AppError(404, 'Azure user not found. Provide one of: userPrincipalName/upn/Other_Email or email or employeeId.');
+  }
+
+  const { user, lookedUpBy } = found;
+  const patch = mapAttributes(data, { mode: 'update' });
+  if (restored) patch.accountEnabled = true;
+
+  let manager = null;
+  if (reportingTo !== undefined) {
+    try {
+      manager = await applyManager(token, { userId: user.id, employeeId: ids.employeeId || user.employeeId, manager: reportingTo }, { source: `edit job ${job.id}` });
+    } catch (err) {
+      if (isTransientError(err)) throw err;
+      log.warn({ id: job.id, userId: user.id, err: errorText(err) }, '[edit] manager sync failed');
+      manager = { status: 'failed', error: errorText(err) };
+    }
+  }
+
+  let entitlements = null;
+  try {
+    entitlements = await reapplyEntitlements(token, user.id, inputs);
+  } catch (err) {
+    if (isTransientError(err)) throw err;
+    log.warn({ id: job.id, userId: user.id, err: errorText(err) }, '[edit] entitlement rules failed');
+    entitlements = { error: errorText(err) };
+  }
+
+  const updatedFields = Object.keys(patch);
+  if (updatedFields.length) await graph.updateUser(token, user.id, patch);
+  else log.info({ id: job.id, userId: user.id }, '[edit] nothing to update');
+
+  return {
+    action: restored ? 'restored' : (updatedFields.length ? 'updated' : 'unchanged'),
+    userId: user.id,
+    upn: user.userPrincipalName,
+    lookedUpBy,
+    restored,
+    updatedFields,
+    manager,
+    entitlements
+  };
+}
+
+function describeUserUpdate(out) {
+  const entitlementText = out.entitlements?.error
+    ? `\nEntitlement rules failed: ${out.entitlements.error}`
+    : (out.entitlements ? `\n${describeEntitlements(out.entitlements)}` : '');
+  const m = out.manager;
+  const managerText = m && m.status !== 'unchanged'
+    ? `\nManager: ${m.status}${m.error ? ` (${m.error})` : ''}${m.deferredJobId ? ` (retry job ${m.deferredJobId})` : ''}`
+    : '';
+  const fields = out.updatedFields.length ? out.updatedFields.join(', ') : 'none';
+  return `${out.restored ? 'Restored deleted' : 'Updated'} user ${out.upn || out.userId}. Fields: ${fields}${entitlementText}${managerText}`;
+}
+
+module.exports = { editIdentifiers, runUserUpdate, describeUserUpdate };
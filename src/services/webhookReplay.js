@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * services/webhookReplay.js
+ * Re-submits journaled Zoho webhooks (see middleware/webhookJournal) through the
+ * same route handlers, e.g. after a Graph outage or a mapping fix.
+ *
+ * A replay is a loopback HTTP request to this process carrying a per-process
+ * token instead of a Zoho signature, so it passes verifySignature without
+ * tripping the replay guard. Dry-run replays send `x-dry-run: true`; jobs they
+ * queue run as dry-runs as well. Only events whose signature was accepted when
+ * they arrived can be replayed; the token would otherwise let a rejected
+ * (possibly forged) payload through.
+ *
+ * API:
+ *   - isTrustedReplay(req)                      -> true for requests sent by replayEvent
+ *   - replayOf(req)                             -> journal id being replayed, or null
+ *   - replayEvent(id, { dryRun, by })           -> { eventId, replayEventId, status, response }
+ *   - replayRange(filter, { dryRun, by, limit }) -> { matched, replayed: [...] }
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { log } = require('../core/logger');
+const { AppError } = require('../core/errors');
+const { config } = require('../config/env');
+const { HEADER: CORRELATION_HEADER, currentCorrelationId } = require('../core/correlation');
+const { getWebhookEvent, listWebhookEvents } = require('../infra/sqlite');
+
+const REPLAY_TOKEN = crypto.randomBytes(24).toString('hex');
+const MAX_RANGE = 100;
+// Journal `verified` values of requests verifySignature let through.
+const REPLAYABLE = ['v1', 'zoho', 'unsigned', 'replay'];
+
+// Plain instance: the default axios retries 5xx, and a replay must run exactly once.
+const loopback = axios.create({ timeout: 120000, validateStatus: () => true });
+
+function timingSafeEq(a, b) {
+  const ba = Buffer.from(String(a || ''), 'utf8');
+  const bb = Buffer.from(String(b || ''), 'utf8');
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function isTrustedReplay(req) {
+  return timingSafeEq(req.get('x-webhook-replay-token'), REPLAY_TOKEN);
+}
+
+function replayOf(req) {
+  if (!isTrustedReplay(req)) return null;
+  const id = parseInt(req.get('x-webhook-replay-of'), 10);
+  return Number.isFinite(id) ? id : null;
+}
+
+async function replayEvent(id, { dryRun = false, by = 'admin' } = {}) {
+  const event = getWebhookEvent(id);
+  if (!event) throw new AppError(404, `Webhook event ${id} not found`);
+  if (event.method !== 'POST') throw new AppError(409, `Webhook event ${id} is a ${event.method}; only POSTs can be replayed`);
+  if (!REPLAYABLE.includes(event.verified)) {
+    throw new AppError(409, `Webhook event ${id} was not accepted by signature verification (${event.verified || 'unverified'}); it cannot be replayed`);
+  }
+
+  const headers = {
+    'content-type': event.headers['content-type'] || 'application/json',
+    'x-webhook-replay-token': REPLAY_TOKEN,
+    'x-webhook-replay-of': String(event.replayOf || event.id),
+    'x-admin-user': by
+  };
+  if (dryRun) headers['x-dry-run'] = 'true';
+  // The replay continues the admin request that asked for it.
+  const cid = currentCorrelationId();
+  if (cid) headers[CORRELATION_HEADER] = cid;
+
+  const port = config.PORT;
+  const res = await loopback.post(`http://127.0.0.1:${port}${event.path}`, event.rawBody || '', {
+    headers,
+    params: event.query,
+    transformRequest: [(d) => d]
+  });
+  const replayEventId = parseInt(res.headers['x-webhook-event-id'], 10) || null;
+  log.info({ eventId: event.id, replayEventId, status: res.status, dryRun, by }, '[webhook-replay] replayed');
+  return { eventId: event.id, replayEventId, status: res.status, response: res.data };
+}
+
+/**
+ * Replays matching original events oldest first, one at a time, so a range
+ * is applied in the order Zoho sent it. Events that failed verification are
+ * not matched.
+ */
+async function replayRange(filter, { dryRun = false, by = 'admin', limit = MAX_RANGE } = {}) {
+  const cap = Math.min(Math.max(limit, 1), MAX_RANGE);
+  const { total, items } = listWebhookEvents({ ...filter, verifiedIn: REPLAYABLE, originalsOnly: true }, { limit: cap, order: 'ASC' });
+  const replayed = [];
+  for (const ev of items) {
+    try {
+      const r = await replayEvent(ev.id, { dryRun, by });
+      replayed.push({ eventId: r.eventId, replayEventId: r.replayEventId, status: r.status });
+    } catch (e) {
+      replayed.push({ eventId: ev.id, error: e?.message || String(e) });
+    }
+  }
+  return { matched: total, replayed, truncated: total > items.length };
+}
+
+module.exports = { isTrustedReplay, replayOf, replayEvent, replayRange, MAX_RANGE };
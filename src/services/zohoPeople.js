@@ -2,16 +2,19 @@
 
 const axios = require('axios');
 const qs = require('qs');
+const { isDryRun, recordPlan } = require('../core/dryRun');
+const { tokenRefreshes } = require('../infra/metrics');
+const { config } = require('../config/env');
 
 const {
   ZOHO_CLIENT_ID,
   ZOHO_CLIENT_SECRET,
   ZOHO_REFRESH_TOKEN,
-  ZOHO_PEOPLE_BASE = 'https://people.zoho.com',
-  OFFICIAL_EMAIL_FIELD_LINK_NAME = 'Other_Email',
+  ZOHO_PEOPLE_BASE,
+  OFFICIAL_EMAIL_FIELD_LINK_NAME,
   OFFICIAL_EMAIL_DOMAIN,
-  ZOHO_DC = 'com'
-} = process.env;
+  ZOHO_DC
+} = config;
 
 function officialEmailFromUpn(upn) {
   if (!OFFICIAL_EMAIL_DOMAIN) return upn;
@@ -20,8 +23,7 @@ function officialEmailFromUpn(upn) {
 }
 
 function zohoAccountsBase() {
-  const dc = String(ZOHO_DC || 'com').trim().toLowerCase();
-  return `https://accounts.zoho.${dc}`;
+  return `https://accounts.zoho.${ZOHO_DC}`;
 }
 
 async function getZohoAccessToken() {
@@ -39,9 +41,11 @@ async function getZohoAccessToken() {
   });
 
   if (res.status !== 200 || !res.data?.access_token) {
+    tokenRefreshes.inc({ system: 'zoho', outcome: 'failure' });
     const msg = `Zoho token error (${res.status}): ${JSON.stringify(res.data || {})}`;
     throw new Error(msg);
   }
+  tokenRefreshes.inc({ system: 'zoho', outcome: 'success' });
   return res.data.access_token;
 }
 
@@ -57,6 +61,8 @@ async function updateCandidateOfficialEmail({ recordId, officialEmail, fieldLink
   const field = fieldLinkName || OFFICIAL_EMAIL_FIELD_LINK_NAME;
   if (!field) throw new Error('OFFICIAL_EMAIL_FIELD_LINK_NAME is not configured');
 
+  if (isDryRun()) return planCandidateUpdate(id, { [field]: officialEmail });
+
   const accessToken = await getZohoAccessToken();
   const body = qs.stringify({
     recordId: id,
@@ -82,7 +88,7 @@ async function updateCandidateOfficialEmail({ recordId, officialEmail, fieldLink
 
 async function fetchEmployeeViewPage({ viewName, slindex = 1, rec_limit = 200 }) {
   const accessToken = await getZohoAccessToken();
-  const vname = viewName || process.env.ZOHO_EMPLOYEE_VIEW || 'P_EmployeeView';
+  const vname = viewName || config.ZOHO_EMPLOYEE_VIEW;
 
   const url = `${ZOHO_PEOPLE_BASE}/people/api/forms/${encodeURIComponent(vname)}/records`;
   const res = await axios.get(url, {
@@ -90,6 +96,9 @@ async function fetchEmployeeViewPage({ viewName, slindex = 1, rec_limit = 200 })
     params: { slindex, rec_limit },
     validateStatus: () => true
   });
+  if (res.status >= 400) {
+    throw Object.assign(new Error(`Zoho view fetch failed (${res.status})`), { response: res });
+  }
 
   const rows = Array.isArray(res.data) ? res.data :
     (Array.isArray(res.data?.data) ? res.data.data : []);
@@ -98,8 +107,8 @@ async function fetchEmployeeViewPage({ viewName, slindex = 1, rec_limit = 200 })
 
 async function fetchEmployeeByEmailAlias({ email, viewName, aliasColumn }) {
   const accessToken = await getZohoAccessToken();
-  const vname = viewName || process.env.ZOHO_EMPLOYEE_VIEW || 'P_EmployeeView';
-  const column = aliasColumn || process.env.ZOHO_EMPLOYEE_ALIAS_COLUMN || 'EMPLOYEEMAILALIASs';
+  const vname = viewName || config.ZOHO_EMPLOYEE_VIEW;
+  const column = aliasColumn || config.ZOHO_EMPLOYEE_ALIAS_COLUMN;
 
   const url = `${ZOHO_PEOPLE_BASE}/people/api/forms/${encodeURIComponent(vname)}/records`;
   const res = await axios.get(url, {
@@ -127,7 +136,57 @@ function extractEmployeeIdNumber(row) {
   return null;
 }
 
+function planCandidateUpdate(recordId, fields) {
+  recordPlan({
+    system: 'zoho',
+    method: 'POST',
+    path: '/people/api/forms/json/Candidate/updateRecord',
+    body: { recordId: String(recordId), inputData: fields }
+  });
+  return { response: { status: 0, dryRun: true } };
+}
+
+function normKey(k) { return String(k).toLowerCase().replace(/[^a-z0-9]/g, ''); }
+
+function pickField(row, aliases) {
+  const lut = {};
+  for (const [k, v] of Object.entries(row || {})) lut[normKey(k)] = v;
+  for (const a of aliases) {
+    const v = lut[normKey(a)];
+    if (v !== undefined && v !== null && String(v).trim() !== '') return String(v).trim();
+  }
+  return undefined;
+}
+
+// Employee view record -> the same field names the Zoho webhooks send.
+const EMPLOYEE_VIEW_FIELDS = {
+  employeeId: ['Employee ID', 'EmployeeID', 'Employee_ID', 'EmpID'],
+  firstname: ['First Name', 'FirstName', 'First_Name'],
+  lastname: ['Last Name', 'LastName', 'Last_Name'],
+  email: ['Email ID', 'EmailID', 'Email_ID', 'Email address', 'Email'],
+  department: ['Department'],
+  zohoRole: ['Designation', 'Title', 'Job Title'],
+  city: ['City', 'Work City'],
+  country: ['Country', 'Work Country'],
+  officelocation: ['Location', 'LocationName', 'Work Location', 'Office Location'],
+  company: ['Company', 'Company Name'],
+  mobilePhone: ['Mobile', 'Mobile Phone', 'Personal Mobile Number'],
+  employeeType: ['Employee Type', 'EmployeeType', 'Employee_type', 'Employment Type'],
+  employeeStatus: ['Employee Status', 'Employeestatus', 'Employee_Status'],
+  manager: ['Reporting To', 'Reporting_To', 'ReportingTo'],
+  modifiedTime: ['ModifiedTime', 'Modified Time', 'Modified_Time']
+};
+
+function zohoEmployeeToFields(row) {
+  const out = {};
+  for (const [field, aliases] of Object.entries(EMPLOYEE_VIEW_FIELDS)) {
+    out[field] = pickField(row, aliases);
+  }
+  return out;
+}
+
 async function updateCandidateFields({ recordId, fields }) {
+  if (isDryRun()) return planCandidateUpdate(recordId, fields);
   const accessToken = await getZohoAccessToken();
   const body = qs.stringify({
     recordId: String(recordId),
@@ -146,7 +205,8 @@ async function updateCandidateFields({ recordId, fields }) {
   throw new Error(`Zoho update failed: ${JSON.stringify(res.data?.response?.errors || res.data)}`);
 }
 
-async function getNextEmployeeIdFromZoho({ pageSize = 200, maxPages = 50 } = {}) {
+// Highest employee number in the Zoho employee view, by full scan (0 if none).
+async function getMaxEmployeeIdNumberFromZoho({ pageSize = 200, maxPages = 50 } = {}) {
   let maxNum = 0;
   for (let page = 0; page < maxPages; page++) {
     const slindex = page * pageSize + 1;
@@ -159,12 +219,32 @@ async function getNextEmployeeIdFromZoho({ pageSize = 200, maxPages = 50 } = {})
     }
     if (rows.length < pageSize) break;
   }
-  return String(maxNum + 1 || 1);
+  return maxNum;
+}
+
+async function fetchEmployeeByEmployeeId({ employeeId, viewName, idColumn }) {
+  const accessToken = await getZohoAccessToken();
+  const vname = viewName || config.ZOHO_EMPLOYEE_VIEW;
+  const column = idColumn || config.ZOHO_EMPLOYEE_ID_COLUMN;
+
+  const url = `${ZOHO_PEOPLE_BASE}/people/api/forms/${encodeURIComponent(vname)}/records`;
+  const res = await axios.get(url, {
+    headers: { Authorization: `Zoho-oauthtoken ${accessToken}` },
+    params: { searchColumn: column, searchValue: employeeId },
+    validateStatus: () => true
+  });
+  if (res.status >= 400) {
+    throw Object.assign(new Error(`Zoho employee lookup failed (${res.status})`), { response: res });
+  }
+
+  const rows = Array.isArray(res.data) ? res.data :
+    (Array.isArray(res.data?.data) ? res.data.data : []);
+  return rows && rows.length ? rows[0] : null;
 }
 
 async function getLastEmployeeIdFromZoho() {
   const accessToken = await getZohoAccessToken();
-  const field = process.env.ZOHO_EMPLOYEEID_FIELD_LINK_NAME || 'Employee_ID';
+  const field = config.ZOHO_EMPLOYEEID_FIELD_LINK_NAME;
   const url = `${ZOHO_PEOPLE_BASE}/people/api/forms/P_EmployeeView/records`;
 
   const res = await axios.get(url, {
@@ -193,6 +273,10 @@ module.exports = {
   updateCandidateOfficialEmail,
   fetchEmployeeByEmailAlias,
   getLastEmployeeIdFromZoho,
+  getMaxEmployeeIdNumberFromZoho,
+  fetchEmployeeByEmployeeId,
+  fetchEmployeeViewPage,
+  zohoEmployeeToFields,
   extractEmployeeIdNumber,
   updateCandidateFields,
   getZohoAccessToken
@@ -0,0 +1,117 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const { config } = require('../config/env');
+
+/**
+ * Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+ * evaluated in a time zone. Fields take *, lists, ranges, steps on either
+ * (e.g. 1-5, 0-59/15) and month/day names (jan, mon). As in classic cron, when both
+ * day fields are restricted a day matches either of them. Aliases: @hourly,
+ * @daily (@midnight), @weekly, @monthly, @yearly (@annually).
+ *
+ *   parseCron('0 2 * * *')                       -> parsed fields (throws on bad input)
+ *   nextCronRun('0 2 * * *', Date.now(), 'UTC')  -> epoch ms of the next run after the given time
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, nameBase: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAYS, nameBase: 0 }
+];
+
+// Five years always contain every date a satisfiable expression can ask for (29 Feb included).
+const SEARCH_YEARS = 5;
+
+function parseValue(raw, field, expr) {
+  const s = raw.toLowerCase();
+  const named = field.names ? field.names.indexOf(s) : -1;
+  const n = named >= 0 ? named + field.nameBase : (/^\d+$/.test(s) ? Number(s) : NaN);
+  if (!Number.isInteger(n) || n < field.min || n > field.max) {
+    throw new Error(`cron "${expr}": bad ${field.name} value "${raw}"`);
+  }
+  return n;
+}
+
+function parseField(text, field, expr) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`cron "${expr}": bad step in ${field.name} "${part}"`);
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field, expr);
+      hi = parseValue(b, field, expr);
+      if (lo > hi) throw new Error(`cron "${expr}": empty range in ${field.name} "${part}"`);
+    } else {
+      lo = parseValue(range, field, expr);
+      hi = stepRaw === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const src = String(expr || '').trim();
+  const text = ALIASES[src.toLowerCase()] || src;
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${src}": expected 5 fields, got ${parts.length}`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i], src));
+  if (dayOfWeek.has(7)) { dayOfWeek.delete(7); dayOfWeek.add(0); }
+  return {
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function dayMatches(c, dt) {
+  const dom = c.dayOfMonth.has(dt.day);
+  const dow = c.dayOfWeek.has(dt.weekday % 7);
+  if (c.anyDayOfMonth && c.anyDayOfWeek) return true;
+  if (c.anyDayOfMonth) return dow;
+  if (c.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+function nextCronRun(expr, afterMs, zone = config.TZ) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  let t = DateTime.fromMillis(afterMs, { zone }).startOf('minute').plus({ minutes: 1 });
+  if (!t.isValid) throw new Error(`invalid time zone "${zone}"`);
+
+  const limit = t.plus({ years: SEARCH_YEARS });
+  while (t < limit) {
+    if (!c.month.has(t.month)) { t = t.plus({ months: 1 }).startOf('month'); continue; }
+    if (!dayMatches(c, t)) { t = t.plus({ days: 1 }).startOf('day'); continue; }
+    if (!c.hour.has(t.hour)) { t = t.plus({ hours: 1 }).startOf('hour'); continue; }
+    if (!c.minute.has(t.minute)) { t = t.plus({ minutes: 1 }); continue; }
+    return t.toMillis();
+  }
+  throw new Error(`cron "${expr}" never fires`);
+}
+
+module.exports = { parseCron, nextCronRun };
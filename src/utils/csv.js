@@ -0,0 +1,20 @@
+'use strict';
+
+function cell(v) {
+  if (v === undefined || v === null) return '';
+  let s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  // Keep spreadsheet apps from evaluating values as formulas.
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * rows: array of objects; columns: keys to emit, in order (header = key).
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(cell).join(',')];
+  for (const r of rows) lines.push(columns.map((c) => cell(r[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
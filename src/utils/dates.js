@@ -1,8 +1,9 @@
 'use strict';
 
 const { DateTime } = require('luxon');
+const { config } = require('../config/env');
 
-function parseJoinDate(input, zone = process.env.TZ || 'Asia/Kolkata') {
+function parseJoinDate(input, zone = config.TZ) {
   if (!input) return null;
 
   let dt = DateTime.fromFormat(String(input).trim(), 'dd-LL-yyyy', { zone });
@@ -13,18 +14,9 @@ function parseJoinDate(input, zone = process.env.TZ || 'Asia/Kolkata') {
 }
 
 function computeRunAtFromJoin(joinDt, offsetDays) {
-  const zone = process.env.TZ || 'Asia/Kolkata';
-
-  const hour = Number.isFinite(parseInt(process.env.PREHIRE_EXEC_HOUR, 10))
-    ? parseInt(process.env.PREHIRE_EXEC_HOUR, 10)
-    : 9;
-  const minute = Number.isFinite(parseInt(process.env.PREHIRE_EXEC_MIN, 10))
-    ? parseInt(process.env.PREHIRE_EXEC_MIN, 10)
-    : 0;
-
   const when = joinDt
     .minus({ days: offsetDays })
-    .set({ hour, minute, second: 0, millisecond: 0 });
+    .set({ hour: config.PREHIRE_EXEC_HOUR, minute: config.PREHIRE_EXEC_MIN, second: 0, millisecond: 0 });
 
   return when.setZone('utc').toJSDate();
 }
@@ -0,0 +1,27 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loader for the JSON config files under src/config (attribute map, provisioning
+ * rules, offboarding playbook). The file is re-read and re-validated only when
+ * its mtime changes, so edits apply without a restart.
+ *
+ *   const load = jsonConfigLoader((doc, file) => validated);
+ *   load('/abs/or/relative/path.json') -> { value, file, fresh }
+ */
+function jsonConfigLoader(validate) {
+  let cache = { file: null, mtimeMs: 0, value: null };
+  return function load(configured) {
+    const file = path.resolve(configured);
+    const { mtimeMs } = fs.statSync(file);
+    if (cache.file === file && cache.mtimeMs === mtimeMs) return { value: cache.value, file, fresh: false };
+
+    const value = validate(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+    cache = { file, mtimeMs, value };
+    return { value, file, fresh: true };
+  };
+}
+
+module.exports = { jsonConfigLoader };
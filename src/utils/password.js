@@ -0,0 +1,32 @@
+'use strict';
+
+const crypto = require('crypto');
+const { config } = require('../config/env');
+
+// Look-alike characters (0/O, 1/l/I) are left out so the password can be typed from a screen.
+const CLASSES = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnopqrstuvwxyz',
+  '23456789',
+  '!@#$%^&*-_=+?'
+];
+
+function pickChar(set) { return set[crypto.randomInt(set.length)]; }
+
+/**
+ * Random password with at least one upper, lower, digit and symbol (Entra needs
+ * three of the four). Length comes from `length` or TEMP_PASSWORD_LENGTH, clamped to 12..64.
+ */
+function generateTempPassword({ length } = {}) {
+  const n = Math.min(Math.max(length ?? config.TEMP_PASSWORD_LENGTH, 12), 64);
+  const all = CLASSES.join('');
+  const chars = CLASSES.map(pickChar);
+  while (chars.length < n) chars.push(pickChar(all));
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
+
+module.exports = { generateTempPassword };